@@ -0,0 +1,123 @@
+import User from "../models/User.js"
+import { ErrorResponse } from "../utils/errorResponse.js"
+
+// Fields a client may set on a saved address
+const ADDRESS_FIELDS = ["label", "fullName", "address", "city", "postalCode", "country", "phone", "isDefaultShipping", "isDefaultBilling"]
+
+// Pick the address fields out of the request body
+const pickAddressFields = (body) => {
+  const fields = {}
+  for (const field of ADDRESS_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field]
+    }
+  }
+  return fields
+}
+
+// Setting a new default takes the flag away from the other addresses
+const clearOtherDefaults = (user, address) => {
+  for (const flag of ["isDefaultShipping", "isDefaultBilling"]) {
+    if (address[flag]) {
+      user.addresses.forEach((other) => {
+        if (other._id.toString() !== address._id.toString()) {
+          other[flag] = false
+        }
+      })
+    }
+  }
+}
+
+// @desc    Get saved addresses
+// @route   GET /api/auth/addresses
+// @access  Private
+export const getAddresses = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id)
+
+    res.status(200).json({
+      success: true,
+      count: user.addresses.length,
+      data: user.addresses,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Add a saved address
+// @route   POST /api/auth/addresses
+// @access  Private
+export const addAddress = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id)
+
+    user.addresses.push(pickAddressFields(req.body))
+    const address = user.addresses[user.addresses.length - 1]
+
+    clearOtherDefaults(user, address)
+    user.normalizeDefaultAddresses()
+    await user.save()
+
+    res.status(201).json({
+      success: true,
+      data: address,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Update a saved address
+// @route   PUT /api/auth/addresses/:addressId
+// @access  Private
+export const updateAddress = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id)
+    const address = user.addresses.id(req.params.addressId)
+
+    if (!address) {
+      return next(new ErrorResponse(`Address not found with id of ${req.params.addressId}`, 404))
+    }
+
+    address.set(pickAddressFields(req.body))
+
+    clearOtherDefaults(user, address)
+    user.normalizeDefaultAddresses()
+    await user.save()
+
+    res.status(200).json({
+      success: true,
+      data: address,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Delete a saved address
+// @route   DELETE /api/auth/addresses/:addressId
+// @access  Private
+export const deleteAddress = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id)
+    const address = user.addresses.id(req.params.addressId)
+
+    if (!address) {
+      return next(new ErrorResponse(`Address not found with id of ${req.params.addressId}`, 404))
+    }
+
+    address.deleteOne()
+
+    // Promote another address if the default was removed
+    user.normalizeDefaultAddresses()
+    await user.save()
+
+    res.status(200).json({
+      success: true,
+      data: user.addresses,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
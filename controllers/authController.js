@@ -1,5 +1,17 @@
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
 import User from "../models/User.js"
+import RefreshToken from "../models/RefreshToken.js"
 import { ErrorResponse } from "../utils/errorResponse.js"
+import { sendEmail } from "../utils/mailer.js"
+import { getLockoutRemaining, recordLoginFailure, clearLoginFailures } from "../utils/loginThrottle.js"
+import { generateSecret, verifyToken, buildOtpauthUri } from "../utils/totp.js"
+import { STAFF_ROLES } from "../utils/permissions.js"
+import { collectPersonalData, anonymizeAccount } from "../utils/accounts.js"
+import { createZip } from "../utils/zip.js"
+
+// Minimum time between verification emails for one user
+const VERIFICATION_RESEND_INTERVAL_MS = (Number(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60) * 1000
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -21,7 +33,11 @@ export const register = async (req, res, next) => {
       password,
     })
 
-    sendTokenResponse(user, 201, res)
+    // Ask the user to confirm the address. Registration succeeds even if the mail fails; the
+    // response says so and the user can ask for another at /verifyemail/resend
+    const verificationEmailSent = await trySendVerificationEmail(user, req)
+
+    await sendTokenResponse(user, 201, req, res, { verificationEmailSent })
   } catch (error) {
     next(error)
   }
@@ -39,10 +55,21 @@ export const login = async (req, res, next) => {
       return next(new ErrorResponse("Please provide an email and password", 400))
     }
 
+    // Refuse while the account or IP is locked out
+    const identity = { email, ip: req.ip }
+    const lockoutMs = await getLockoutRemaining(identity)
+    if (lockoutMs > 0) {
+      res.set("Retry-After", Math.ceil(lockoutMs / 1000))
+      return next(
+        new ErrorResponse(`Too many failed login attempts, try again in ${Math.ceil(lockoutMs / 1000)} seconds`, 429),
+      )
+    }
+
     // Check for user
     const user = await User.findOne({ email }).select("+password")
 
     if (!user) {
+      await recordLoginFailure(identity)
       return next(new ErrorResponse("Invalid credentials", 401))
     }
 
@@ -50,20 +77,45 @@ export const login = async (req, res, next) => {
     const isMatch = await user.matchPassword(password)
 
     if (!isMatch) {
+      await recordLoginFailure(identity)
       return next(new ErrorResponse("Invalid credentials", 401))
     }
 
-    sendTokenResponse(user, 200, res)
+    if (user.isSuspended) {
+      return next(new ErrorResponse("This account has been suspended", 403))
+    }
+
+    // Enrolled users finish logging in with a code at /2fa/verify, which clears the failures once
+    // the code checks out. Clearing them here would let a password holder reset the lockout
+    // between rounds of guessing codes.
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: user.getTwoFactorChallengeToken(),
+      })
+    }
+
+    await clearLoginFailures({ email })
+
+    await sendTokenResponse(user, 200, req, res)
   } catch (error) {
     next(error)
   }
 }
 
-// @desc    Log user out / clear cookie
-// @route   GET /api/auth/logout
+// @desc    Log user out / revoke session and clear cookie
+// @route   POST /api/auth/logout
 // @access  Private
 export const logout = async (req, res, next) => {
   try {
+    // Access tokens can't be revoked one by one, so bumping tokenVersion ends every
+    // session of the user, including the access token used for this request
+    await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } })
+    await RefreshToken.updateMany({ user: req.user._id, revokedAt: null }, { revokedAt: Date.now() })
+
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions())
+
     res.status(200).json({
       success: true,
       data: {},
@@ -73,6 +125,58 @@ export const logout = async (req, res, next) => {
   }
 }
 
+// @desc    Exchange a refresh token for a new access token
+// @route   POST /api/auth/refresh
+// @access  Public
+export const refreshAccessToken = async (req, res, next) => {
+  try {
+    const token = getCookie(req, REFRESH_COOKIE)
+    if (!token) {
+      return next(new ErrorResponse("Not authorized to access this route", 401))
+    }
+
+    const current = await RefreshToken.findOne({ tokenHash: RefreshToken.hashToken(token) })
+    if (!current) {
+      return next(new ErrorResponse("Not authorized to access this route", 401))
+    }
+
+    // A rotated token being presented again means it was stolen: end the whole session
+    if (current.revokedAt) {
+      await RefreshToken.revokeFamily(current.family)
+      res.clearCookie(REFRESH_COOKIE, refreshCookieOptions())
+      return next(new ErrorResponse("Refresh token reuse detected, please log in again", 401))
+    }
+
+    const user = await User.findById(current.user)
+    if (!user || user.isSuspended || current.expiresAt < Date.now() || current.tokenVersion !== user.tokenVersion) {
+      await RefreshToken.revokeFamily(current.family)
+      res.clearCookie(REFRESH_COOKIE, refreshCookieOptions())
+      return next(new ErrorResponse("Session has expired, please log in again", 401))
+    }
+
+    // Rotate: the presented token is revoked only if nobody else rotated it first
+    const { token: newToken, refreshToken: replacement } = await RefreshToken.issue(user, req, current.family)
+    const rotated = await RefreshToken.updateOne(
+      { _id: current._id, revokedAt: null },
+      { revokedAt: Date.now(), replacedBy: replacement.tokenHash },
+    )
+    if (rotated.modifiedCount === 0) {
+      await RefreshToken.revokeFamily(current.family)
+      res.clearCookie(REFRESH_COOKIE, refreshCookieOptions())
+      return next(new ErrorResponse("Refresh token reuse detected, please log in again", 401))
+    }
+
+    res.cookie(REFRESH_COOKIE, newToken, { ...refreshCookieOptions(), expires: replacement.expiresAt })
+
+    res.status(200).json({
+      success: true,
+      token: user.getSignedJwtToken(),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -89,6 +193,66 @@ export const getMe = async (req, res, next) => {
   }
 }
 
+// @desc    Download everything stored about the current user (?format=zip for a ZIP bundle)
+// @route   GET /api/auth/me/export
+// @access  Private
+export const exportMyData = async (req, res, next) => {
+  try {
+    const data = await collectPersonalData(req.user._id)
+    const fileName = `personal-data-${req.user._id}`
+
+    if (req.query.format === "zip") {
+      const files = Object.entries(data).map(([section, content]) => ({
+        name: `${section}.json`,
+        content: JSON.stringify(content, null, 2),
+      }))
+
+      res.set("Content-Type", "application/zip")
+      res.set("Content-Disposition", `attachment; filename="${fileName}.zip"`)
+      return res.status(200).send(createZip(files))
+    }
+
+    res.set("Content-Disposition", `attachment; filename="${fileName}.json"`)
+    res.status(200).json({
+      success: true,
+      data,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Close the current user's account
+// @route   DELETE /api/auth/me
+// @access  Private
+export const deleteMe = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body
+
+    const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`)
+
+    if (!password || !(await user.matchPassword(password))) {
+      return next(new ErrorResponse("Password is incorrect", 401))
+    }
+
+    if (user.twoFactor?.enabled && !checkSecondFactor(user, { code, recoveryCode })) {
+      return next(new ErrorResponse("Invalid authentication code", 401))
+    }
+
+    // Refused for the last active admin
+    await anonymizeAccount(user)
+
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions())
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 // @desc    Update user details
 // @route   PUT /api/auth/updatedetails
 // @access  Private
@@ -97,18 +261,26 @@ export const updateDetails = async (req, res, next) => {
     const fieldsToUpdate = {
       name: req.body.name,
       email: req.body.email,
-      address: req.body.address,
       phone: req.body.phone,
     }
 
+    // A new email address has to be verified again
+    const emailChanged = fieldsToUpdate.email !== undefined && fieldsToUpdate.email !== req.user.email
+    if (emailChanged) {
+      fieldsToUpdate.isEmailVerified = false
+    }
+
     const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
       new: true,
       runValidators: true,
     })
 
+    const verificationEmailSent = emailChanged ? await trySendVerificationEmail(user, req) : undefined
+
     res.status(200).json({
       success: true,
       data: user,
+      verificationEmailSent,
     })
   } catch (error) {
     next(error)
@@ -130,17 +302,441 @@ export const updatePassword = async (req, res, next) => {
     user.password = req.body.newPassword
     await user.save()
 
-    sendTokenResponse(user, 200, res)
+    // Saving the new password bumped tokenVersion; drop the old sessions as well
+    await RefreshToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: Date.now() })
+
+    await sendTokenResponse(user, 200, req, res)
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Forgot password
+// @route   POST /api/auth/forgotpassword
+// @access  Public
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email })
+
+    // Respond the same way whether or not the account exists
+    if (!user) {
+      return res.status(200).json({
+        success: true,
+        data: "If an account exists for that email, a reset link has been sent",
+      })
+    }
+
+    // Get reset token
+    const resetToken = user.getResetPasswordToken()
+    await user.save({ validateBeforeSave: false })
+
+    const baseUrl = process.env.CLIENT_URL || `${req.protocol}://${req.get("host")}/api/auth`
+    const resetUrl = `${baseUrl}/resetpassword/${resetToken}`
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: "Password reset",
+        text: `You requested a password reset. Use this link within 10 minutes to set a new password:\n\n${resetUrl}`,
+      })
+    } catch (error) {
+      user.resetPasswordToken = undefined
+      user.resetPasswordExpire = undefined
+      await user.save({ validateBeforeSave: false })
+
+      return next(new ErrorResponse("Email could not be sent", 500))
+    }
+
+    res.status(200).json({
+      success: true,
+      data: "If an account exists for that email, a reset link has been sent",
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Reset password
+// @route   PUT /api/auth/resetpassword/:token
+// @access  Public
+export const resetPassword = async (req, res, next) => {
+  try {
+    const resetPasswordToken = crypto.createHash("sha256").update(req.params.token).digest("hex")
+
+    const user = await User.findOne({
+      resetPasswordToken,
+      resetPasswordExpire: { $gt: Date.now() },
+    })
+
+    if (!user) {
+      return next(new ErrorResponse("Invalid or expired reset token", 400))
+    }
+
+    // Set new password and invalidate the token
+    user.password = req.body.password
+    user.resetPasswordToken = undefined
+    user.resetPasswordExpire = undefined
+    await user.save()
+
+    // Saving the new password bumped tokenVersion; drop the old sessions as well
+    await RefreshToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: Date.now() })
+
+    // The reset link only proves access to the inbox, so enrolled users still need their second factor
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: user.getTwoFactorChallengeToken(),
+      })
+    }
+
+    await sendTokenResponse(user, 200, req, res)
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Clear login lockout for an account and/or IP address
+// @route   PUT /api/auth/unlock
+// @access  Private (accounts:unlock)
+export const unlockAccount = async (req, res, next) => {
+  try {
+    const { email, ip } = req.body
+
+    if (!email && !ip) {
+      return next(new ErrorResponse("Please provide an email or IP address to unlock", 400))
+    }
+
+    await clearLoginFailures({ email, ip })
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Finish a two-factor login with a code or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+export const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body
+
+    let decoded
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET)
+    } catch (error) {
+      return next(new ErrorResponse("Invalid or expired login challenge, please log in again", 401))
+    }
+
+    if (decoded.purpose !== "2fa-challenge") {
+      return next(new ErrorResponse("Invalid or expired login challenge, please log in again", 401))
+    }
+
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS)
+    if (!user || !user.twoFactor?.enabled || decoded.v !== user.tokenVersion) {
+      return next(new ErrorResponse("Invalid or expired login challenge, please log in again", 401))
+    }
+
+    if (user.isSuspended) {
+      return next(new ErrorResponse("This account has been suspended", 403))
+    }
+
+    // Wrong codes count towards the login lockout
+    const identity = { email: user.email, ip: req.ip }
+    const lockoutMs = await getLockoutRemaining(identity)
+    if (lockoutMs > 0) {
+      res.set("Retry-After", Math.ceil(lockoutMs / 1000))
+      return next(
+        new ErrorResponse(`Too many failed login attempts, try again in ${Math.ceil(lockoutMs / 1000)} seconds`, 429),
+      )
+    }
+
+    if (!checkSecondFactor(user, { code, recoveryCode })) {
+      await recordLoginFailure(identity)
+      return next(new ErrorResponse("Invalid authentication code", 401))
+    }
+
+    await user.save({ validateBeforeSave: false })
+    await clearLoginFailures({ email: user.email })
+
+    await sendTokenResponse(user, 200, req, res)
   } catch (error) {
     next(error)
   }
 }
 
-// Helper function to get token from model, create cookie and send response
-const sendTokenResponse = (user, statusCode, res) => {
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id)
+
+    if (user.twoFactor?.enabled) {
+      return next(new ErrorResponse("Two-factor authentication is already enabled", 400))
+    }
+
+    const secret = generateSecret()
+    user.twoFactor.pendingSecret = secret
+    await user.save({ validateBeforeSave: false })
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUri({ secret, account: user.email, issuer: process.env.TOTP_ISSUER || "Shop" }),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Confirm two-factor enrollment with a first code
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+export const confirmTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select("+twoFactor.pendingSecret")
+
+    if (user.twoFactor?.enabled) {
+      return next(new ErrorResponse("Two-factor authentication is already enabled", 400))
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return next(new ErrorResponse("Please start two-factor setup first", 400))
+    }
+
+    const counter = verifyToken(user.twoFactor.pendingSecret, req.body.code)
+    if (counter === null) {
+      return next(new ErrorResponse("Invalid authentication code", 400))
+    }
+
+    user.twoFactor.enabled = true
+    user.twoFactor.secret = user.twoFactor.pendingSecret
+    user.twoFactor.pendingSecret = undefined
+    user.twoFactor.lastUsedCounter = counter
+    const recoveryCodes = user.generateRecoveryCodes()
+    await user.save({ validateBeforeSave: false })
+
+    res.status(200).json({
+      success: true,
+      data: { recoveryCodes },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Replace the recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS)
+
+    if (!user.twoFactor?.enabled) {
+      return next(new ErrorResponse("Two-factor authentication is not enabled", 400))
+    }
+
+    if (!checkSecondFactor(user, { code: req.body.code })) {
+      return next(new ErrorResponse("Invalid authentication code", 401))
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes()
+    await user.save({ validateBeforeSave: false })
+
+    res.status(200).json({
+      success: true,
+      data: { recoveryCodes },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Turn two-factor authentication off
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body
+
+    const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`)
+
+    if (!user.twoFactor?.enabled) {
+      return next(new ErrorResponse("Two-factor authentication is not enabled", 400))
+    }
+
+    if (STAFF_ROLES.includes(user.role) && process.env.REQUIRE_ADMIN_2FA === "true") {
+      return next(new ErrorResponse("Two-factor authentication is required for staff accounts", 400))
+    }
+
+    if (!password || !(await user.matchPassword(password))) {
+      return next(new ErrorResponse("Password is incorrect", 401))
+    }
+
+    if (!checkSecondFactor(user, { code, recoveryCode })) {
+      return next(new ErrorResponse("Invalid authentication code", 401))
+    }
+
+    user.twoFactor = { enabled: false }
+    await user.save({ validateBeforeSave: false })
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Verify email address
+// @route   GET /api/auth/verifyemail/:token
+// @access  Public
+export const verifyEmail = async (req, res, next) => {
+  try {
+    let decoded
+    try {
+      decoded = jwt.verify(req.params.token, process.env.JWT_SECRET)
+    } catch (error) {
+      return next(new ErrorResponse("Invalid or expired verification link", 400))
+    }
+
+    if (decoded.purpose !== "email-verification") {
+      return next(new ErrorResponse("Invalid or expired verification link", 400))
+    }
+
+    // The link is only valid for the address it was sent to
+    const user = await User.findOne({ _id: decoded.id, email: decoded.email })
+    if (!user) {
+      return next(new ErrorResponse("Invalid or expired verification link", 400))
+    }
+
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true
+      await user.save({ validateBeforeSave: false })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: "Email verified",
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/verifyemail/resend
+// @access  Private
+export const resendVerificationEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id)
+
+    if (user.isEmailVerified) {
+      return next(new ErrorResponse("Email is already verified", 400))
+    }
+
+    // Throttle resends
+    const waitMs = VERIFICATION_RESEND_INTERVAL_MS - (Date.now() - (user.emailVerificationSentAt?.getTime() || 0))
+    if (waitMs > 0) {
+      return next(
+        new ErrorResponse(`Please wait ${Math.ceil(waitMs / 1000)} seconds before requesting another email`, 429),
+      )
+    }
+
+    await sendVerificationEmail(user, req)
+
+    res.status(200).json({
+      success: true,
+      data: "Verification email sent",
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Helper function to email a verification link and remember when it was sent
+const sendVerificationEmail = async (user, req) => {
+  const baseUrl = process.env.CLIENT_URL || `${req.protocol}://${req.get("host")}/api/auth`
+  const verifyUrl = `${baseUrl}/verifyemail/${user.getEmailVerificationToken()}`
+
+  await sendEmail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Please confirm your email address by opening this link:\n\n${verifyUrl}`,
+  })
+
+  user.emailVerificationSentAt = Date.now()
+  await user.save({ validateBeforeSave: false })
+}
+
+// Helper function to send a verification email where failing to send it must not fail the request.
+// Returns whether it was sent.
+const trySendVerificationEmail = async (user, req) => {
+  try {
+    await sendVerificationEmail(user, req)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+// Hidden two-factor fields needed to check a code
+const TWO_FACTOR_FIELDS = "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedCounter"
+
+// Helper function to check a TOTP code or use up a recovery code; the caller saves the user
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    return user.useRecoveryCode(recoveryCode)
+  }
+
+  const counter = verifyToken(user.twoFactor.secret, code)
+  if (counter === null || counter <= (user.twoFactor.lastUsedCounter ?? -1)) {
+    return false
+  }
+
+  user.twoFactor.lastUsedCounter = counter
+  return true
+}
+
+// Refresh tokens live in an httpOnly cookie scoped to the auth routes
+const REFRESH_COOKIE = "refreshToken"
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "strict",
+  path: "/api/auth",
+})
+
+// Helper function to read a cookie from the request
+const getCookie = (req, name) => {
+  const cookies = req.headers.cookie?.split(";") || []
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split("=")
+    if (key === name) {
+      return decodeURIComponent(value.join("="))
+    }
+  }
+  return undefined
+}
+
+// Helper function to get token from model, create cookie and send response, along with any `extra` fields
+const sendTokenResponse = async (user, statusCode, req, res, extra = {}) => {
   // Create token
   const token = user.getSignedJwtToken()
 
+  // Start a new refresh token family for this session
+  const { token: refreshToken, refreshToken: stored } = await RefreshToken.issue(user, req)
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...refreshCookieOptions(), expires: stored.expiresAt })
+
   res.status(statusCode).json({
     success: true,
     token,
@@ -149,6 +745,8 @@ const sendTokenResponse = (user, statusCode, res) => {
       name: user.name,
       email: user.email,
       role: user.role,
+      isEmailVerified: user.isEmailVerified,
     },
+    ...extra,
   })
 }
@@ -1,6 +1,9 @@
 import Cart from "../models/Cart.js"
 import Product from "../models/Product.js"
 import { ErrorResponse } from "../utils/errorResponse.js"
+import Coupon from "../models/Coupon.js"
+import { unitPrice, roundMoney } from "../utils/pricing.js"
+import { findCouponByCode, evaluateCoupon } from "../utils/coupons.js"
 
 // @desc    Get user cart
 // @route   GET /api/cart
@@ -9,7 +12,7 @@ export const getCart = async (req, res, next) => {
   try {
     let cart = await Cart.findOne({ user: req.user.id }).populate({
       path: "items.product",
-      select: "name price images stock",
+      select: "name price discountPrice discountStartsAt discountEndsAt images stock variants",
     })
 
     if (!cart) {
@@ -19,6 +22,23 @@ export const getCart = async (req, res, next) => {
       })
     }
 
+    // Bring item prices up to date with price changes and sales that started or ended
+    let repriced = false
+    for (const item of cart.items) {
+      const variant = item.variant ? item.product?.variants.id(item.variant) : null
+      if (!item.product || (item.variant && !variant)) continue
+
+      const price = unitPrice(item.product, variant)
+      if (price !== item.price) {
+        item.price = price
+        repriced = true
+      }
+    }
+    await applyCartCoupon(cart)
+    if (repriced || cart.isModified()) {
+      await cart.save()
+    }
+
     res.status(200).json({
       success: true,
       data: cart,
@@ -33,7 +53,7 @@ export const getCart = async (req, res, next) => {
 // @access  Private
 export const addToCart = async (req, res, next) => {
   try {
-    const { productId, quantity } = req.body
+    const { productId, variantId, quantity } = req.body
 
     // Validate product
     const product = await Product.findById(productId)
@@ -41,9 +61,13 @@ export const addToCart = async (req, res, next) => {
       return next(new ErrorResponse(`Product not found with id of ${productId}`, 404))
     }
 
+    // Products with variants are added one variant at a time
+    const variant = product.resolveVariant(variantId)
+    const stock = product.availableStock(variant)
+
     // Check stock
-    if (product.stock < quantity) {
-      return next(new ErrorResponse(`Product has insufficient stock. Available: ${product.stock}`, 400))
+    if (stock < quantity) {
+      return next(new ErrorResponse(`Product has insufficient stock. Available: ${stock}`, 400))
     }
 
     // Find user cart or create new one
@@ -55,31 +79,35 @@ export const addToCart = async (req, res, next) => {
       })
     }
 
-    // Check if product already in cart
-    const itemIndex = cart.items.findIndex((item) => item.product.toString() === productId)
+    // Check if product (and variant) already in cart
+    const itemIndex = cart.items.findIndex(
+      (item) => item.product.toString() === productId && item.variant?.toString() === variant?._id.toString(),
+    )
 
     if (itemIndex > -1) {
       // Product exists in cart, update quantity
       cart.items[itemIndex].quantity += quantity
-      if (cart.items[itemIndex].quantity > product.stock) {
-        return next(new ErrorResponse(`Cannot add more than available stock (${product.stock})`, 400))
+      if (cart.items[itemIndex].quantity > stock) {
+        return next(new ErrorResponse(`Cannot add more than available stock (${stock})`, 400))
       }
     } else {
       // Product not in cart, add new item
       cart.items.push({
         product: productId,
+        variant: variant?._id,
         quantity,
-        price: product.price,
+        price: unitPrice(product, variant),
       })
     }
 
-    // Save cart
+    // Save cart with the coupon discount recalculated
+    await applyCartCoupon(cart)
     await cart.save()
 
     // Return updated cart
     cart = await Cart.findById(cart._id).populate({
       path: "items.product",
-      select: "name price images stock",
+      select: "name price discountPrice discountStartsAt discountEndsAt images stock variants",
     })
 
     res.status(200).json({
@@ -111,14 +139,15 @@ export const updateCartItem = async (req, res, next) => {
       return next(new ErrorResponse("Item not found in cart", 404))
     }
 
-    // Check product stock
+    // Check product (or variant) stock
     const product = await Product.findById(cart.items[itemIndex].product)
     if (!product) {
       return next(new ErrorResponse("Product not found", 404))
     }
 
-    if (quantity > product.stock) {
-      return next(new ErrorResponse(`Cannot add more than available stock (${product.stock})`, 400))
+    const stock = product.availableStock(product.resolveVariant(cart.items[itemIndex].variant))
+    if (quantity > stock) {
+      return next(new ErrorResponse(`Cannot add more than available stock (${stock})`, 400))
     }
 
     // Update quantity or remove if quantity is 0
@@ -128,13 +157,14 @@ export const updateCartItem = async (req, res, next) => {
       cart.items[itemIndex].quantity = quantity
     }
 
-    // Save cart
+    // Save cart with the coupon discount recalculated
+    await applyCartCoupon(cart)
     await cart.save()
 
     // Return updated cart
     cart = await Cart.findById(cart._id).populate({
       path: "items.product",
-      select: "name price images stock",
+      select: "name price discountPrice discountStartsAt discountEndsAt images stock variants",
     })
 
     res.status(200).json({
@@ -168,13 +198,14 @@ export const removeFromCart = async (req, res, next) => {
     // Remove item
     cart.items.splice(itemIndex, 1)
 
-    // Save cart
+    // Save cart with the coupon discount recalculated
+    await applyCartCoupon(cart)
     await cart.save()
 
     // Return updated cart
     cart = await Cart.findById(cart._id).populate({
       path: "items.product",
-      select: "name price images stock",
+      select: "name price discountPrice discountStartsAt discountEndsAt images stock variants",
     })
 
     res.status(200).json({
@@ -197,8 +228,10 @@ export const clearCart = async (req, res, next) => {
       return next(new ErrorResponse("Cart not found", 404))
     }
 
-    // Clear items
+    // Clear items and any coupon
     cart.items = []
+    cart.coupon = undefined
+    await applyCartCoupon(cart)
 
     // Save cart
     await cart.save()
@@ -211,3 +244,76 @@ export const clearCart = async (req, res, next) => {
     next(error)
   }
 }
+
+// @desc    Apply a coupon code to the cart, or remove it when no code is sent
+// @route   POST /api/cart/coupon
+// @access  Private
+export const applyCoupon = async (req, res, next) => {
+  try {
+    const { code } = req.body
+
+    let cart = await Cart.findOne({ user: req.user.id })
+    if (!cart) {
+      return next(new ErrorResponse("Cart not found", 404))
+    }
+
+    cart.coupon = code ? (await findCouponByCode(code))._id : undefined
+
+    // Reject a coupon that doesn't apply to the cart right now
+    await applyCartCoupon(cart, { strict: true })
+    await cart.save()
+
+    // Return updated cart
+    cart = await Cart.findById(cart._id).populate({
+      path: "items.product",
+      select: "name price discountPrice discountStartsAt discountEndsAt images stock variants",
+    })
+
+    res.status(200).json({
+      success: true,
+      data: cart,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Work out the applied coupon's discount for the cart's current items. A coupon that stops
+// applying (e.g. items were removed) stays on the cart with `couponError` saying why, unless
+// `strict` is set, in which case the error is thrown.
+const applyCartCoupon = async (cart, { strict = false } = {}) => {
+  cart.discount = 0
+  cart.freeShipping = false
+  cart.couponError = undefined
+
+  if (!cart.coupon) return
+
+  const coupon = await Coupon.findById(cart.coupon)
+  if (!coupon) {
+    cart.coupon = undefined
+    return
+  }
+
+  const items = cart.items.filter((item) => item.product)
+  const productId = (item) => (item.product._id ?? item.product).toString()
+  const products = await Product.find({ _id: { $in: items.map(productId) } }).select("category")
+  const categories = new Map(products.map((product) => [product._id.toString(), product.category]))
+
+  const lines = items.map((item) => ({
+    product: productId(item),
+    category: categories.get(productId(item)),
+    price: item.price,
+    quantity: item.quantity,
+  }))
+
+  try {
+    const applied = await evaluateCoupon(coupon, { user: cart.user, lines })
+    cart.discount = roundMoney(applied.discount)
+    cart.freeShipping = applied.freeShipping
+  } catch (error) {
+    if (strict || !(error instanceof ErrorResponse)) {
+      throw error
+    }
+    cart.couponError = error.message
+  }
+}
@@ -0,0 +1,235 @@
+import Category from "../models/Category.js"
+import Product from "../models/Product.js"
+import { ErrorResponse } from "../utils/errorResponse.js"
+import { uploadImage, deleteImage } from "../utils/cloudinary.js"
+
+const MAX_TREE_DEPTH = 5
+
+// Build a nested populate for the subcategories virtual, `depth` levels deep
+const subcategoryPopulate = (depth) => {
+  const populate = { path: "subcategories", select: "name slug description image parent" }
+  if (depth > 1) {
+    populate.populate = subcategoryPopulate(depth - 1)
+  }
+  return populate
+}
+
+// Make sure `parentId` exists and is not `categoryId` itself or one of its descendants
+const validateParent = async (parentId, categoryId) => {
+  let current = await Category.findById(parentId)
+  if (!current) {
+    return new ErrorResponse(`Parent category not found with id of ${parentId}`, 404)
+  }
+
+  if (categoryId) {
+    while (current) {
+      if (current._id.toString() === categoryId.toString()) {
+        return new ErrorResponse("A category cannot be nested under itself or one of its subcategories", 400)
+      }
+      current = current.parent ? await Category.findById(current.parent) : null
+    }
+  }
+
+  return null
+}
+
+// @desc    Create new category
+// @route   POST /api/categories
+// @access  Private (categories:write)
+export const createCategory = async (req, res, next) => {
+  try {
+    const { name, description, parent, image } = req.body
+
+    if (parent) {
+      const parentError = await validateParent(parent)
+      if (parentError) {
+        return next(parentError)
+      }
+    }
+
+    // Handle image upload
+    let uploadedImage
+    if (image) {
+      uploadedImage = await uploadImage(image, "categories")
+    }
+
+    const category = await Category.create({
+      name,
+      description,
+      parent: parent || null,
+      image: uploadedImage,
+    })
+
+    res.status(201).json({
+      success: true,
+      data: category,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get all categories
+// @route   GET /api/categories
+// @access  Public
+export const getCategories = async (req, res, next) => {
+  try {
+    const filter = {}
+
+    // Restrict to direct children of a parent (?parent=root for top-level categories)
+    if (req.query.parent) {
+      filter.parent = req.query.parent === "root" ? null : req.query.parent
+    }
+
+    const categories = await Category.find(filter).sort("name")
+
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      data: categories,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get category tree
+// @route   GET /api/categories/tree
+// @access  Public
+export const getCategoryTree = async (req, res, next) => {
+  try {
+    const depth = Math.min(Math.max(Number.parseInt(req.query.depth, 10) || 3, 1), MAX_TREE_DEPTH)
+
+    const categories = await Category.find({ parent: null }).sort("name").populate(subcategoryPopulate(depth))
+
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      data: categories,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get category by slug
+// @route   GET /api/categories/slug/:slug
+// @access  Public
+export const getCategoryBySlug = async (req, res, next) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug }).populate(subcategoryPopulate(1))
+
+    if (!category) {
+      return next(new ErrorResponse(`Category not found with slug of ${req.params.slug}`, 404))
+    }
+
+    res.status(200).json({
+      success: true,
+      data: category,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get single category
+// @route   GET /api/categories/:id
+// @access  Public
+export const getCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id).populate(subcategoryPopulate(1))
+
+    if (!category) {
+      return next(new ErrorResponse(`Category not found with id of ${req.params.id}`, 404))
+    }
+
+    res.status(200).json({
+      success: true,
+      data: category,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Update category
+// @route   PUT /api/categories/:id
+// @access  Private (categories:write)
+export const updateCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id)
+
+    if (!category) {
+      return next(new ErrorResponse(`Category not found with id of ${req.params.id}`, 404))
+    }
+
+    const { name, description, parent, image } = req.body
+
+    if (parent) {
+      const parentError = await validateParent(parent, category._id)
+      if (parentError) {
+        return next(parentError)
+      }
+    }
+
+    // Replace image if a new one was sent
+    if (image) {
+      if (category.image?.public_id) {
+        await deleteImage(category.image.public_id)
+      }
+      category.image = await uploadImage(image, "categories")
+    }
+
+    if (name !== undefined) category.name = name
+    if (description !== undefined) category.description = description
+    if (parent !== undefined) category.parent = parent || null
+
+    // Save (rather than findByIdAndUpdate) so the slug is regenerated
+    await category.save()
+
+    res.status(200).json({
+      success: true,
+      data: category,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Delete category
+// @route   DELETE /api/categories/:id
+// @access  Private (categories:write)
+export const deleteCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id)
+
+    if (!category) {
+      return next(new ErrorResponse(`Category not found with id of ${req.params.id}`, 404))
+    }
+
+    // Block deletion while products still reference the category
+    const productCount = await Product.countDocuments({ category: category._id })
+    if (productCount > 0) {
+      return next(new ErrorResponse(`Cannot delete category with ${productCount} product(s) assigned to it`, 400))
+    }
+
+    // Block deletion while the category still has subcategories
+    const childCount = await Category.countDocuments({ parent: category._id })
+    if (childCount > 0) {
+      return next(new ErrorResponse(`Cannot delete category with ${childCount} subcategory(ies)`, 400))
+    }
+
+    if (category.image?.public_id) {
+      await deleteImage(category.image.public_id)
+    }
+
+    await category.deleteOne()
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    })
+  } catch (error) {
+    next(error)
+  }
+}
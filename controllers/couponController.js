@@ -0,0 +1,163 @@
+import Coupon, { COUPON_TYPES } from "../models/Coupon.js"
+import CouponRedemption from "../models/CouponRedemption.js"
+import { ErrorResponse } from "../utils/errorResponse.js"
+import { defineQuerySpec, parseListQuery } from "../utils/queryFilter.js"
+import { paginateQuery } from "../utils/pagination.js"
+
+// Fields an admin may set on a coupon; usedCount is only changed by redemptions
+const COUPON_FIELDS = [
+  "code",
+  "description",
+  "type",
+  "value",
+  "minSpend",
+  "usageLimit",
+  "perUserLimit",
+  "startsAt",
+  "expiresAt",
+  "isActive",
+  "products",
+  "categories",
+]
+
+// Filters and sorts allowed on the coupon listing
+const COUPON_QUERY_SPEC = defineQuerySpec({
+  filters: {
+    code: {},
+    type: { values: COUPON_TYPES, operators: ["eq", "in"] },
+    isActive: { type: "boolean" },
+    expiresAt: { type: "date", operators: ["gt", "gte", "lt", "lte"] },
+  },
+  sort: ["code", "createdAt", "expiresAt", "usedCount"],
+  defaultLimit: 20,
+})
+
+// Pick the coupon fields out of the request body
+const pickCouponFields = (body) => {
+  const fields = {}
+  for (const field of COUPON_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field]
+    }
+  }
+  return fields
+}
+
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private (coupons:write)
+export const createCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.create({ ...pickCouponFields(req.body), createdBy: req.user.id })
+
+    res.status(201).json({
+      success: true,
+      data: coupon,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private (coupons:write)
+export const getCoupons = async (req, res, next) => {
+  try {
+    const { filter, sort, select, page, limit, cursor } = parseListQuery(req.query, COUPON_QUERY_SPEC)
+
+    const { data: coupons, total, pagination } = await paginateQuery(Coupon, filter, {
+      sort,
+      select,
+      page,
+      limit,
+      cursor,
+    })
+
+    res.status(200).json({
+      success: true,
+      count: coupons.length,
+      total,
+      pagination,
+      data: coupons,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get single coupon with its redemptions
+// @route   GET /api/coupons/:id
+// @access  Private (coupons:write)
+export const getCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+
+    if (!coupon) {
+      return next(new ErrorResponse(`Coupon not found with id of ${req.params.id}`, 404))
+    }
+
+    const redemptions = await CouponRedemption.find({ coupon: coupon._id })
+      .sort("-createdAt")
+      .limit(100)
+      .populate({ path: "user", select: "name email" })
+
+    res.status(200).json({
+      success: true,
+      data: { ...coupon.toObject(), redemptions },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Update coupon
+// @route   PUT /api/coupons/:id
+// @access  Private (coupons:write)
+export const updateCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+
+    if (!coupon) {
+      return next(new ErrorResponse(`Coupon not found with id of ${req.params.id}`, 404))
+    }
+
+    coupon.set(pickCouponFields(req.body))
+    await coupon.save()
+
+    res.status(200).json({
+      success: true,
+      data: coupon,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Delete coupon (coupons that were used are deactivated instead)
+// @route   DELETE /api/coupons/:id
+// @access  Private (coupons:write)
+export const deleteCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+
+    if (!coupon) {
+      return next(new ErrorResponse(`Coupon not found with id of ${req.params.id}`, 404))
+    }
+
+    // Orders keep pointing at coupons they used
+    if (await CouponRedemption.exists({ coupon: coupon._id })) {
+      coupon.isActive = false
+      await coupon.save()
+    } else {
+      await coupon.deleteOne()
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -1,49 +1,126 @@
-import Order from "../models/Order.js"
-import Product from "../models/Product.js"
+import Order, { ORDER_STATUSES } from "../models/Order.js"
 import { ErrorResponse } from "../utils/errorResponse.js"
+import { decrementStock, incrementStock, releaseReservation } from "../utils/inventory.js"
+import { withTransaction } from "../utils/transaction.js"
+import { priceAndVerify, roundMoney } from "../utils/pricing.js"
+import { getPaymentProvider, markOrderPaid } from "../utils/payments/index.js"
+import { resolveCheckoutAddresses } from "../utils/addresses.js"
+import { hasPermission } from "../utils/permissions.js"
+import { defineQuerySpec, parseListQuery } from "../utils/queryFilter.js"
+import { paginateQuery } from "../utils/pagination.js"
+import { resolveCheckoutCoupon, redeemCoupon, releaseCouponRedemption } from "../utils/coupons.js"
+
+// Filters, sorts and fields allowed on a customer's own order listing
+const ORDER_LIST_SPEC = {
+  filters: {
+    status: { values: ORDER_STATUSES, operators: ["eq", "ne", "in"] },
+    isPaid: { type: "boolean" },
+    isDelivered: { type: "boolean" },
+    paymentMethod: { values: ["stripe", "paypal", "cash"], operators: ["eq", "in"] },
+    totalPrice: { type: "number", operators: ["gt", "gte", "lt", "lte"] },
+    createdAt: { type: "date", operators: ["gt", "gte", "lt", "lte"] },
+  },
+  sort: ["createdAt", "totalPrice", "status", "paidAt"],
+  select: [
+    "orderItems",
+    "shippingAddress",
+    "billingAddress",
+    "paymentMethod",
+    "itemsPrice",
+    "taxPrice",
+    "shippingPrice",
+    "totalPrice",
+    "amountRefunded",
+    "status",
+    "isPaid",
+    "paidAt",
+    "isDelivered",
+    "deliveredAt",
+    "createdAt",
+  ],
+}
+
+const MY_ORDERS_QUERY_SPEC = defineQuerySpec(ORDER_LIST_SPEC)
+
+// Staff can also filter by customer and find orders that need attention
+const ORDERS_QUERY_SPEC = defineQuerySpec({
+  ...ORDER_LIST_SPEC,
+  filters: {
+    ...ORDER_LIST_SPEC.filters,
+    user: { type: "objectId", operators: ["eq", "in"] },
+    needsReview: { type: "boolean" },
+  },
+  select: [...ORDER_LIST_SPEC.select, "user", "needsReview", "reviewReason"],
+})
+
+// Statuses that also move money or stock, so only their own endpoints (and the payment
+// webhooks) may set them
+const STATUS_ENDPOINTS = {
+  partially_refunded: "POST /api/orders/:id/refund",
+  refunded: "POST /api/orders/:id/refund",
+  cancelled: "PUT /api/orders/:id/cancel",
+}
 
-// @desc    Create new order
+// @desc    Create new cash order
 // @route   POST /api/orders
 // @access  Private
 export const createOrder = async (req, res, next) => {
   try {
-    const { orderItems, shippingAddress, paymentMethod, itemsPrice, taxPrice, shippingPrice, totalPrice } = req.body
+    const { orderItems: requestedItems, paymentMethod, couponCode } = req.body
 
-    if (!orderItems || orderItems.length === 0) {
+    if (!requestedItems || requestedItems.length === 0) {
       return next(new ErrorResponse("No order items", 400))
     }
 
-    // Verify all products exist and have sufficient stock
-    for (const item of orderItems) {
-      const product = await Product.findById(item.product)
-      if (!product) {
-        return next(new ErrorResponse(`Product not found with id: ${item.product}`, 404))
-      }
+    // Card and PayPal orders need their provider payment created along with them, which only
+    // checkout does; without one they could never be verified as paid
+    if (["stripe", "paypal"].includes(paymentMethod)) {
+      return next(
+        new ErrorResponse(
+          `Orders paid by ${paymentMethod} must be placed through POST /api/payment/create-payment-intent`,
+          400,
+        ),
+      )
+    }
 
-      if (product.stock < item.quantity) {
-        return next(new ErrorResponse(`Product ${product.name} is out of stock`, 400))
+    // Snapshot the saved or inline addresses onto the order
+    const { shippingAddress, billingAddress } = resolveCheckoutAddresses(req.user, req.body)
+
+    // Price every line on the server and reject mismatching client totals
+    const coupon = await resolveCheckoutCoupon(req.user._id, couponCode)
+    const pricing = await priceAndVerify(requestedItems, req.body, { coupon, user: req.user._id })
+    const { orderItems, itemsPrice, discountAmount, taxPrice, shippingPrice, totalPrice } = pricing
+
+    // Take stock, create the order and use up the coupon as one atomic unit
+    const order = await withTransaction(async (session) => {
+      await decrementStock(orderItems, session)
+
+      const [created] = await Order.create(
+        [
+          {
+            user: req.user.id,
+            orderItems,
+            shippingAddress,
+            billingAddress,
+            paymentMethod,
+            itemsPrice,
+            discountAmount,
+            coupon: pricing.coupon,
+            taxPrice,
+            shippingPrice,
+            totalPrice,
+          },
+        ],
+        { session },
+      )
+
+      if (coupon) {
+        await redeemCoupon({ coupon, user: req.user._id, order: created._id, discount: discountAmount }, session)
       }
-    }
 
-    // Create order
-    const order = await Order.create({
-      user: req.user.id,
-      orderItems,
-      shippingAddress,
-      paymentMethod,
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
+      return created
     })
 
-    // Update product stock
-    for (const item of orderItems) {
-      const product = await Product.findById(item.product)
-      product.stock -= item.quantity
-      await product.save()
-    }
-
     res.status(201).json({
       success: true,
       data: order,
@@ -55,17 +132,23 @@ export const createOrder = async (req, res, next) => {
 
 // @desc    Get all orders
 // @route   GET /api/orders
-// @access  Private/Admin
+// @access  Private (orders:read)
 export const getOrders = async (req, res, next) => {
   try {
-    const orders = await Order.find({}).populate({
-      path: "user",
-      select: "name email",
-    })
+    const { filter, sort, select, page, limit, cursor } = parseListQuery(req.query, ORDERS_QUERY_SPEC)
+
+    const { data: orders, total, pagination } = await paginateQuery(
+      Order,
+      filter,
+      { sort, select, page, limit, cursor },
+      (query) => query.populate({ path: "user", select: "name email" }),
+    )
 
     res.status(200).json({
       success: true,
       count: orders.length,
+      total,
+      pagination,
       data: orders,
     })
   } catch (error) {
@@ -78,11 +161,22 @@ export const getOrders = async (req, res, next) => {
 // @access  Private
 export const getMyOrders = async (req, res, next) => {
   try {
-    const orders = await Order.find({ user: req.user.id })
+    const { filter, sort, select, page, limit, cursor } = parseListQuery(req.query, MY_ORDERS_QUERY_SPEC)
+    filter.user = req.user._id
+
+    const { data: orders, total, pagination } = await paginateQuery(Order, filter, {
+      sort,
+      select,
+      page,
+      limit,
+      cursor,
+    })
 
     res.status(200).json({
       success: true,
       count: orders.length,
+      total,
+      pagination,
       data: orders,
     })
   } catch (error) {
@@ -104,8 +198,8 @@ export const getOrderById = async (req, res, next) => {
       return next(new ErrorResponse(`Order not found with id of ${req.params.id}`, 404))
     }
 
-    // Make sure user is order owner or admin
-    if (order.user._id.toString() !== req.user.id && req.user.role !== "admin") {
+    // Make sure user is order owner or staff who can see orders
+    if (order.user._id.toString() !== req.user.id && !hasPermission(req.user, "orders:read")) {
       return next(new ErrorResponse(`Not authorized to access this order`, 401))
     }
 
@@ -118,9 +212,9 @@ export const getOrderById = async (req, res, next) => {
   }
 }
 
-// @desc    Update order to paid
+// @desc    Update order to paid after verifying the payment with its provider
 // @route   PUT /api/orders/:id/pay
-// @access  Private
+// @access  Private (cash payments: payments:confirm_cash)
 export const updateOrderToPaid = async (req, res, next) => {
   try {
     const order = await Order.findById(req.params.id)
@@ -129,17 +223,42 @@ export const updateOrderToPaid = async (req, res, next) => {
       return next(new ErrorResponse(`Order not found with id of ${req.params.id}`, 404))
     }
 
-    // Update order
-    order.isPaid = true
-    order.paidAt = Date.now()
-    order.paymentResult = {
-      id: req.body.id,
-      status: req.body.status,
-      update_time: req.body.update_time,
-      email_address: req.body.email_address,
+    // Make sure user is order owner or staff who can confirm payments
+    if (order.user.toString() !== req.user.id && !hasPermission(req.user, "payments:confirm_cash")) {
+      return next(new ErrorResponse(`Not authorized to access this order`, 401))
     }
 
-    const updatedOrder = await order.save()
+    if (order.isPaid) {
+      return next(new ErrorResponse("Order is already paid", 400))
+    }
+
+    let paymentResult
+    let confirmedBy
+
+    if (order.paymentMethod === "cash") {
+      // Cash can only be confirmed by staff who received it
+      if (!hasPermission(req.user, "payments:confirm_cash")) {
+        return next(new ErrorResponse("Not authorized to confirm cash payments", 403))
+      }
+
+      paymentResult = {
+        status: "confirmed",
+        update_time: Date.now(),
+        email_address: req.user.email,
+      }
+      confirmedBy = req.user.id
+    } else {
+      // Ask the provider whether the payment really went through
+      paymentResult = await getPaymentProvider(order.paymentMethod).verifyPayment(order, req.body)
+    }
+
+    const updatedOrder = await withTransaction((session) =>
+      markOrderPaid(order, paymentResult, session, { confirmedBy }),
+    )
+
+    if (!updatedOrder) {
+      return next(new ErrorResponse("Order is already paid", 400))
+    }
 
     res.status(200).json({
       success: true,
@@ -152,7 +271,7 @@ export const updateOrderToPaid = async (req, res, next) => {
 
 // @desc    Update order to delivered
 // @route   PUT /api/orders/:id/deliver
-// @access  Private/Admin
+// @access  Private (orders:update_status)
 export const updateOrderToDelivered = async (req, res, next) => {
   try {
     const order = await Order.findById(req.params.id)
@@ -162,9 +281,7 @@ export const updateOrderToDelivered = async (req, res, next) => {
     }
 
     // Update order
-    order.isDelivered = true
-    order.deliveredAt = Date.now()
-    order.status = "delivered"
+    order.transitionTo("delivered", { changedBy: req.user.id, note: req.body.note })
 
     const updatedOrder = await order.save()
 
@@ -179,10 +296,18 @@ export const updateOrderToDelivered = async (req, res, next) => {
 
 // @desc    Update order status
 // @route   PUT /api/orders/:id/status
-// @access  Private/Admin
+// @access  Private (orders:update_status)
 export const updateOrderStatus = async (req, res, next) => {
   try {
-    const { status } = req.body
+    const { status, note } = req.body
+
+    if (!status) {
+      return next(new ErrorResponse("Please provide a status", 400))
+    }
+
+    if (STATUS_ENDPOINTS[status]) {
+      return next(new ErrorResponse(`Orders can only be set to ${status} through ${STATUS_ENDPOINTS[status]}`, 400))
+    }
 
     const order = await Order.findById(req.params.id)
 
@@ -190,14 +315,8 @@ export const updateOrderStatus = async (req, res, next) => {
       return next(new ErrorResponse(`Order not found with id of ${req.params.id}`, 404))
     }
 
-    // Update status
-    order.status = status
-
-    // If status is delivered, update delivered fields
-    if (status === "delivered") {
-      order.isDelivered = true
-      order.deliveredAt = Date.now()
-    }
+    // Update status, validating the transition
+    order.transitionTo(status, { changedBy: req.user.id, note })
 
     const updatedOrder = await order.save()
 
@@ -212,7 +331,7 @@ export const updateOrderStatus = async (req, res, next) => {
 
 // @desc    Delete order
 // @route   DELETE /api/orders/:id
-// @access  Private/Admin
+// @access  Private (orders:delete)
 export const deleteOrder = async (req, res, next) => {
   try {
     const order = await Order.findById(req.params.id)
@@ -231,3 +350,274 @@ export const deleteOrder = async (req, res, next) => {
     next(error)
   }
 }
+
+// @desc    Refund an order in full, by item, or by a custom amount
+// @route   POST /api/orders/:id/refund
+// @access  Private (orders:refund)
+export const refundOrder = async (req, res, next) => {
+  try {
+    const { items, amount, reason, restock } = req.body
+
+    const order = await Order.findById(req.params.id)
+
+    if (!order) {
+      return next(new ErrorResponse(`Order not found with id of ${req.params.id}`, 404))
+    }
+
+    if (!order.isPaid) {
+      return next(new ErrorResponse("Only paid orders can be refunded", 400))
+    }
+
+    const refundable = roundMoney(order.totalPrice - order.amountRefunded)
+    if (refundable <= 0) {
+      return next(new ErrorResponse("Order has already been fully refunded", 400))
+    }
+
+    // Work out which items are refunded and for how much
+    let refundItems = []
+    let refundAmount
+
+    if (items && items.length > 0) {
+      let itemsAmount = 0
+      for (const { itemId, quantity } of items) {
+        const orderItem = order.orderItems.id(itemId)
+        if (!orderItem) {
+          return next(new ErrorResponse(`Order item not found with id of ${itemId}`, 404))
+        }
+
+        const remaining = orderItem.quantity - orderItem.refundedQuantity
+        const qty = quantity === undefined ? remaining : Number(quantity)
+        if (!Number.isInteger(qty) || qty < 1 || qty > remaining) {
+          return next(new ErrorResponse(`Cannot refund ${quantity} of ${orderItem.name}, ${remaining} refundable`, 400))
+        }
+
+        itemsAmount += orderItem.price * qty
+        refundItems.push({
+          orderItem: orderItem._id,
+          product: orderItem.product,
+          variant: orderItem.variant,
+          quantity: qty,
+        })
+      }
+
+      // Take off the share of any coupon discount and refund the tax charged on the items as well
+      const discountedItemsPrice = order.itemsPrice - order.discountAmount
+      const discountRate = order.itemsPrice > 0 ? discountedItemsPrice / order.itemsPrice : 0
+      const taxRate = discountedItemsPrice > 0 ? order.taxPrice / discountedItemsPrice : 0
+      refundAmount = Math.min(roundMoney(itemsAmount * discountRate * (1 + taxRate)), refundable)
+    } else if (amount !== undefined) {
+      refundAmount = roundMoney(Number(amount))
+      if (!(refundAmount > 0)) {
+        return next(new ErrorResponse("Refund amount must be greater than 0", 400))
+      }
+    } else {
+      // Full refund of whatever is left
+      refundAmount = refundable
+      refundItems = order.orderItems
+        .filter((item) => item.quantity > item.refundedQuantity)
+        .map((item) => ({
+          orderItem: item._id,
+          product: item.product,
+          variant: item.variant,
+          quantity: item.quantity - item.refundedQuantity,
+        }))
+    }
+
+    if (refundAmount > refundable) {
+      return next(new ErrorResponse(`Refund amount exceeds the refundable balance of ${refundable}`, 400))
+    }
+
+    // Claim the items and amount on the order before any money moves. Two refunds running at
+    // once can't both claim the same items or balance, so only one of them reaches the provider.
+    const refundEntryId = await withTransaction(async (session) => {
+      const current = await Order.findById(order._id).session(session)
+
+      for (const refundItem of refundItems) {
+        const orderItem = current.orderItems.id(refundItem.orderItem)
+        const remaining = orderItem.quantity - orderItem.refundedQuantity
+        if (refundItem.quantity > remaining) {
+          throw new ErrorResponse(
+            `Cannot refund ${refundItem.quantity} of ${orderItem.name}, ${remaining} refundable`,
+            409,
+          )
+        }
+        orderItem.refundedQuantity += refundItem.quantity
+      }
+
+      const balance = roundMoney(current.totalPrice - current.amountRefunded)
+      if (refundAmount > balance) {
+        throw new ErrorResponse(`Refund amount exceeds the refundable balance of ${balance}`, 409)
+      }
+      current.amountRefunded = roundMoney(current.amountRefunded + refundAmount)
+
+      current.refunds.push({
+        amount: refundAmount,
+        reason,
+        items: refundItems,
+        status: "pending",
+        refundedBy: req.user.id,
+      })
+      await current.save({ session })
+
+      return current.refunds[current.refunds.length - 1]._id
+    })
+
+    // Send the money back through the payment provider; cash is refunded by hand
+    let refundId
+    if (order.paymentMethod !== "cash") {
+      try {
+        const refund = await getPaymentProvider(order.paymentMethod).refundPayment(order, refundAmount, {
+          note: reason,
+          metadata: {
+            orderId: order._id.toString(),
+            refundEntryId: refundEntryId.toString(),
+            refundedBy: req.user.id,
+          },
+        })
+        refundId = refund.id
+      } catch (error) {
+        // No money moved, so give the claim back
+        await withTransaction(async (session) => {
+          const current = await Order.findById(order._id).session(session)
+          for (const refundItem of refundItems) {
+            current.orderItems.id(refundItem.orderItem).refundedQuantity -= refundItem.quantity
+          }
+          current.amountRefunded = roundMoney(current.amountRefunded - refundAmount)
+          current.refunds.pull(refundEntryId)
+          await current.save({ session })
+        })
+        throw error
+      }
+    }
+
+    // Complete the refund entry and put the items back into stock together
+    const updatedOrder = await withTransaction(async (session) => {
+      const current = await Order.findById(order._id).session(session)
+
+      const restocked = Boolean(restock) && refundItems.length > 0
+      if (restocked) {
+        await incrementStock(refundItems, session)
+      }
+
+      // The refund webhook may have completed the entry already
+      current.refunds.id(refundEntryId).set({ refundId, status: "completed", restocked })
+
+      // A cancelled order keeps its status while its payment is refunded, and the
+      // webhook may already have moved the order along
+      const status = current.amountRefunded >= current.totalPrice ? "refunded" : "partially_refunded"
+      if (current.canTransitionTo(status)) {
+        current.transitionTo(status, { changedBy: req.user.id, note: reason })
+      }
+
+      return current.save({ session })
+    })
+
+    res.status(200).json({
+      success: true,
+      data: updatedOrder,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Cancel an order and return its stock
+// @route   PUT /api/orders/:id/cancel
+// @access  Private
+export const cancelOrder = async (req, res, next) => {
+  try {
+    const { reason } = req.body
+
+    const order = await Order.findById(req.params.id)
+
+    if (!order) {
+      return next(new ErrorResponse(`Order not found with id of ${req.params.id}`, 404))
+    }
+
+    // Make sure user is order owner or staff who can cancel orders
+    if (order.user.toString() !== req.user.id && !hasPermission(req.user, "orders:cancel")) {
+      return next(new ErrorResponse(`Not authorized to cancel this order`, 401))
+    }
+
+    if (!["pending", "processing"].includes(order.status)) {
+      return next(new ErrorResponse(`Order cannot be cancelled once it is ${order.status}`, 400))
+    }
+
+    // Void the payment, or refund it if it has already been taken
+    let refund
+    const refundable = roundMoney(order.totalPrice - order.amountRefunded)
+    if (order.paymentMethod !== "cash" && order.paymentResult?.id) {
+      const provider = getPaymentProvider(order.paymentMethod)
+      if (order.isPaid && refundable > 0) {
+        refund = await provider.refundPayment(order, refundable, {
+          note: reason,
+          metadata: {
+            orderId: order._id.toString(),
+            refundedBy: req.user.id,
+          },
+        })
+      } else if (!order.isPaid) {
+        await provider.cancelPayment(order)
+      }
+    }
+
+    const cancelledOrder = await withTransaction(async (session) => {
+      const current = await Order.findById(order._id).session(session)
+
+      // The provider's webhook for the void or refund above may have cancelled or refunded the
+      // order first, which still leaves it cancelled as far as the customer is concerned
+      const settled = ["cancelled", "refunded"].includes(current.status)
+      if (!settled && !current.canTransitionTo("cancelled")) {
+        throw new ErrorResponse(`Order cannot be cancelled once it is ${current.status}`, 400)
+      }
+
+      // An unpaid checkout order only holds a reservation; everything else took stock directly.
+      // Both are only returned once, however often the order is cancelled.
+      if (current.reservation && !current.isPaid) {
+        await releaseReservation({ _id: current.reservation }, session)
+      } else if (!current.cancellation.restockedAt) {
+        const items = current.orderItems
+          .filter((item) => item.quantity > item.refundedQuantity)
+          .map((item) => ({
+            product: item.product,
+            variant: item.variant,
+            quantity: item.quantity - item.refundedQuantity,
+          }))
+        await incrementStock(items, session)
+        current.cancellation.restockedAt = Date.now()
+      }
+
+      // The coupon can be used again
+      await releaseCouponRedemption(current._id, session)
+
+      if (refund && !current.refunds.some((r) => r.refundId === refund.id)) {
+        current.refunds.push({
+          refundId: refund.id,
+          amount: refundable,
+          reason: reason || "Order cancelled",
+          restocked: true,
+          refundedBy: req.user.id,
+        })
+        current.amountRefunded = roundMoney(current.amountRefunded + refundable)
+      }
+
+      if (current.canTransitionTo("cancelled")) {
+        current.transitionTo("cancelled", { changedBy: req.user.id, note: reason })
+      }
+      if (!current.cancellation.cancelledAt) {
+        current.cancellation.cancelledBy = req.user.id
+        current.cancellation.reason = reason
+        current.cancellation.cancelledAt = Date.now()
+      }
+
+      return current.save({ session })
+    })
+
+    res.status(200).json({
+      success: true,
+      data: cancelledOrder,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
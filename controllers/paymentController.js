@@ -1,137 +1,149 @@
-import stripe from "../utils/stripe.js"
 import Order from "../models/Order.js"
-import Product from "../models/Product.js"
-import Cart from "../models/Cart.js"
+import User from "../models/User.js"
+import WebhookEvent from "../models/WebhookEvent.js"
 import { ErrorResponse } from "../utils/errorResponse.js"
+import { reserveStock, releaseReservation } from "../utils/inventory.js"
+import { withTransaction } from "../utils/transaction.js"
+import { priceOrder, roundMoney, toCents } from "../utils/pricing.js"
+import { getPaymentProvider, markOrderPaid } from "../utils/payments/index.js"
+import { verifyIntentForOrder } from "../utils/payments/stripeProvider.js"
+import { resolveCheckoutAddresses } from "../utils/addresses.js"
+import { resolveCheckoutCoupon, redeemCoupon, releaseCouponRedemption } from "../utils/coupons.js"
 
-// @desc    Create payment intent
+// Payment methods that can be used to check out online
+const CHECKOUT_PROVIDERS = ["stripe", "paypal"]
+
+// @desc    Start checkout: create the pending order and its provider payment
 // @route   POST /api/payment/create-payment-intent
 // @access  Private
 export const createPaymentIntent = async (req, res, next) => {
   try {
-    const { items, shipping, paymentMethodType } = req.body
+    const { items, paymentMethod = "stripe", paymentMethodType, couponCode } = req.body
 
-    // Verify items and calculate total
-    let totalAmount = 0
-    const orderItems = []
+    if (!CHECKOUT_PROVIDERS.includes(paymentMethod)) {
+      return next(new ErrorResponse(`Unsupported payment method: ${paymentMethod}`, 400))
+    }
+    const provider = getPaymentProvider(paymentMethod)
 
-    for (const item of items) {
-      const product = await Product.findById(item.product)
-      if (!product) {
-        return next(new ErrorResponse(`Product not found with id: ${item.product}`, 404))
-      }
+    const { shippingAddress, billingAddress } = resolveCheckoutAddresses(req.user, req.body)
+
+    // Price the items on the server
+    const coupon = await resolveCheckoutCoupon(req.user._id, couponCode)
+    const pricing = await priceOrder(items, { coupon, user: req.user._id })
+    const { orderItems, itemsPrice, discountAmount, taxPrice, shippingPrice, totalPrice } = pricing
+
+    // Hold the stock and create the pending order the payment is for
+    const { reservation, order } = await withTransaction(async (session) => {
+      const reservation = await reserveStock({ user: req.user.id, items: orderItems }, session)
+
+      const [order] = await Order.create(
+        [
+          {
+            user: req.user.id,
+            orderItems,
+            shippingAddress,
+            billingAddress,
+            paymentMethod,
+            reservation: reservation._id,
+            itemsPrice,
+            discountAmount,
+            coupon: pricing.coupon,
+            taxPrice,
+            shippingPrice,
+            totalPrice,
+          },
+        ],
+        { session },
+      )
 
-      if (product.stock < item.quantity) {
-        return next(new ErrorResponse(`Product ${product.name} is out of stock`, 400))
+      if (coupon) {
+        await redeemCoupon({ coupon, user: req.user._id, order: order._id, discount: discountAmount }, session)
       }
 
-      totalAmount += product.price * item.quantity
-      orderItems.push({
-        product: product._id,
-        name: product.name,
-        quantity: item.quantity,
-        price: product.price,
-        image: product.images[0]?.url || "",
+      return { reservation, order }
+    })
+
+    // Create the payment with the provider
+    let payment
+    try {
+      payment = await provider.createPayment({ order, user: req.user, reservation, paymentMethodType })
+    } catch (error) {
+      await withTransaction(async (session) => {
+        await releaseReservation({ _id: reservation._id }, session)
+        await releaseCouponRedemption(order._id, session)
+        await Order.deleteOne({ _id: order._id }, { session })
       })
+      throw error
     }
 
-    // Calculate tax and shipping
-    const taxRate = 0.07 // 7% tax
-    const taxAmount = totalAmount * taxRate
-    const shippingAmount = shipping?.price || 0
-    const finalAmount = Math.round((totalAmount + taxAmount + shippingAmount) * 100) // Convert to cents for Stripe
-
-    // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: finalAmount,
-      currency: "usd",
-      payment_method_types: [paymentMethodType || "card"],
-      metadata: {
-        userId: req.user.id,
-        orderId: Date.now().toString(),
-      },
-    })
+    reservation.paymentId = payment.id
+    await reservation.save()
+
+    order.paymentResult = { id: payment.id, status: payment.status }
+    await order.save()
 
     res.status(200).json({
       success: true,
-      clientSecret: paymentIntent.client_secret,
-      amount: finalAmount,
-      id: paymentIntent.id,
+      provider: paymentMethod,
+      clientSecret: payment.clientSecret,
+      approvalUrl: payment.approvalUrl,
+      amount: toCents(totalPrice),
+      id: payment.id,
+      orderId: order._id,
+      reservationExpiresAt: reservation.expiresAt,
     })
   } catch (error) {
     next(error)
   }
 }
 
-// @desc    Process payment and create order
+// @desc    Capture the payment and finalize the order
 // @route   POST /api/payment/process-payment
 // @access  Private
 export const processPayment = async (req, res, next) => {
   try {
-    const { paymentIntentId, shippingAddress } = req.body
-
-    // Retrieve payment intent to verify payment
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId)
+    // paymentIntentId is accepted for clients written against the Stripe-only API
+    const paymentId = req.body.paymentId || req.body.paymentIntentId
 
-    if (paymentIntent.status !== "succeeded") {
-      return next(new ErrorResponse("Payment not successful", 400))
+    if (!paymentId) {
+      return next(new ErrorResponse("Please provide a payment id", 400))
     }
 
-    // Get user's cart
-    const cart = await Cart.findOne({ user: req.user.id }).populate("items.product")
+    // Get the pending order the payment was created for
+    const order = await Order.findOne({ "paymentResult.id": paymentId })
 
-    if (!cart || cart.items.length === 0) {
-      return next(new ErrorResponse("No items in cart", 400))
+    if (!order) {
+      return next(new ErrorResponse("No order found for this payment", 404))
     }
 
-    // Create order items from cart
-    const orderItems = cart.items.map((item) => ({
-      product: item.product._id,
-      name: item.product.name,
-      quantity: item.quantity,
-      price: item.price,
-      image: item.product.images[0]?.url || "",
-    }))
-
-    // Calculate prices
-    const itemsPrice = cart.totalPrice
-    const taxPrice = itemsPrice * 0.07 // 7% tax
-    const shippingPrice = 10 // Fixed shipping price
-    const totalPrice = itemsPrice + taxPrice + shippingPrice
-
-    // Create order
-    const order = await Order.create({
-      user: req.user.id,
-      orderItems,
-      shippingAddress,
-      paymentMethod: "stripe",
-      paymentResult: {
-        id: paymentIntentId,
-        status: paymentIntent.status,
-        update_time: Date.now(),
-        email_address: req.user.email,
-      },
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
-      isPaid: true,
-      paidAt: Date.now(),
-    })
+    if (order.user.toString() !== req.user.id) {
+      return next(new ErrorResponse("Not authorized to use this payment", 403))
+    }
+
+    if (order.isPaid) {
+      return next(new ErrorResponse("This payment has already been processed", 400))
+    }
 
-    // Update product stock
-    for (const item of cart.items) {
-      const product = await Product.findById(item.product._id)
-      product.stock -= item.quantity
-      await product.save()
+    // Don't take money for a checkout that expired and was cancelled
+    if (order.status === "cancelled") {
+      return next(new ErrorResponse("This order has been cancelled, please check out again", 400))
     }
 
-    // Clear cart
-    await Cart.findByIdAndDelete(cart._id)
+    // Capture and verify the amount, currency and owner with the provider
+    const paymentResult = await getPaymentProvider(order.paymentMethod).capturePayment(order)
+
+    // Mark the order paid, take stock and clear the cart as one atomic unit
+    const paidOrder = await withTransaction((session) =>
+      markOrderPaid(order, { ...paymentResult, email_address: paymentResult.email_address || req.user.email }, session),
+    )
 
-    res.status(201).json({
+    if (!paidOrder) {
+      return next(new ErrorResponse("This payment has already been processed", 400))
+    }
+
+    res.status(200).json({
       success: true,
-      data: order,
+      data: paidOrder,
     })
   } catch (error) {
     next(error)
@@ -141,32 +153,38 @@ export const processPayment = async (req, res, next) => {
 // @desc    Handle Stripe webhook
 // @route   POST /api/payment/webhook
 // @access  Public
-export const handleWebhook = async (req, res, next) => {
+export const handleWebhook = (req, res, next) => receiveWebhook("stripe", applyStripeEvent, req, res, next)
+
+// @desc    Handle PayPal webhook
+// @route   POST /api/payment/webhook/paypal
+// @access  Public
+export const handlePayPalWebhook = (req, res, next) => receiveWebhook("paypal", applyPayPalEvent, req, res, next)
+
+// Verify a provider webhook, then record the event and apply it in one transaction.
+// A replayed event fails on the unique eventId and is acknowledged without being applied twice.
+const receiveWebhook = async (providerName, applyEvent, req, res, next) => {
   try {
-    const sig = req.headers["stripe-signature"]
     let event
 
     // Verify webhook signature
     try {
-      event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET)
+      event = await getPaymentProvider(providerName).verifyWebhook(req)
     } catch (err) {
       return res.status(400).send(`Webhook Error: ${err.message}`)
     }
 
-    // Handle the event
-    switch (event.type) {
-      case "payment_intent.succeeded":
-        const paymentIntent = event.data.object
-        console.log("PaymentIntent was successful:", paymentIntent.id)
-        // You can add additional logic here if needed
-        break
-      case "payment_intent.payment_failed":
-        const failedPayment = event.data.object
-        console.log("Payment failed:", failedPayment.id)
-        // You can add failure handling logic here
-        break
-      default:
-        console.log(`Unhandled event type ${event.type}`)
+    const type = event.type || event.event_type
+
+    try {
+      await withTransaction(async (session) => {
+        await WebhookEvent.create([{ eventId: event.id, provider: providerName, type }], { session })
+        await applyEvent(event, session)
+      })
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern?.eventId) {
+        return res.status(200).json({ received: true, duplicate: true })
+      }
+      throw error
     }
 
     // Return a 200 response to acknowledge receipt of the event
@@ -175,3 +193,239 @@ export const handleWebhook = async (req, res, next) => {
     next(error)
   }
 }
+
+// Dispatch a verified Stripe event to its handler
+const applyStripeEvent = async (event, session) => {
+  const object = event.data.object
+
+  switch (event.type) {
+    case "payment_intent.succeeded":
+      await handlePaymentSucceeded(object, session)
+      break
+    case "payment_intent.payment_failed":
+      await handlePaymentFailed(object, session, false)
+      break
+    case "payment_intent.canceled":
+      await handlePaymentFailed(object, session, true)
+      break
+    case "charge.refunded":
+      await handleChargeRefunded(object, session)
+      break
+    case "charge.dispute.created":
+      await handleDisputeCreated(object, session)
+      break
+    default:
+      console.log(`Unhandled event type ${event.type}`)
+  }
+}
+
+// Mark the order a succeeded PaymentIntent was created for as paid
+const handlePaymentSucceeded = async (paymentIntent, session) => {
+  const order = await Order.findById(paymentIntent.metadata?.orderId).session(session)
+  if (!order) {
+    return
+  }
+
+  if (order.isPaid) {
+    return
+  }
+
+  // The money was taken but doesn't pay this order, so staff have to sort it out
+  const mismatch = verifyIntentForOrder(paymentIntent, order)
+  if (mismatch) {
+    await flagRejectedPayment(order, `PaymentIntent ${paymentIntent.id} rejected: ${mismatch.message}`, session)
+    return
+  }
+
+  const user = await User.findById(order.user).session(session)
+
+  await markOrderPaid(order, toPaymentResult(paymentIntent, user?.email), session)
+}
+
+// Give the held stock back and cancel the unpaid order
+const handlePaymentFailed = async (paymentIntent, session, cancelled) => {
+  await releaseReservation({ paymentId: paymentIntent.id }, session)
+
+  if (cancelled) {
+    const order = await Order.findOne({ "paymentResult.id": paymentIntent.id, isPaid: false }).session(session)
+    if (order?.canTransitionTo("cancelled")) {
+      await releaseCouponRedemption(order._id, session)
+      order.transitionTo("cancelled", { note: "PaymentIntent was cancelled" })
+      order.paymentResult.status = paymentIntent.status
+      await order.save({ session })
+    }
+  }
+}
+
+// Sync a full or partial refund onto the order. Refunds issued outside the refund
+// endpoint (e.g. from the Stripe dashboard) are added to the refund history.
+const handleChargeRefunded = async (charge, session) => {
+  const order = await Order.findOne({ "paymentResult.id": charge.payment_intent }).session(session)
+  if (!order) {
+    return
+  }
+
+  for (const refund of charge.refunds?.data || []) {
+    const claimed = findRefundEntry(order, refund.id, refund.metadata?.refundEntryId)
+    if (claimed) {
+      claimed.set({ refundId: refund.id, status: "completed" })
+    } else {
+      order.refunds.push({
+        refundId: refund.id,
+        amount: refund.amount / 100,
+        reason: refund.reason,
+        createdAt: new Date(refund.created * 1000),
+      })
+    }
+  }
+
+  // Stripe's total plus what the refund endpoint has claimed but not yet sent to Stripe
+  const pending = order.refunds.filter((refund) => refund.status === "pending")
+  const pendingAmount = pending.reduce((sum, refund) => sum + refund.amount, 0)
+  order.amountRefunded = roundMoney(charge.amount_refunded / 100 + pendingAmount)
+  const status = charge.refunded ? "refunded" : "partially_refunded"
+  if (order.canTransitionTo(status)) {
+    order.transitionTo(status, { note: "Refund reported by Stripe" })
+  }
+  order.paymentResult.status = charge.refunded ? "refunded" : "partially_refunded"
+  order.paymentResult.update_time = Date.now()
+  await order.save({ session })
+}
+
+// Flag the order when the customer disputes the charge
+const handleDisputeCreated = async (dispute, session) => {
+  let paymentIntentId = dispute.payment_intent
+  if (!paymentIntentId) {
+    paymentIntentId = await getPaymentProvider("stripe").paymentIdForCharge(dispute.charge)
+  }
+
+  const order = await Order.findOne({ "paymentResult.id": paymentIntentId }).session(session)
+  if (!order) {
+    return
+  }
+
+  order.dispute = {
+    id: dispute.id,
+    reason: dispute.reason,
+    status: dispute.status,
+    amount: dispute.amount / 100,
+    createdAt: new Date(dispute.created * 1000),
+  }
+  await order.save({ session })
+}
+
+// Dispatch a verified PayPal event to its handler
+const applyPayPalEvent = async (event, session) => {
+  const resource = event.resource
+
+  switch (event.event_type) {
+    case "PAYMENT.CAPTURE.COMPLETED":
+      await handlePayPalCaptureCompleted(resource, session)
+      break
+    case "PAYMENT.CAPTURE.DENIED":
+      await handlePayPalCaptureDenied(resource, session)
+      break
+    case "PAYMENT.CAPTURE.REFUNDED":
+      await handlePayPalCaptureRefunded(resource, session)
+      break
+  }
+}
+
+// Mark the order a completed PayPal capture belongs to as paid
+const handlePayPalCaptureCompleted = async (capture, session) => {
+  const paypalOrderId = capture.supplementary_data?.related_ids?.order_id
+  const order = await Order.findOne({ "paymentResult.id": paypalOrderId }).session(session)
+  if (!order) {
+    return
+  }
+
+  if (order.isPaid) {
+    return
+  }
+
+  if (capture.custom_id !== order._id.toString() || capture.amount?.value !== order.totalPrice.toFixed(2)) {
+    await flagRejectedPayment(order, `PayPal capture ${capture.id} rejected: payment does not match the order`, session)
+    return
+  }
+
+  const user = await User.findById(order.user).session(session)
+
+  await markOrderPaid(
+    order,
+    {
+      id: paypalOrderId,
+      captureId: capture.id,
+      status: capture.status,
+      update_time: capture.update_time || Date.now(),
+      email_address: user?.email,
+    },
+    session,
+  )
+}
+
+// Give the held stock back and cancel the unpaid order
+const handlePayPalCaptureDenied = async (capture, session) => {
+  const paypalOrderId = capture.supplementary_data?.related_ids?.order_id
+  await releaseReservation({ paymentId: paypalOrderId }, session)
+
+  const order = await Order.findOne({ "paymentResult.id": paypalOrderId, isPaid: false }).session(session)
+  if (order?.canTransitionTo("cancelled")) {
+    await releaseCouponRedemption(order._id, session)
+    order.transitionTo("cancelled", { note: "PayPal capture was denied" })
+    order.paymentResult.status = capture.status
+    await order.save({ session })
+  }
+}
+
+// Add a PayPal refund to the order's refund history
+const handlePayPalCaptureRefunded = async (refund, session) => {
+  // The refund links back to the capture it was made against
+  const captureUrl = refund.links?.find((link) => link.rel === "up")?.href
+  const captureId = captureUrl?.split("/").pop()
+
+  const order = await Order.findOne({ "paymentResult.captureId": captureId }).session(session)
+  if (!order) {
+    return
+  }
+
+  // A refund made through the refund endpoint was counted when it was claimed
+  const claimed = findRefundEntry(order, refund.id, refund.custom_id)
+  if (claimed) {
+    claimed.set({ refundId: refund.id, status: "completed" })
+    await order.save({ session })
+    return
+  }
+
+  order.refunds.push({
+    refundId: refund.id,
+    amount: Number(refund.amount.value),
+    reason: refund.note_to_payer,
+  })
+  order.amountRefunded = roundMoney(order.amountRefunded + Number(refund.amount.value))
+
+  const status = order.amountRefunded >= order.totalPrice ? "refunded" : "partially_refunded"
+  if (order.canTransitionTo(status)) {
+    order.transitionTo(status, { note: "Refund reported by PayPal" })
+  }
+  await order.save({ session })
+}
+
+// Find the order's refund entry for a provider refund, by its id or by the entry id the
+// refund endpoint sent along with it
+const findRefundEntry = (order, refundId, refundEntryId) =>
+  order.refunds.find((recorded) => recorded.refundId === refundId || recorded._id.toString() === refundEntryId)
+
+// Flag an unpaid order whose provider reported a payment that doesn't match it
+const flagRejectedPayment = async (order, reason, session) => {
+  order.needsReview = true
+  order.reviewReason = reason
+  await order.save({ session })
+}
+
+// Build the order's paymentResult from a PaymentIntent
+const toPaymentResult = (paymentIntent, email) => ({
+  id: paymentIntent.id,
+  status: paymentIntent.status,
+  update_time: Date.now(),
+  email_address: email,
+})
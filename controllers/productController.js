@@ -1,14 +1,81 @@
 import Product from "../models/Product.js"
 import Category from "../models/Category.js"
+import PriceHistory from "../models/PriceHistory.js"
 import { ErrorResponse } from "../utils/errorResponse.js"
 import { uploadImage, deleteImage } from "../utils/cloudinary.js"
+import { defineQuerySpec, parseListQuery, parsePageQuery } from "../utils/queryFilter.js"
+import { paginateQuery, paginateArray, pageMeta } from "../utils/pagination.js"
+import { parseSearchFilters, buildSearchMatch, searchFacets, formatFacets } from "../utils/productSearch.js"
+
+// Filters, sorts and fields allowed on the product listing
+const PRODUCT_QUERY_SPEC = defineQuerySpec({
+  filters: {
+    category: { type: "objectId", operators: ["eq", "in"] },
+    price: { type: "number", operators: ["eq", "gt", "gte", "lt", "lte"] },
+    discountPrice: { type: "number", operators: ["eq", "gt", "gte", "lt", "lte"] },
+    stock: { type: "number", operators: ["eq", "gt", "gte", "lt", "lte"] },
+    averageRating: { type: "number", operators: ["gt", "gte", "lt", "lte"] },
+    numReviews: { type: "number", operators: ["gt", "gte", "lt", "lte"] },
+    featured: { type: "boolean" },
+    slug: {},
+    "variants.sku": {},
+    createdAt: { type: "date", operators: ["gt", "gte", "lt", "lte"] },
+  },
+  sort: ["name", "price", "discountPrice", "stock", "averageRating", "numReviews", "createdAt"],
+  select: [
+    "name",
+    "slug",
+    "description",
+    "price",
+    "discountPrice",
+    "discountStartsAt",
+    "discountEndsAt",
+    "category",
+    "stock",
+    "images",
+    "featured",
+    "options",
+    "variants",
+    "averageRating",
+    "numReviews",
+    "createdAt",
+  ],
+})
+
+// Filters and sorts allowed on a product's price history
+const PRICE_HISTORY_QUERY_SPEC = defineQuerySpec({
+  filters: {
+    variant: { type: "objectId" },
+    sku: {},
+    createdAt: { type: "date", operators: ["gt", "gte", "lt", "lte"] },
+  },
+  sort: ["createdAt"],
+  defaultLimit: 20,
+})
+
+// Sorts allowed on a product's reviews
+const REVIEW_QUERY_SPEC = defineQuerySpec({
+  sort: ["createdAt", "rating"],
+})
 
 // @desc    Create new product
 // @route   POST /api/products
-// @access  Private/Admin
+// @access  Private (products:write)
 export const createProduct = async (req, res, next) => {
   try {
-    const { name, description, price, category, stock, featured } = req.body
+    const {
+      name,
+      description,
+      price,
+      discountPrice,
+      discountStartsAt,
+      discountEndsAt,
+      category,
+      stock,
+      featured,
+      options,
+      variants,
+    } = req.body
 
     // Check if category exists
     const categoryExists = await Category.findById(category)
@@ -30,12 +97,19 @@ export const createProduct = async (req, res, next) => {
       name,
       description,
       price,
+      discountPrice,
+      discountStartsAt,
+      discountEndsAt,
       category,
       stock,
       featured: featured || false,
       images,
+      options,
+      variants: variants ? await uploadVariantImages(variants) : undefined,
     })
 
+    await PriceHistory.recordChanges(product, null, req.user.id)
+
     res.status(201).json({
       success: true,
       data: product,
@@ -50,71 +124,69 @@ export const createProduct = async (req, res, next) => {
 // @access  Public
 export const getProducts = async (req, res, next) => {
   try {
-    // Copy req.query
-    const reqQuery = { ...req.query }
+    const { filter, sort, select, page, limit, cursor } = parseListQuery(req.query, PRODUCT_QUERY_SPEC)
 
-    // Fields to exclude
-    const removeFields = ["select", "sort", "page", "limit"]
+    const { data: products, total, pagination } = await paginateQuery(
+      Product,
+      filter,
+      { sort, select, page, limit, cursor },
+      (query) => query.populate("category", "name"),
+    )
 
-    // Loop over removeFields and delete them from reqQuery
-    removeFields.forEach((param) => delete reqQuery[param])
-
-    // Create query string
-    let queryStr = JSON.stringify(reqQuery)
-
-    // Create operators ($gt, $gte, etc)
-    queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, (match) => `$${match}`)
-
-    // Finding resource
-    let query = Product.find(JSON.parse(queryStr)).populate("category", "name")
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      total,
+      pagination,
+      data: products,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
 
-    // Select Fields
-    if (req.query.select) {
-      const fields = req.query.select.split(",").join(" ")
-      query = query.select(fields)
+// @desc    Search products by relevance, with facet counts for filtering
+// @route   GET /api/products/search
+// @access  Public
+export const searchProducts = async (req, res, next) => {
+  try {
+    const q = String(req.query.q || "").trim()
+    if (!q) {
+      return next(new ErrorResponse("Please provide a search query", 400))
     }
 
-    // Sort
-    if (req.query.sort) {
-      const sortBy = req.query.sort.split(",").join(" ")
-      query = query.sort(sortBy)
-    } else {
-      query = query.sort("-createdAt")
-    }
+    const filter = parseSearchFilters(req.query)
+    const { mode, match, score } = await buildSearchMatch(Product, q, filter)
 
     // Pagination
-    const page = Number.parseInt(req.query.page, 10) || 1
-    const limit = Number.parseInt(req.query.limit, 10) || 10
+    const { page, limit } = parsePageQuery(req.query)
     const startIndex = (page - 1) * limit
-    const endIndex = page * limit
-    const total = await Product.countDocuments(JSON.parse(queryStr))
-
-    query = query.skip(startIndex).limit(limit)
-
-    // Executing query
-    const products = await query
 
-    // Pagination result
-    const pagination = {}
-
-    if (endIndex < total) {
-      pagination.next = {
-        page: page + 1,
-        limit,
-      }
-    }
-
-    if (startIndex > 0) {
-      pagination.prev = {
-        page: page - 1,
-        limit,
-      }
-    }
+    const [result] = await Product.aggregate([
+      { $match: match },
+      { $addFields: { score } },
+      {
+        $facet: {
+          results: [{ $sort: { score: -1, _id: 1 } }, { $skip: startIndex }, { $limit: limit }],
+          total: [{ $count: "count" }],
+          ...searchFacets(),
+        },
+      },
+    ])
+
+    const total = result.total[0]?.count || 0
+    const products = await Product.populate(result.results, { path: "category", select: "name" })
+    const categories = await Category.find({ _id: { $in: result.categories.map((bucket) => bucket._id) } }).select(
+      "name slug",
+    )
 
     res.status(200).json({
       success: true,
       count: products.length,
-      pagination,
+      total,
+      mode,
+      pagination: pageMeta(page, limit, total),
+      facets: formatFacets(result, categories),
       data: products,
     })
   } catch (error) {
@@ -144,10 +216,10 @@ export const getProduct = async (req, res, next) => {
 
 // @desc    Update product
 // @route   PUT /api/products/:id
-// @access  Private/Admin
+// @access  Private (products:write)
 export const updateProduct = async (req, res, next) => {
   try {
-    let product = await Product.findById(req.params.id)
+    const product = await Product.findById(req.params.id)
 
     if (!product) {
       return next(new ErrorResponse(`Product not found with id of ${req.params.id}`, 404))
@@ -169,11 +241,25 @@ export const updateProduct = async (req, res, next) => {
       req.body.images = images
     }
 
-    // Update product
-    product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    })
+    // Upload new variant images and drop the ones no longer used
+    if (req.body.variants) {
+      req.body.variants = await uploadVariantImages(req.body.variants)
+
+      const keptImages = new Set(variantImageIds(req.body.variants))
+      for (const publicId of variantImageIds(product.variants)) {
+        if (!keptImages.has(publicId)) {
+          await deleteImage(publicId)
+        }
+      }
+    }
+
+    const pricesBefore = PriceHistory.snapshot(product)
+
+    // Save (rather than findByIdAndUpdate) so variants and discounts are validated and stock totals recomputed
+    product.set(req.body)
+    await product.save()
+
+    await PriceHistory.recordChanges(product, pricesBefore, req.user.id)
 
     res.status(200).json({
       success: true,
@@ -186,7 +272,7 @@ export const updateProduct = async (req, res, next) => {
 
 // @desc    Delete product
 // @route   DELETE /api/products/:id
-// @access  Private/Admin
+// @access  Private (products:write)
 export const deleteProduct = async (req, res, next) => {
   try {
     const product = await Product.findById(req.params.id)
@@ -199,6 +285,9 @@ export const deleteProduct = async (req, res, next) => {
     for (const image of product.images) {
       await deleteImage(image.public_id)
     }
+    for (const publicId of variantImageIds(product.variants)) {
+      await deleteImage(publicId)
+    }
 
     await product.deleteOne()
 
@@ -211,6 +300,68 @@ export const deleteProduct = async (req, res, next) => {
   }
 }
 
+// @desc    Get product reviews
+// @route   GET /api/products/:id/reviews
+// @access  Public
+export const getProductReviews = async (req, res, next) => {
+  try {
+    const { sort, page, limit, cursor } = parseListQuery(req.query, REVIEW_QUERY_SPEC)
+
+    const product = await Product.findById(req.params.id)
+      .select("ratings averageRating numReviews")
+      .populate({ path: "ratings.user", select: "name" })
+
+    if (!product) {
+      return next(new ErrorResponse(`Product not found with id of ${req.params.id}`, 404))
+    }
+
+    const { data: reviews, total, pagination } = paginateArray(product.ratings, { sort, page, limit, cursor })
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      total,
+      averageRating: product.averageRating,
+      pagination,
+      data: reviews,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get product price history
+// @route   GET /api/products/:id/price-history
+// @access  Private (products:write)
+export const getPriceHistory = async (req, res, next) => {
+  try {
+    const { filter, sort, page, limit, cursor } = parseListQuery(req.query, PRICE_HISTORY_QUERY_SPEC)
+
+    const product = await Product.findById(req.params.id).select("_id")
+    if (!product) {
+      return next(new ErrorResponse(`Product not found with id of ${req.params.id}`, 404))
+    }
+    filter.product = product._id
+
+    const { data: history, total, pagination } = await paginateQuery(
+      PriceHistory,
+      filter,
+      { sort, page, limit, cursor },
+      (query) => query.populate({ path: "changedBy", select: "name" }),
+    )
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      total,
+      pagination,
+      data: history,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 // @desc    Add product review
 // @route   POST /api/products/:id/reviews
 // @access  Private
@@ -251,3 +402,21 @@ export const addProductReview = async (req, res, next) => {
     next(error)
   }
 }
+
+// Upload variant images sent as new files; images that were already uploaded are kept
+const uploadVariantImages = async (variants) => {
+  for (const variant of variants) {
+    if (!variant.images) continue
+
+    const images = []
+    for (const image of variant.images) {
+      images.push(image?.public_id ? image : await uploadImage(image, "products"))
+    }
+    variant.images = images
+  }
+  return variants
+}
+
+// Cloudinary ids of every variant image
+const variantImageIds = (variants = []) =>
+  variants.flatMap((variant) => (variant.images || []).map((image) => image.public_id))
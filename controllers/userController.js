@@ -0,0 +1,221 @@
+import User from "../models/User.js"
+import Order from "../models/Order.js"
+import Cart from "../models/Cart.js"
+import RefreshToken from "../models/RefreshToken.js"
+import { ErrorResponse } from "../utils/errorResponse.js"
+import { ROLES, ROLE_PERMISSIONS } from "../utils/permissions.js"
+import { ensureAnotherAdmin, anonymizeAccount } from "../utils/accounts.js"
+import { defineQuerySpec, parseListQuery } from "../utils/queryFilter.js"
+import { paginateQuery } from "../utils/pagination.js"
+import { withTransaction } from "../utils/transaction.js"
+
+// Filters, sorts and fields allowed on the user listing; `q` searches name and email
+const USERS_QUERY_SPEC = defineQuerySpec({
+  filters: {
+    role: { values: ROLES, operators: ["eq", "ne", "in"] },
+    suspended: { type: "boolean", field: "isSuspended" },
+    isEmailVerified: { type: "boolean" },
+    createdAt: { type: "date", operators: ["gt", "gte", "lt", "lte"] },
+  },
+  sort: ["name", "email", "role", "createdAt"],
+  select: ["name", "email", "role", "phone", "isEmailVerified", "isSuspended", "suspension", "createdAt"],
+  params: ["q"],
+  defaultLimit: 20,
+})
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// Revoke every access and refresh token the user holds
+const revokeSessions = async (user, session) => {
+  user.tokenVersion += 1
+  await RefreshToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: Date.now() }, { session })
+}
+
+// @desc    Get all users
+// @route   GET /api/users
+// @access  Private (users:read)
+export const getUsers = async (req, res, next) => {
+  try {
+    const { filter, sort, select, page, limit, cursor } = parseListQuery(req.query, USERS_QUERY_SPEC)
+
+    // Search by name or email
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegex(String(req.query.q)), "i")
+      filter.$or = [{ name: pattern }, { email: pattern }]
+    }
+
+    const { data: users, total, pagination } = await paginateQuery(User, filter, { sort, select, page, limit, cursor })
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      total,
+      pagination,
+      data: users,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    List the roles and the permissions each one grants
+// @route   GET /api/users/roles
+// @access  Private (users:manage_roles)
+export const getRoles = async (req, res, next) => {
+  try {
+    const roles = ROLES.map((role) => ({ role, permissions: ROLE_PERMISSIONS[role] }))
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get single user
+// @route   GET /api/users/:id
+// @access  Private (users:read)
+export const getUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404))
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Change user role
+// @route   PUT /api/users/:id/role
+// @access  Private (users:manage_roles)
+export const updateUserRole = async (req, res, next) => {
+  try {
+    const { role } = req.body
+
+    if (!ROLES.includes(role)) {
+      return next(new ErrorResponse(`Role must be one of: ${ROLES.join(", ")}`, 400))
+    }
+
+    // Re-read the user in the transaction so a retry checks the role it has now
+    const user = await withTransaction(async (session) => {
+      const current = await User.findById(req.params.id).session(session)
+      if (!current) {
+        throw new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+      }
+
+      if (role !== "admin") {
+        await ensureAnotherAdmin(current, session)
+      }
+
+      current.role = role
+      return current.save({ session })
+    })
+
+    res.status(200).json({
+      success: true,
+      data: user,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Suspend or reinstate a user
+// @route   PUT /api/users/:id/suspend
+// @access  Private (users:write)
+export const suspendUser = async (req, res, next) => {
+  try {
+    const { suspended = true, reason } = req.body
+
+    if (suspended && req.params.id === req.user.id) {
+      return next(new ErrorResponse("You cannot suspend your own account", 400))
+    }
+
+    // Re-read the user in the transaction so a retry checks the state it has now
+    const user = await withTransaction(async (session) => {
+      const current = await User.findById(req.params.id).session(session)
+      if (!current) {
+        throw new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+      }
+
+      if (suspended) {
+        await ensureAnotherAdmin(current, session)
+
+        current.isSuspended = true
+        current.suspension = {
+          reason,
+          suspendedAt: Date.now(),
+          suspendedBy: req.user.id,
+        }
+
+        // Log the user out everywhere
+        await revokeSessions(current, session)
+      } else {
+        current.isSuspended = false
+        current.suspension = undefined
+      }
+
+      return current.save({ session, validateBeforeSave: false })
+    })
+
+    res.status(200).json({
+      success: true,
+      data: user,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Delete a user (anonymised by default, ?hard=true to remove users without orders)
+// @route   DELETE /api/users/:id
+// @access  Private (users:write)
+export const deleteUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404))
+    }
+
+    if (user._id.toString() === req.user.id) {
+      return next(new ErrorResponse("You cannot delete your own account here", 400))
+    }
+
+    if (req.query.hard === "true") {
+      await withTransaction(async (session) => {
+        await ensureAnotherAdmin(user, session)
+
+        // Orders are financial records and must keep their customer
+        const orderCount = await Order.countDocuments({ user: user._id }).session(session)
+        if (orderCount > 0) {
+          throw new ErrorResponse(`User has ${orderCount} order(s) and can only be anonymised`, 400)
+        }
+
+        await Cart.deleteOne({ user: user._id }, { session })
+        await RefreshToken.deleteMany({ user: user._id }, { session })
+        await user.deleteOne({ session })
+      })
+    } else {
+      await anonymizeAccount(user)
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    })
+  } catch (error) {
+    next(error)
+  }
+}
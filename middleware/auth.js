@@ -2,6 +2,7 @@ import jwt from "jsonwebtoken"
 import { promisify } from "util"
 import User from "../models/User.js"
 import { ErrorResponse } from "../utils/errorResponse.js"
+import { hasPermission, STAFF_ROLES } from "../utils/permissions.js"
 
 // Protect routes
 export const protect = async (req, res, next) => {
@@ -21,6 +22,11 @@ export const protect = async (req, res, next) => {
     // Verify token
     const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET)
 
+    // Tokens signed for other purposes (e.g. email verification) are not access tokens
+    if (decoded.purpose) {
+      return next(new ErrorResponse("Not authorized to access this route", 401))
+    }
+
     // Get user from the token
     const user = await User.findById(decoded.id)
 
@@ -28,6 +34,15 @@ export const protect = async (req, res, next) => {
       return next(new ErrorResponse("No user found with this id", 404))
     }
 
+    if (user.isSuspended) {
+      return next(new ErrorResponse("This account has been suspended", 403))
+    }
+
+    // Reject tokens issued before the user's tokens were revoked
+    if ((decoded.v ?? 0) !== user.tokenVersion) {
+      return next(new ErrorResponse("Token has been revoked, please log in again", 401))
+    }
+
     // Set user in request
     req.user = user
     next()
@@ -42,6 +57,43 @@ export const authorize = (...roles) => {
     if (!roles.includes(req.user.role)) {
       return next(new ErrorResponse(`User role ${req.user.role} is not authorized to access this route`, 403))
     }
+
+    const twoFactorError = checkStaffTwoFactor(req.user)
+    if (twoFactorError) {
+      return next(twoFactorError)
+    }
+    next()
+  }
+}
+
+// Grant access to users whose role has every one of the permissions
+export const authorizePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.find((permission) => !hasPermission(req.user, permission))
+    if (missing) {
+      return next(new ErrorResponse(`User role ${req.user.role} is missing the ${missing} permission`, 403))
+    }
+
+    const twoFactorError = checkStaffTwoFactor(req.user)
+    if (twoFactorError) {
+      return next(twoFactorError)
+    }
     next()
   }
 }
+
+// Require the logged in user to have verified their email address
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.isEmailVerified) {
+    return next(new ErrorResponse("Please verify your email address to access this route", 403))
+  }
+  next()
+}
+
+// Staff accounts can be required to enroll in two-factor authentication first
+const checkStaffTwoFactor = (user) => {
+  if (STAFF_ROLES.includes(user.role) && process.env.REQUIRE_ADMIN_2FA === "true" && !user.twoFactor?.enabled) {
+    return new ErrorResponse("Two-factor authentication must be enabled for staff accounts", 403)
+  }
+  return null
+}
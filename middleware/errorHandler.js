@@ -28,5 +28,6 @@ export const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     error: error.message || "Server Error",
+    ...(error.details && { details: error.details }),
   })
 }
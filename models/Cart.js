@@ -6,6 +6,8 @@ const cartItemSchema = new mongoose.Schema({
     ref: "Product",
     required: true,
   },
+  // Chosen variant, for products with variants
+  variant: mongoose.Schema.Types.ObjectId,
   quantity: {
     type: Number,
     required: true,
@@ -26,6 +28,24 @@ const cartSchema = new mongoose.Schema(
       required: true,
     },
     items: [cartItemSchema],
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+    },
+    // Why the applied coupon currently takes nothing off, e.g. the minimum spend isn't met
+    couponError: String,
+    subtotal: {
+      type: Number,
+      default: 0,
+    },
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    freeShipping: {
+      type: Boolean,
+      default: false,
+    },
     totalPrice: {
       type: Number,
       default: 0,
@@ -36,7 +56,8 @@ const cartSchema = new mongoose.Schema(
 
 // Calculate total price before saving
 cartSchema.pre("save", async function (next) {
-  this.totalPrice = this.items.reduce((total, item) => total + item.price * item.quantity, 0)
+  this.subtotal = Math.round(this.items.reduce((total, item) => total + item.price * item.quantity, 0) * 100) / 100
+  this.totalPrice = Math.max(0, Math.round((this.subtotal - this.discount) * 100) / 100)
   next()
 })
 
@@ -0,0 +1,92 @@
+import mongoose from "mongoose"
+
+export const COUPON_TYPES = ["percent", "fixed", "free_shipping"]
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Please provide a coupon code"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{3,32}$/, "Coupon codes are 3 to 32 letters, digits, dashes or underscores"],
+    },
+    description: String,
+    type: {
+      type: String,
+      required: [true, "Please provide a coupon type"],
+      enum: COUPON_TYPES,
+    },
+    // Percentage for percent coupons, amount off for fixed coupons, unused for free shipping
+    value: {
+      type: Number,
+      default: 0,
+      min: [0, "Coupon value cannot be negative"],
+      validate: {
+        validator: function (value) {
+          return this.type !== "percent" || (value > 0 && value <= 100)
+        },
+        message: "Percent coupons need a value between 0 and 100",
+      },
+    },
+    // Minimum items total the order needs to reach
+    minSpend: {
+      type: Number,
+      default: 0,
+      min: [0, "Minimum spend cannot be negative"],
+    },
+    // Total redemptions allowed across all users; unlimited when not set
+    usageLimit: {
+      type: Number,
+      min: [1, "Usage limit must be at least 1"],
+    },
+    perUserLimit: {
+      type: Number,
+      min: [1, "Per-user limit must be at least 1"],
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+    startsAt: Date,
+    expiresAt: Date,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // When either list is set, only matching items count towards the discount
+    products: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+    categories: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true },
+)
+
+// Check whether an item counts towards the coupon's discount
+couponSchema.methods.appliesTo = function ({ product, category }) {
+  if (this.products.length === 0 && this.categories.length === 0) {
+    return true
+  }
+  return (
+    this.products.some((id) => id.toString() === product?.toString()) ||
+    this.categories.some((id) => id.toString() === category?.toString())
+  )
+}
+
+const Coupon = mongoose.model("Coupon", couponSchema)
+
+export default Coupon
@@ -0,0 +1,39 @@
+import mongoose from "mongoose"
+
+// A coupon used on an order. Released redemptions (e.g. the order was cancelled) no longer
+// count towards the coupon's limits.
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    code: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      unique: true,
+    },
+    discount: Number,
+    status: {
+      type: String,
+      enum: ["active", "released"],
+      default: "active",
+    },
+    releasedAt: Date,
+  },
+  { timestamps: true },
+)
+
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 })
+
+const CouponRedemption = mongoose.model("CouponRedemption", couponRedemptionSchema)
+
+export default CouponRedemption
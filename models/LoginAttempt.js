@@ -0,0 +1,26 @@
+import mongoose from "mongoose"
+
+// Failed login counters for the Mongo-backed login throttle store
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+})
+
+// Let MongoDB remove counters once they have expired
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema)
+
+export default LoginAttempt
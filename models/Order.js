@@ -1,4 +1,18 @@
 import mongoose from "mongoose"
+import { ErrorResponse } from "../utils/errorResponse.js"
+
+// Allowed moves between order statuses
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ["processing", "cancelled", "partially_refunded", "refunded"],
+  processing: ["shipped", "cancelled", "partially_refunded", "refunded"],
+  shipped: ["delivered", "partially_refunded", "refunded"],
+  delivered: ["partially_refunded", "refunded"],
+  partially_refunded: ["partially_refunded", "refunded"],
+  cancelled: [],
+  refunded: [],
+}
+
+export const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS)
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -6,6 +20,13 @@ const orderItemSchema = new mongoose.Schema({
     ref: "Product",
     required: true,
   },
+  // Snapshot of the variant bought, for products with variants
+  variant: mongoose.Schema.Types.ObjectId,
+  sku: String,
+  options: {
+    type: Map,
+    of: String,
+  },
   name: {
     type: String,
     required: true,
@@ -23,6 +44,66 @@ const orderItemSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+  },
+})
+
+const refundSchema = new mongoose.Schema({
+  refundId: String,
+  amount: {
+    type: Number,
+    required: true,
+  },
+  reason: String,
+  items: [
+    {
+      orderItem: mongoose.Schema.Types.ObjectId,
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+      variant: mongoose.Schema.Types.ObjectId,
+      quantity: Number,
+    },
+  ],
+  restocked: {
+    type: Boolean,
+    default: false,
+  },
+  // "pending" while the refund endpoint has claimed the items and amount but the provider
+  // hasn't confirmed the refund yet
+  status: {
+    type: String,
+    enum: ["pending", "completed"],
+    default: "completed",
+  },
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+const statusHistorySchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  note: String,
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
 })
 
 const orderSchema = new mongoose.Schema(
@@ -34,10 +115,20 @@ const orderSchema = new mongoose.Schema(
     },
     orderItems: [orderItemSchema],
     shippingAddress: {
+      fullName: String,
       address: { type: String, required: true },
       city: { type: String, required: true },
       postalCode: { type: String, required: true },
       country: { type: String, required: true },
+      phone: String,
+    },
+    billingAddress: {
+      fullName: String,
+      address: String,
+      city: String,
+      postalCode: String,
+      country: String,
+      phone: String,
     },
     paymentMethod: {
       type: String,
@@ -46,15 +137,33 @@ const orderSchema = new mongoose.Schema(
     },
     paymentResult: {
       id: String,
+      captureId: String,
       status: String,
       update_time: String,
       email_address: String,
     },
+    // Stock held for a checkout that has not been paid yet
+    reservation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StockReservation",
+    },
     itemsPrice: {
       type: Number,
       required: true,
       default: 0.0,
     },
+    // Taken off the items by a coupon
+    discountAmount: {
+      type: Number,
+      default: 0.0,
+    },
+    coupon: {
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+      },
+      code: String,
+    },
     taxPrice: {
       type: Number,
       required: true,
@@ -78,6 +187,29 @@ const orderSchema = new mongoose.Schema(
     paidAt: {
       type: Date,
     },
+    paymentConfirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    amountRefunded: {
+      type: Number,
+      default: 0,
+    },
+    refunds: [refundSchema],
+    dispute: {
+      id: String,
+      reason: String,
+      status: String,
+      amount: Number,
+      createdAt: Date,
+    },
+    // Set when a payment for the order can't be applied as it stands, e.g. its stock ran out
+    // or the amount didn't match, and staff need to refund, restock or fulfil it by hand
+    needsReview: {
+      type: Boolean,
+      default: false,
+    },
+    reviewReason: String,
     isDelivered: {
       type: Boolean,
       required: true,
@@ -89,15 +221,65 @@ const orderSchema = new mongoose.Schema(
     status: {
       type: String,
       required: true,
-      enum: ["pending", "processing", "shipped", "delivered", "cancelled"],
+      enum: ORDER_STATUSES,
       default: "pending",
     },
+    statusHistory: [statusHistorySchema],
+    cancellation: {
+      cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      reason: String,
+      cancelledAt: Date,
+      // When the order's stock was put back, so a repeated cancellation doesn't restock twice
+      restockedAt: Date,
+    },
   },
   {
     timestamps: true,
   },
 )
 
+// Record the initial status
+orderSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.status, changedBy: this.user })
+  }
+  next()
+})
+
+// Check whether the order may move to `status`
+orderSchema.methods.canTransitionTo = function (status) {
+  return (ORDER_STATUS_TRANSITIONS[this.status] || []).includes(status)
+}
+
+// Move the order to `status`, recording who changed it and why.
+// Delivery fields are derived here so they always agree with the status.
+orderSchema.methods.transitionTo = function (status, { changedBy, note } = {}) {
+  if (!ORDER_STATUSES.includes(status)) {
+    throw new ErrorResponse(`Invalid order status: ${status}`, 400)
+  }
+
+  if (!this.canTransitionTo(status)) {
+    throw new ErrorResponse(`Cannot change order status from ${this.status} to ${status}`, 400)
+  }
+
+  this.statusHistory.push({ from: this.status, to: status, changedBy, note })
+  this.status = status
+
+  if (status === "delivered") {
+    this.isDelivered = true
+    this.deliveredAt = Date.now()
+  }
+}
+
+// One order per payment, so the webhook and process-payment can't both create it
+orderSchema.index(
+  { "paymentResult.id": 1 },
+  { unique: true, partialFilterExpression: { "paymentResult.id": { $type: "string" } } },
+)
+
 const Order = mongoose.model("Order", orderSchema)
 
 export default Order
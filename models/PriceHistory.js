@@ -0,0 +1,78 @@
+import mongoose from "mongoose"
+
+const PRICE_FIELDS = ["price", "discountPrice", "discountStartsAt", "discountEndsAt"]
+
+// One record per price change of a product or variant, kept for reporting
+const priceHistorySchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    price: {
+      type: Number,
+      required: true,
+    },
+    discountPrice: Number,
+    discountStartsAt: Date,
+    discountEndsAt: Date,
+    // Values before the change; empty for the first record of a product or variant
+    previous: {
+      price: Number,
+      discountPrice: Number,
+      discountStartsAt: Date,
+      discountEndsAt: Date,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true },
+)
+
+priceHistorySchema.index({ product: 1, createdAt: -1 })
+
+// Price fields of a product and each of its variants, keyed by variant id ("" for the product)
+priceHistorySchema.statics.snapshot = function (product) {
+  const pick = (priced) => Object.fromEntries(PRICE_FIELDS.map((field) => [field, priced[field] ?? undefined]))
+
+  const prices = new Map([["", { ...pick(product), sku: undefined }]])
+  for (const variant of product.variants || []) {
+    prices.set(variant._id.toString(), { ...pick(variant), sku: variant.sku })
+  }
+  return prices
+}
+
+// Record every price that differs from the `before` snapshot (all of them when there is none)
+priceHistorySchema.statics.recordChanges = async function (product, before, changedBy) {
+  const sameValue = (a, b) => (a instanceof Date || b instanceof Date ? a?.getTime() === b?.getTime() : a === b)
+
+  const records = []
+  for (const [variantId, prices] of this.snapshot(product)) {
+    // Products with variants are priced per variant
+    if (variantId === "" && product.variants?.length > 0) continue
+
+    const previous = before?.get(variantId)
+    if (previous && PRICE_FIELDS.every((field) => sameValue(previous[field], prices[field]))) continue
+
+    const { sku, ...fields } = prices
+    const record = { product: product._id, variant: variantId || undefined, sku, ...fields, changedBy }
+    if (previous) {
+      record.previous = Object.fromEntries(PRICE_FIELDS.map((field) => [field, previous[field]]))
+    }
+    records.push(record)
+  }
+
+  if (records.length > 0) {
+    await this.insertMany(records)
+  }
+  return records
+}
+
+const PriceHistory = mongoose.model("PriceHistory", priceHistorySchema)
+
+export default PriceHistory
@@ -1,5 +1,100 @@
 import mongoose from "mongoose"
 import slugify from "slugify"
+import { ErrorResponse } from "../utils/errorResponse.js"
+import { unitPrice } from "../utils/priceResolver.js"
+
+const imageSchema = new mongoose.Schema(
+  {
+    public_id: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false },
+)
+
+// Discount fields shared by products and variants. A discount without dates always applies,
+// one with dates is a scheduled sale.
+const discountFields = {
+  discountPrice: {
+    type: Number,
+    min: [0, "Discount price must be greater than 0"],
+    validate: {
+      validator: function (value) {
+        return value == null || value < this.price
+      },
+      message: "Discount price must be lower than the price",
+    },
+  },
+  discountStartsAt: Date,
+  discountEndsAt: {
+    type: Date,
+    validate: {
+      validator: function (value) {
+        return !value || !this.discountStartsAt || value > this.discountStartsAt
+      },
+      message: "A sale must end after it starts",
+    },
+  },
+}
+
+// An option the product comes in, e.g. { name: "Size", values: ["S", "M", "L"] }
+const optionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please provide an option name"],
+      trim: true,
+    },
+    values: {
+      type: [String],
+      validate: [(values) => values.length > 0, "Please provide at least one option value"],
+    },
+  },
+  { _id: false },
+)
+
+// A sellable combination of option values with its own SKU, price, stock and images
+const variantSchema = new mongoose.Schema(
+  {
+    sku: {
+      type: String,
+      required: [true, "Please provide a variant SKU"],
+      trim: true,
+    },
+    // Option name to chosen value, e.g. { Size: "M", Color: "Red" }
+    options: {
+      type: Map,
+      of: String,
+    },
+    price: {
+      type: Number,
+      required: [true, "Please provide a variant price"],
+      min: [0, "Price must be greater than 0"],
+    },
+    ...discountFields,
+    stock: {
+      type: Number,
+      required: [true, "Please provide variant stock"],
+      min: [0, "Stock cannot be negative"],
+      default: 0,
+    },
+    images: [imageSchema],
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
+
+// Price the variant sells at right now
+variantSchema.virtual("effectivePrice").get(function () {
+  return unitPrice(this)
+})
 
 const productSchema = new mongoose.Schema(
   {
@@ -20,33 +115,22 @@ const productSchema = new mongoose.Schema(
       required: [true, "Please provide a product price"],
       min: [0, "Price must be greater than 0"],
     },
-    discountPrice: {
-      type: Number,
-      min: [0, "Discount price must be greater than 0"],
-    },
+    ...discountFields,
     category: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Category",
       required: [true, "Please provide a product category"],
     },
+    // For products with variants this is kept as the total of the variant stock
     stock: {
       type: Number,
       required: [true, "Please provide product stock"],
       min: [0, "Stock cannot be negative"],
       default: 0,
     },
-    images: [
-      {
-        public_id: {
-          type: String,
-          required: true,
-        },
-        url: {
-          type: String,
-          required: true,
-        },
-      },
-    ],
+    images: [imageSchema],
+    options: [optionSchema],
+    variants: [variantSchema],
     featured: {
       type: Boolean,
       default: false,
@@ -71,9 +155,10 @@ const productSchema = new mongoose.Schema(
         },
       },
     ],
+    // 0 until the product has been rated
     averageRating: {
       type: Number,
-      min: [1, "Rating must be at least 1"],
+      min: [0, "Rating cannot be negative"],
       max: [5, "Rating cannot be more than 5"],
       default: 0,
     },
@@ -89,6 +174,56 @@ const productSchema = new mongoose.Schema(
   },
 )
 
+// Full-text search over the name and description, with name matches ranked higher
+productSchema.index({ name: "text", description: "text" }, { weights: { name: 10, description: 2 }, name: "product_text" })
+
+// SKUs are unique across the catalogue
+productSchema.index({ "variants.sku": 1 }, { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } })
+
+// Check every variant picks one defined value per option, and that SKUs and combinations don't repeat
+productSchema.pre("validate", function (next) {
+  if (this.variants.length === 0) {
+    return next()
+  }
+
+  const skus = new Set()
+  const combinations = new Set()
+
+  for (const variant of this.variants) {
+    if (skus.has(variant.sku)) {
+      return next(new ErrorResponse(`Duplicate variant SKU ${variant.sku}`, 400))
+    }
+    skus.add(variant.sku)
+
+    const chosen = variant.options || new Map()
+    for (const name of chosen.keys()) {
+      if (!this.options.some((option) => option.name === name)) {
+        return next(new ErrorResponse(`Variant ${variant.sku} uses unknown option ${name}`, 400))
+      }
+    }
+
+    for (const option of this.options) {
+      if (!option.values.includes(chosen.get(option.name))) {
+        return next(
+          new ErrorResponse(`Variant ${variant.sku} needs one of ${option.values.join(", ")} for ${option.name}`, 400),
+        )
+      }
+    }
+
+    const combination = this.options.map((option) => chosen.get(option.name)).join("/")
+    if (combinations.has(combination)) {
+      return next(new ErrorResponse(`More than one variant has the options ${combination}`, 400))
+    }
+    combinations.add(combination)
+  }
+
+  // Keep the product level stock and price in line with the variants
+  this.stock = this.variants.reduce((total, variant) => total + variant.stock, 0)
+  this.price = Math.min(...this.variants.map((variant) => variant.price))
+
+  next()
+})
+
 // Create product slug from the name
 productSchema.pre("save", function (next) {
   this.slug = slugify(this.name, { lower: true })
@@ -108,6 +243,40 @@ productSchema.methods.calculateAverageRating = function () {
   this.save()
 }
 
+// Price the product sells at right now (the lowest variant price for products with variants)
+productSchema.virtual("effectivePrice").get(function () {
+  if (this.variants?.length > 0) {
+    return Math.min(...this.variants.map((variant) => unitPrice(this, variant)))
+  }
+  return unitPrice(this)
+})
+
+// Find the variant a cart or order line refers to. Products with variants need one picked.
+productSchema.methods.resolveVariant = function (variantId) {
+  if (this.variants.length === 0) {
+    if (variantId) {
+      throw new ErrorResponse(`Product ${this.name} has no variants`, 400)
+    }
+    return null
+  }
+
+  if (!variantId) {
+    throw new ErrorResponse(`Please choose a variant of ${this.name}`, 400)
+  }
+
+  const variant = this.variants.id(variantId)
+  if (!variant) {
+    throw new ErrorResponse(`Variant not found with id of ${variantId}`, 404)
+  }
+
+  return variant
+}
+
+// Stock available for the product, or for one of its variants
+productSchema.methods.availableStock = function (variant) {
+  return variant ? variant.stock : this.stock
+}
+
 const Product = mongoose.model("Product", productSchema)
 
 export default Product
@@ -0,0 +1,73 @@
+import mongoose from "mongoose"
+import crypto from "crypto"
+
+// Refresh tokens are stored hashed. Each login starts a family; every refresh rotates the
+// token within its family, so presenting an already rotated token reveals it was stolen.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    tokenVersion: {
+      type: Number,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    replacedBy: String,
+    createdByIp: String,
+    userAgent: String,
+  },
+  { timestamps: true },
+)
+
+// Let MongoDB remove tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+refreshTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+// Create a refresh token for `user`, continuing `family` or starting a new one.
+// Returns the raw token, which is never stored.
+refreshTokenSchema.statics.issue = async function (user, req, family = crypto.randomUUID()) {
+  const token = crypto.randomBytes(40).toString("hex")
+  const expireDays = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30
+
+  const refreshToken = await this.create({
+    user: user._id,
+    tokenHash: this.hashToken(token),
+    family,
+    tokenVersion: user.tokenVersion,
+    expiresAt: new Date(Date.now() + expireDays * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.get("user-agent"),
+  })
+
+  return { token, refreshToken }
+}
+
+// Revoke every token in a family
+refreshTokenSchema.statics.revokeFamily = function (family) {
+  return this.updateMany({ family, revokedAt: null }, { revokedAt: Date.now() })
+}
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema)
+
+export default RefreshToken
@@ -0,0 +1,51 @@
+import mongoose from "mongoose"
+
+const reservationItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, "Quantity cannot be less than 1"],
+    },
+  },
+  { _id: false },
+)
+
+const stockReservationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    items: [reservationItemSchema],
+    // Provider payment the stock is held for (Stripe PaymentIntent or PayPal order)
+    paymentId: {
+      type: String,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["active", "consumed", "released"],
+      default: "active",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true },
+)
+
+// Used by the sweeper that releases expired reservations
+stockReservationSchema.index({ status: 1, expiresAt: 1 })
+
+const StockReservation = mongoose.model("StockReservation", stockReservationSchema)
+
+export default StockReservation
@@ -1,6 +1,46 @@
 import mongoose from "mongoose"
 import bcrypt from "bcryptjs"
 import jwt from "jsonwebtoken"
+import crypto from "crypto"
+import { ROLES } from "../utils/permissions.js"
+
+// A saved address, shaped like Order.shippingAddress so it can be copied onto an order
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [30, "Label cannot be more than 30 characters"],
+    default: "Home",
+  },
+  fullName: String,
+  address: {
+    type: String,
+    required: [true, "Please provide a street address"],
+  },
+  city: {
+    type: String,
+    required: [true, "Please provide a city"],
+  },
+  postalCode: {
+    type: String,
+    required: [true, "Please provide a postal code"],
+  },
+  country: {
+    type: String,
+    required: [true, "Please provide a country"],
+  },
+  phone: String,
+  isDefaultShipping: {
+    type: Boolean,
+    default: false,
+  },
+  isDefaultBilling: {
+    type: Boolean,
+    default: false,
+  },
+})
+
+const MAX_ADDRESSES = 20
 
 const userSchema = new mongoose.Schema(
   {
@@ -14,7 +54,9 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: [true, "Please provide an email"],
       unique: true,
-      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, "Please provide a valid email"],
+      // Each separator must be followed by word characters, so a long address that doesn't
+      // match fails fast instead of backtracking through every way of splitting it
+      match: [/^\w+([.-]\w+)*@\w+([.-]\w+)*\.\w{2,3}$/, "Please provide a valid email"],
     },
     password: {
       type: String,
@@ -24,17 +66,62 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["user", "admin"],
+      enum: ROLES,
       default: "user",
     },
-    address: {
-      street: String,
-      city: String,
-      state: String,
-      zipCode: String,
-      country: String,
+    addresses: {
+      type: [addressSchema],
+      validate: [(addresses) => addresses.length <= MAX_ADDRESSES, `Cannot save more than ${MAX_ADDRESSES} addresses`],
     },
     phone: String,
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationSentAt: Date,
+    // Bumped whenever every issued token must stop working (e.g. password change)
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret awaiting confirmation with a first code
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // Hashes of the unused one-time recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last time step a code was accepted for, so codes can't be replayed
+      lastUsedCounter: {
+        type: Number,
+        select: false,
+      },
+    },
+    isSuspended: {
+      type: Boolean,
+      default: false,
+    },
+    suspension: {
+      reason: String,
+      suspendedAt: Date,
+      suspendedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+    anonymizedAt: Date,
     resetPasswordToken: String,
     resetPasswordExpire: Date,
   },
@@ -44,16 +131,35 @@ const userSchema = new mongoose.Schema(
 // Encrypt password using bcrypt
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
-    next()
+    return next()
   }
   const salt = await bcrypt.genSalt(10)
   this.password = await bcrypt.hash(this.password, salt)
+
+  // Invalidate tokens issued with the old password
+  if (!this.isNew) {
+    this.tokenVersion += 1
+  }
 })
 
 // Sign JWT and return
 userSchema.methods.getSignedJwtToken = function () {
-  return jwt.sign({ id: this._id, role: this.role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+  return jwt.sign({ id: this._id, role: this.role, v: this.tokenVersion }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || "15m",
+  })
+}
+
+// Sign a token proving the holder received mail at the user's current email address
+userSchema.methods.getEmailVerificationToken = function () {
+  return jwt.sign({ id: this._id, email: this.email, purpose: "email-verification" }, process.env.JWT_SECRET, {
+    expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || "1d",
+  })
+}
+
+// Sign a short-lived token proving the password step of a two-factor login succeeded
+userSchema.methods.getTwoFactorChallengeToken = function () {
+  return jwt.sign({ id: this._id, v: this.tokenVersion, purpose: "2fa-challenge" }, process.env.JWT_SECRET, {
+    expiresIn: "5m",
   })
 }
 
@@ -62,6 +168,70 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password)
 }
 
+// Generate a password reset token, storing only its hash
+userSchema.methods.getResetPasswordToken = function () {
+  const resetToken = crypto.randomBytes(20).toString("hex")
+
+  this.resetPasswordToken = crypto.createHash("sha256").update(resetToken).digest("hex")
+  this.resetPasswordExpire = Date.now() + 10 * 60 * 1000 // 10 minutes
+
+  return resetToken
+}
+
+// Generate new one-time recovery codes, storing only their hashes
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex")
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`
+  })
+
+  this.twoFactor.recoveryCodes = codes.map((code) => crypto.createHash("sha256").update(code).digest("hex"))
+
+  return codes
+}
+
+// Use up a recovery code, returning whether it was valid
+userSchema.methods.useRecoveryCode = function (code) {
+  const hash = crypto.createHash("sha256").update(String(code).trim().toLowerCase()).digest("hex")
+  const index = this.twoFactor.recoveryCodes.indexOf(hash)
+  if (index === -1) {
+    return false
+  }
+
+  this.twoFactor.recoveryCodes.splice(index, 1)
+  return true
+}
+
+// Strip personal data while keeping the account document that orders reference.
+// Every issued token stops working because the password and tokenVersion change.
+userSchema.methods.anonymize = function () {
+  this.name = "Deleted user"
+  // A reserved domain that never receives mail but still passes the email validator
+  this.email = `deleted-${this._id}@anonymized.example.com`
+  this.password = crypto.randomBytes(32).toString("hex")
+  this.addresses = []
+  this.phone = undefined
+  this.isEmailVerified = false
+  this.twoFactor = { enabled: false }
+  this.resetPasswordToken = undefined
+  this.resetPasswordExpire = undefined
+  this.anonymizedAt = Date.now()
+}
+
+// Make sure exactly one saved address is the default for shipping and for billing
+userSchema.methods.normalizeDefaultAddresses = function () {
+  for (const flag of ["isDefaultShipping", "isDefaultBilling"]) {
+    const defaults = this.addresses.filter((address) => address[flag])
+    // Keep the most recently flagged default
+    defaults.slice(0, -1).forEach((address) => {
+      address[flag] = false
+    })
+    if (defaults.length === 0 && this.addresses.length > 0) {
+      this.addresses[0][flag] = true
+    }
+  }
+}
+
 const User = mongoose.model("User", userSchema)
 
 export default User
@@ -0,0 +1,26 @@
+import mongoose from "mongoose"
+
+// Payment provider webhook events that have already been applied, so replays are ignored
+const webhookEventSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+      default: "stripe",
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true },
+)
+
+const WebhookEvent = mongoose.model("WebhookEvent", webhookEventSchema)
+
+export default WebhookEvent
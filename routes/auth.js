@@ -0,0 +1,49 @@
+import express from "express"
+import {
+  register,
+  login,
+  logout,
+  refreshAccessToken,
+  getMe,
+  exportMyData,
+  deleteMe,
+  updateDetails,
+  updatePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  unlockAccount,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} from "../controllers/authController.js"
+import { getAddresses, addAddress, updateAddress, deleteAddress } from "../controllers/addressController.js"
+import { protect, authorizePermission } from "../middleware/auth.js"
+
+const router = express.Router()
+
+router.post("/register", register)
+router.post("/login", login)
+router.post("/logout", protect, logout)
+router.post("/refresh", refreshAccessToken)
+router.route("/me").get(protect, getMe).delete(protect, deleteMe)
+router.get("/me/export", protect, exportMyData)
+router.put("/updatedetails", protect, updateDetails)
+router.put("/updatepassword", protect, updatePassword)
+router.post("/forgotpassword", forgotPassword)
+router.put("/resetpassword/:token", resetPassword)
+router.get("/verifyemail/:token", verifyEmail)
+router.post("/verifyemail/resend", protect, resendVerificationEmail)
+router.put("/unlock", protect, authorizePermission("accounts:unlock"), unlockAccount)
+router.post("/2fa/verify", verifyTwoFactorLogin)
+router.post("/2fa/setup", protect, setupTwoFactor)
+router.post("/2fa/confirm", protect, confirmTwoFactor)
+router.post("/2fa/recovery-codes", protect, regenerateRecoveryCodes)
+router.post("/2fa/disable", protect, disableTwoFactor)
+router.route("/addresses").get(protect, getAddresses).post(protect, addAddress)
+router.route("/addresses/:addressId").put(protect, updateAddress).delete(protect, deleteAddress)
+
+export default router
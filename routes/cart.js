@@ -0,0 +1,20 @@
+import express from "express"
+import {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeFromCart,
+  clearCart,
+  applyCoupon,
+} from "../controllers/cartController.js"
+import { protect } from "../middleware/auth.js"
+
+const router = express.Router()
+
+router.use(protect)
+
+router.route("/").get(getCart).post(addToCart).delete(clearCart)
+router.post("/coupon", applyCoupon)
+router.route("/:itemId").put(updateCartItem).delete(removeFromCart)
+
+export default router
@@ -0,0 +1,26 @@
+import express from "express"
+import {
+  createCategory,
+  getCategories,
+  getCategoryTree,
+  getCategoryBySlug,
+  getCategory,
+  updateCategory,
+  deleteCategory,
+} from "../controllers/categoryController.js"
+import { protect, authorizePermission } from "../middleware/auth.js"
+
+const router = express.Router()
+
+router.route("/").get(getCategories).post(protect, authorizePermission("categories:write"), createCategory)
+
+router.get("/tree", getCategoryTree)
+router.get("/slug/:slug", getCategoryBySlug)
+
+router
+  .route("/:id")
+  .get(getCategory)
+  .put(protect, authorizePermission("categories:write"), updateCategory)
+  .delete(protect, authorizePermission("categories:write"), deleteCategory)
+
+export default router
@@ -0,0 +1,12 @@
+import express from "express"
+import { createCoupon, getCoupons, getCoupon, updateCoupon, deleteCoupon } from "../controllers/couponController.js"
+import { protect, authorizePermission } from "../middleware/auth.js"
+
+const router = express.Router()
+
+router.use(protect, authorizePermission("coupons:write"))
+
+router.route("/").get(getCoupons).post(createCoupon)
+router.route("/:id").get(getCoupon).put(updateCoupon).delete(deleteCoupon)
+
+export default router
@@ -0,0 +1,30 @@
+import express from "express"
+import {
+  createOrder,
+  getOrders,
+  getMyOrders,
+  getOrderById,
+  updateOrderToPaid,
+  updateOrderToDelivered,
+  updateOrderStatus,
+  deleteOrder,
+  refundOrder,
+  cancelOrder,
+} from "../controllers/orderController.js"
+import { protect, authorizePermission, requireVerifiedEmail } from "../middleware/auth.js"
+
+const router = express.Router()
+
+router.use(protect)
+
+router.route("/").post(requireVerifiedEmail, createOrder).get(authorizePermission("orders:read"), getOrders)
+router.get("/myorders", getMyOrders)
+
+router.route("/:id").get(getOrderById).delete(authorizePermission("orders:delete"), deleteOrder)
+router.put("/:id/pay", updateOrderToPaid)
+router.put("/:id/cancel", cancelOrder)
+router.put("/:id/deliver", authorizePermission("orders:update_status"), updateOrderToDelivered)
+router.put("/:id/status", authorizePermission("orders:update_status"), updateOrderStatus)
+router.post("/:id/refund", authorizePermission("orders:refund"), refundOrder)
+
+export default router
@@ -0,0 +1,12 @@
+import express from "express"
+import { createPaymentIntent, processPayment, handleWebhook, handlePayPalWebhook } from "../controllers/paymentController.js"
+import { protect, requireVerifiedEmail } from "../middleware/auth.js"
+
+const router = express.Router()
+
+router.post("/create-payment-intent", protect, requireVerifiedEmail, createPaymentIntent)
+router.post("/process-payment", protect, requireVerifiedEmail, processPayment)
+router.post("/webhook", handleWebhook)
+router.post("/webhook/paypal", handlePayPalWebhook)
+
+export default router
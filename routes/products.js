@@ -0,0 +1,29 @@
+import express from "express"
+import {
+  createProduct,
+  getProducts,
+  searchProducts,
+  getProduct,
+  updateProduct,
+  deleteProduct,
+  getProductReviews,
+  getPriceHistory,
+  addProductReview,
+} from "../controllers/productController.js"
+import { protect, authorizePermission, requireVerifiedEmail } from "../middleware/auth.js"
+
+const router = express.Router()
+
+router.route("/").get(getProducts).post(protect, authorizePermission("products:write"), createProduct)
+router.get("/search", searchProducts)
+
+router
+  .route("/:id")
+  .get(getProduct)
+  .put(protect, authorizePermission("products:write"), updateProduct)
+  .delete(protect, authorizePermission("products:write"), deleteProduct)
+
+router.get("/:id/price-history", protect, authorizePermission("products:write"), getPriceHistory)
+router.route("/:id/reviews").get(getProductReviews).post(protect, requireVerifiedEmail, addProductReview)
+
+export default router
@@ -0,0 +1,18 @@
+import express from "express"
+import { getUsers, getRoles, getUser, updateUserRole, suspendUser, deleteUser } from "../controllers/userController.js"
+import { protect, authorizePermission } from "../middleware/auth.js"
+
+const router = express.Router()
+
+router.use(protect)
+
+router.get("/", authorizePermission("users:read"), getUsers)
+router.get("/roles", authorizePermission("users:manage_roles"), getRoles)
+router
+  .route("/:id")
+  .get(authorizePermission("users:read"), getUser)
+  .delete(authorizePermission("users:write"), deleteUser)
+router.put("/:id/role", authorizePermission("users:manage_roles"), updateUserRole)
+router.put("/:id/suspend", authorizePermission("users:write"), suspendUser)
+
+export default router
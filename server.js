@@ -13,7 +13,11 @@ import categoryRoutes from "./routes/categories.js";
 import cartRoutes from "./routes/cart.js";
 import orderRoutes from "./routes/orders.js";
 import paymentRoutes from "./routes/payment.js";
+import userRoutes from "./routes/users.js";
+import couponRoutes from "./routes/coupons.js";
 import { errorHandler } from "./middleware/errorHandler.js";
+import { releaseExpiredReservations } from "./utils/inventory.js";
+import { migrateLegacyAddresses } from "./utils/migrations.js";
 
 // Load environment variables
 dotenv.config();
@@ -36,6 +40,8 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // Middleware
+// Payment providers sign the raw request body, so the webhooks must skip JSON parsing
+app.use("/api/payment/webhook", express.raw({ type: "application/json" }));
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 app.use(morgan("dev"));
@@ -48,6 +54,8 @@ try {
   app.use("/api/cart", cartRoutes);
   app.use("/api/orders", orderRoutes);
   app.use("/api/payment", paymentRoutes);
+  app.use("/api/users", userRoutes);
+  app.use("/api/coupons", couponRoutes);
 } catch (error) {
   console.error("Error setting up routes:", error);
 }
@@ -70,6 +78,32 @@ mongoose
   .then(() => {
     console.log("Connected to MongoDB");
 
+    // Move addresses saved in the old single-address format into the address book
+    migrateLegacyAddresses()
+      .then(({ migrated, skipped }) => {
+        if (migrated > 0) {
+          console.log(`Migrated ${migrated} legacy user address(es)`);
+        }
+        if (skipped > 0) {
+          console.warn(`Skipped ${skipped} incomplete legacy user address(es)`);
+        }
+      })
+      .catch((error) => console.error("Legacy address migration error:", error));
+
+    // Periodically cancel checkouts whose payment never completed and return their stock
+    setInterval(() => {
+      releaseExpiredReservations()
+        .then(({ cancelled, released }) => {
+          if (cancelled > 0) {
+            console.log(`Cancelled ${cancelled} expired checkout order(s)`);
+          }
+          if (released > 0) {
+            console.log(`Released ${released} expired stock reservation(s)`);
+          }
+        })
+        .catch((error) => console.error("Stock reservation sweep error:", error));
+    }, 60 * 1000);
+
     // Start the server
     app.listen(PORT, () => {
       console.log(`Server running on http://localhost:${PORT}`);
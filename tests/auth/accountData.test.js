@@ -0,0 +1,214 @@
+import assert from "node:assert/strict"
+import crypto from "crypto"
+import zlib from "zlib"
+import { after, afterEach, beforeEach, describe, test } from "node:test"
+import mongoose from "mongoose"
+import { deleteMe, exportMyData, login } from "../../controllers/authController.js"
+import { createMemoryStore, setLoginThrottleStore } from "../../utils/loginThrottle.js"
+import User from "../../models/User.js"
+import Order from "../../models/Order.js"
+import Product from "../../models/Product.js"
+import Cart from "../../models/Cart.js"
+import RefreshToken from "../../models/RefreshToken.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+import { TEST_PASSWORD, callHandler, makeRequest, seedCheckout, seedUser } from "../support/fixtures.js"
+
+process.env.JWT_SECRET = "test-jwt-secret"
+
+const db = createMemoryDb()
+
+const RECOVERY_CODE = "abcde-12345"
+
+// The entries of a ZIP archive built by utils/zip.js, as { name: content }
+const unzip = (archive) => {
+  const files = {}
+  let offset = 0
+  while (archive.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = archive.readUInt32LE(offset + 18)
+    const nameLength = archive.readUInt16LE(offset + 26)
+    const extraLength = archive.readUInt16LE(offset + 28)
+    const name = archive.toString("utf8", offset + 30, offset + 30 + nameLength)
+    const start = offset + 30 + nameLength + extraLength
+    files[name] = zlib.inflateRawSync(archive.subarray(start, start + compressedSize)).toString()
+    offset = start + compressedSize
+  }
+  return files
+}
+
+// The checkout customer with a password, an address, a review, a session and a few secrets
+const seedCustomer = async (fields = {}) => {
+  const { user, product, order } = await seedCheckout(db, { paid: true })
+  const customer = await seedUser(db, {
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    phone: "555-0100",
+    addresses: [
+      { fullName: "Test Buyer", address: "1 Main St", city: "Springfield", postalCode: "12345", country: "US" },
+    ],
+    tokenVersion: 3,
+    resetPasswordToken: "reset-token-hash",
+    ...fields,
+  })
+  await db.insert(Order, {
+    ...order.toObject(),
+    shippingAddress: { ...order.shippingAddress.toObject(), fullName: "Test Buyer", phone: "555-0100" },
+    paymentResult: { ...order.paymentResult.toObject(), email_address: user.email },
+  })
+  const otherReviewer = new mongoose.Types.ObjectId()
+  await db.insert(Product, {
+    ...product.toObject(),
+    slug: "desk-lamp",
+    ratings: [
+      { user: customer._id, rating: 4, review: "Bright enough" },
+      { user: otherReviewer, rating: 2, review: "Too bright" },
+    ],
+  })
+  await db.insert(RefreshToken, {
+    user: customer._id,
+    tokenHash: "stored-token-hash",
+    family: "family-1",
+    tokenVersion: 3,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    createdByIp: "203.0.113.10",
+  })
+  return { customer, product, order }
+}
+
+describe("personal data", () => {
+  beforeEach(() => {
+    db.install()
+    setLoginThrottleStore(createMemoryStore())
+  })
+  afterEach(() => db.uninstall())
+  after(() => mongoose.disconnect())
+
+  describe("exportMyData", () => {
+    test("bundles the profile, addresses, orders, cart, reviews and sessions without any secrets", async () => {
+      const { customer, product, order } = await seedCustomer({
+        twoFactor: { enabled: true, secret: "TOTPSECRET", recoveryCodes: ["code-hash"] },
+      })
+
+      const response = await callHandler(exportMyData, makeRequest({ user: customer }))
+
+      assert.equal(response.headers["Content-Disposition"], `attachment; filename="personal-data-${customer._id}.json"`)
+      const { profile, addresses, orders, cart, reviews, sessions } = JSON.parse(JSON.stringify(response.body.data))
+
+      assert.equal(profile.email, "buyer@example.com")
+      assert.equal(profile.phone, "555-0100")
+      assert.deepEqual(profile.twoFactor, { enabled: true })
+      for (const secret of ["password", "tokenVersion", "resetPasswordToken", "addresses"]) {
+        assert.equal(secret in profile, false, `${secret} is exported in the profile`)
+      }
+      assert.deepEqual(
+        addresses.map((address) => address.address),
+        ["1 Main St"],
+      )
+      assert.deepEqual(
+        orders.map((exported) => [exported._id, exported.totalPrice, exported.reservation]),
+        [[order._id.toString(), 52.8, undefined]],
+      )
+      assert.equal(cart.items.length, 1)
+      assert.deepEqual(reviews, [
+        {
+          product: { _id: product._id.toString(), name: "Desk lamp", slug: "desk-lamp" },
+          rating: 4,
+          review: "Bright enough",
+          createdAt: reviews[0].createdAt,
+        },
+      ])
+      assert.equal(sessions.length, 1)
+      assert.equal(sessions[0].createdByIp, "203.0.113.10")
+      assert.equal(sessions[0].tokenHash, undefined)
+    })
+
+    test("offers the same sections as files in a ZIP archive", async () => {
+      const { customer } = await seedCustomer()
+
+      const response = await callHandler(exportMyData, makeRequest({ user: customer, query: { format: "zip" } }))
+
+      assert.equal(response.headers["Content-Type"], "application/zip")
+      assert.equal(response.headers["Content-Disposition"], `attachment; filename="personal-data-${customer._id}.zip"`)
+      const files = unzip(response.body)
+      assert.deepEqual(Object.keys(files).sort(), [
+        "addresses.json",
+        "cart.json",
+        "exportedAt.json",
+        "orders.json",
+        "profile.json",
+        "reviews.json",
+        "sessions.json",
+      ])
+      assert.equal(JSON.parse(files["profile.json"]).email, "buyer@example.com")
+      assert.equal(JSON.parse(files["reviews.json"])[0].review, "Bright enough")
+    })
+  })
+
+  describe("deleteMe", () => {
+    const closeAccount = (user, body) => callHandler(deleteMe, makeRequest({ user, body }))
+
+    test("scrubs the account and its orders but keeps the amounts and reviews", async () => {
+      const { customer, product, order } = await seedCustomer()
+
+      const response = await closeAccount(customer, { password: TEST_PASSWORD })
+
+      assert.equal(response.status, 200)
+      assert.equal(response.cookies.refreshToken.value, undefined)
+
+      const closed = db.findById(User, customer._id)
+      assert.equal(closed.name, "Deleted user")
+      assert.notEqual(closed.email, "buyer@example.com")
+      assert.equal(closed.phone, undefined)
+      assert.equal(closed.addresses.length, 0)
+      assert.ok(closed.anonymizedAt)
+
+      const scrubbed = db.findById(Order, order._id)
+      assert.equal(scrubbed.user.toString(), customer._id.toString())
+      assert.equal(scrubbed.totalPrice, 52.8)
+      assert.equal(scrubbed.shippingAddress.address, "Redacted")
+      assert.equal(scrubbed.shippingAddress.fullName, undefined)
+      assert.equal(scrubbed.shippingAddress.phone, undefined)
+      assert.equal(scrubbed.paymentResult.email_address, undefined)
+      assert.equal(scrubbed.paymentResult.id, "pi_test_1")
+
+      assert.equal(db.find(Cart, { user: customer._id }).length, 0)
+      assert.equal(db.find(RefreshToken, { user: customer._id }).length, 0)
+      const [review] = db.findById(Product, product._id).ratings
+      assert.equal(review.user.toString(), customer._id.toString())
+      assert.equal(review.review, "Bright enough")
+
+      await assert.rejects(
+        callHandler(login, makeRequest({ body: { email: "buyer@example.com", password: TEST_PASSWORD } })),
+        { statusCode: 401 },
+      )
+    })
+
+    test("needs the password, and the second factor when it's enabled", async () => {
+      const recoveryCodes = [crypto.createHash("sha256").update(RECOVERY_CODE).digest("hex")]
+      const { customer } = await seedCustomer({ twoFactor: { enabled: true, secret: "TOTPSECRET", recoveryCodes } })
+
+      await assert.rejects(closeAccount(customer, { password: "wrong-password" }), {
+        statusCode: 401,
+        message: "Password is incorrect",
+      })
+      await assert.rejects(closeAccount(customer, { password: TEST_PASSWORD }), {
+        statusCode: 401,
+        message: "Invalid authentication code",
+      })
+      assert.equal(db.findById(User, customer._id).name, "Test Buyer")
+
+      await closeAccount(customer, { password: TEST_PASSWORD, recoveryCode: RECOVERY_CODE })
+      assert.equal(db.findById(User, customer._id).name, "Deleted user")
+    })
+
+    test("the last admin can't close their own account", async () => {
+      const admin = await seedUser(db, { role: "admin" })
+
+      await assert.rejects(closeAccount(admin, { password: TEST_PASSWORD }), {
+        statusCode: 400,
+        message: "Cannot remove the last remaining admin",
+      })
+      assert.equal(db.findById(User, admin._id).role, "admin")
+    })
+  })
+})
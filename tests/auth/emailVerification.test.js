@@ -0,0 +1,118 @@
+import assert from "node:assert/strict"
+import { after, afterEach, beforeEach, describe, test } from "node:test"
+import mongoose from "mongoose"
+import { register, resendVerificationEmail, updateDetails, verifyEmail } from "../../controllers/authController.js"
+import { mailTransports, setMailTransport } from "../../utils/mailer.js"
+import User from "../../models/User.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+import { callHandler, makeRequest, seedUser } from "../support/fixtures.js"
+
+process.env.JWT_SECRET = "test-jwt-secret"
+
+const db = createMemoryDb()
+
+// The verification token from the link in a mail
+const tokenFrom = (message) => message.text.match(/verifyemail\/(\S+)/)[1]
+
+describe("email verification", () => {
+  let outbox
+
+  beforeEach(() => {
+    db.install()
+    outbox = []
+    setMailTransport({ send: async (message) => outbox.push(message) })
+  })
+  afterEach(() => {
+    setMailTransport(mailTransports.console)
+    db.uninstall()
+  })
+  after(() => mongoose.disconnect())
+
+  const failMail = () =>
+    setMailTransport({
+      send: async () => {
+        throw new Error("SMTP connection refused")
+      },
+    })
+
+  test("registering sends a link that verifies the address", async () => {
+    const body = { name: "New User", email: "new@example.com", password: "secret123" }
+
+    const response = await callHandler(register, makeRequest({ body }))
+
+    assert.equal(response.status, 201)
+    assert.equal(response.body.verificationEmailSent, true)
+    assert.equal(response.body.user.isEmailVerified, false)
+    assert.equal(outbox[0].to, "new@example.com")
+
+    await callHandler(verifyEmail, makeRequest({ params: { token: tokenFrom(outbox[0]) } }))
+
+    assert.equal(db.find(User, { email: "new@example.com" })[0].isEmailVerified, true)
+  })
+
+  test("registering still succeeds when the mail can't be sent, and says so", async () => {
+    failMail()
+    const body = { name: "New User", email: "new@example.com", password: "secret123" }
+
+    const response = await callHandler(register, makeRequest({ body }))
+
+    assert.equal(response.status, 201)
+    assert.equal(response.body.verificationEmailSent, false)
+    assert.ok(response.body.token)
+  })
+
+  test("changing the email address asks for it to be verified again", async () => {
+    const user = await seedUser(db)
+
+    const response = await callHandler(updateDetails, makeRequest({ body: { email: "changed@example.com" }, user }))
+
+    assert.equal(response.body.verificationEmailSent, true)
+    assert.equal(response.body.data.isEmailVerified, false)
+    assert.equal(outbox[0].to, "changed@example.com")
+  })
+
+  test("reports a verification mail that couldn't be sent after an email change", async () => {
+    const user = await seedUser(db)
+    failMail()
+
+    const response = await callHandler(updateDetails, makeRequest({ body: { email: "changed@example.com" }, user }))
+
+    assert.equal(response.status, 200)
+    assert.equal(response.body.verificationEmailSent, false)
+    assert.equal(db.findById(User, user._id).isEmailVerified, false)
+  })
+
+  test("doesn't mention verification when the address is unchanged", async () => {
+    const user = await seedUser(db)
+
+    const response = await callHandler(updateDetails, makeRequest({ body: { name: "Renamed" }, user }))
+
+    assert.equal(response.body.verificationEmailSent, undefined)
+    assert.equal(response.body.data.name, "Renamed")
+    assert.equal(response.body.data.isEmailVerified, true)
+    assert.equal(outbox.length, 0)
+  })
+
+  test("a link sent to a previous address no longer verifies the account", async () => {
+    const user = await seedUser(db, { isEmailVerified: false })
+    await callHandler(resendVerificationEmail, makeRequest({ user }))
+    const oldToken = tokenFrom(outbox[0])
+
+    await callHandler(updateDetails, makeRequest({ body: { email: "changed@example.com" }, user }))
+
+    await assert.rejects(callHandler(verifyEmail, makeRequest({ params: { token: oldToken } })), {
+      statusCode: 400,
+      message: "Invalid or expired verification link",
+    })
+    assert.equal(db.findById(User, user._id).isEmailVerified, false)
+  })
+
+  test("resending is throttled", async () => {
+    const user = await seedUser(db, { isEmailVerified: false })
+
+    await callHandler(resendVerificationEmail, makeRequest({ user }))
+
+    await assert.rejects(callHandler(resendVerificationEmail, makeRequest({ user })), { statusCode: 429 })
+    assert.equal(outbox.length, 1)
+  })
+})
@@ -0,0 +1,123 @@
+import assert from "node:assert/strict"
+import { after, afterEach, beforeEach, describe, mock, test } from "node:test"
+import mongoose from "mongoose"
+import { login, unlockAccount } from "../../controllers/authController.js"
+import { createMemoryStore, setLoginThrottleStore } from "../../utils/loginThrottle.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+import { TEST_PASSWORD, callHandler, makeRequest, seedUser } from "../support/fixtures.js"
+
+process.env.JWT_SECRET = "test-jwt-secret"
+
+const db = createMemoryDb()
+
+const SECOND = 1000
+const MINUTE = 60 * SECOND
+
+// Try to log in, resolving with the status and Retry-After header either way
+const attempt = async ({ email = "user@example.com", password = TEST_PASSWORD, ip } = {}) => {
+  const req = makeRequest({ body: { email, password }, ip })
+  try {
+    return { status: (await callHandler(login, req)).status }
+  } catch (error) {
+    return { status: error.statusCode, message: error.message, retryAfter: req.res.headers["Retry-After"] }
+  }
+}
+
+const fail = async (times, identity = {}) => {
+  for (let i = 0; i < times; i++) {
+    assert.equal((await attempt({ password: "wrong-password", ...identity })).status, 401)
+  }
+}
+
+describe("login throttling", () => {
+  beforeEach(() => {
+    db.install()
+    setLoginThrottleStore(createMemoryStore())
+    mock.timers.enable({ apis: ["Date"], now: new Date("2026-01-01T00:00:00Z") })
+  })
+  afterEach(() => {
+    mock.timers.reset()
+    db.uninstall()
+  })
+  after(() => mongoose.disconnect())
+
+  test("locks an account for 30 seconds after five failures, even for the right password", async () => {
+    await seedUser(db)
+    await fail(5)
+
+    const locked = await attempt()
+
+    assert.equal(locked.status, 429)
+    assert.equal(locked.retryAfter, 30)
+    assert.equal(locked.message, "Too many failed login attempts, try again in 30 seconds")
+
+    mock.timers.tick(30 * SECOND)
+    assert.equal((await attempt()).status, 200)
+  })
+
+  test("doubles the lockout for every failure past the free attempts, up to an hour", async () => {
+    await seedUser(db)
+    await fail(5)
+
+    const lockouts = []
+    for (let i = 0; i < 8; i++) {
+      const { retryAfter } = await attempt()
+      lockouts.push(retryAfter)
+      mock.timers.tick(retryAfter * SECOND)
+      await fail(1)
+    }
+
+    assert.deepEqual(lockouts, [30, 60, 120, 240, 480, 960, 1920, 3600])
+  })
+
+  test("a successful login forgets the earlier failures", async () => {
+    await seedUser(db)
+    await fail(4)
+
+    assert.equal((await attempt()).status, 200)
+
+    await fail(4)
+    assert.equal((await attempt()).status, 200)
+  })
+
+  test("forgets failures once the window passes without another one", async () => {
+    await seedUser(db)
+    await fail(4)
+
+    mock.timers.tick(15 * MINUTE)
+    await fail(4)
+
+    assert.equal((await attempt()).status, 200)
+  })
+
+  test("counts failures for unknown emails the same way", async () => {
+    await fail(5, { email: "nobody@example.com" })
+
+    assert.equal((await attempt({ email: "nobody@example.com" })).status, 429)
+  })
+
+  test("locks out an address guessing across many accounts, but not other addresses", async () => {
+    await seedUser(db)
+    for (let i = 0; i < 20; i++) {
+      await fail(1, { email: `guess${i}@example.com`, ip: "198.51.100.7" })
+    }
+
+    assert.equal((await attempt({ ip: "198.51.100.7" })).status, 429)
+    assert.equal((await attempt({ ip: "203.0.113.10" })).status, 200)
+  })
+
+  test("staff can lift a lockout before it runs out", async () => {
+    await seedUser(db)
+    const staff = await seedUser(db, { email: "support@example.com", role: "support" })
+    await fail(5)
+
+    const unlock = (body) => callHandler(unlockAccount, makeRequest({ body, user: staff }))
+
+    await assert.rejects(unlock({}), {
+      statusCode: 400,
+      message: "Please provide an email or IP address to unlock",
+    })
+    assert.equal((await unlock({ email: "USER@example.com" })).status, 200)
+    assert.equal((await attempt()).status, 200)
+  })
+})
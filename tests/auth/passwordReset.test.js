@@ -0,0 +1,99 @@
+import assert from "node:assert/strict"
+import { after, afterEach, beforeEach, describe, test } from "node:test"
+import mongoose from "mongoose"
+import { forgotPassword, login, resetPassword } from "../../controllers/authController.js"
+import { mailTransports, setMailTransport } from "../../utils/mailer.js"
+import { createMemoryStore, setLoginThrottleStore } from "../../utils/loginThrottle.js"
+import User from "../../models/User.js"
+import RefreshToken from "../../models/RefreshToken.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+import { TEST_PASSWORD, callHandler, makeRequest, seedUser } from "../support/fixtures.js"
+
+process.env.JWT_SECRET = "test-jwt-secret"
+
+const db = createMemoryDb()
+
+const GENERIC_REPLY = "If an account exists for that email, a reset link has been sent"
+
+// The reset token from the link in a mail
+const tokenFrom = (message) => message.text.match(/resetpassword\/(\w+)/)[1]
+
+const requestReset = (email) => callHandler(forgotPassword, makeRequest({ body: { email } }))
+
+const reset = (token, password = "new-secret123") =>
+  callHandler(resetPassword, makeRequest({ params: { token }, body: { password } }))
+
+describe("password reset", () => {
+  let outbox
+
+  beforeEach(() => {
+    db.install()
+    setLoginThrottleStore(createMemoryStore())
+    outbox = []
+    setMailTransport({ send: async (message) => outbox.push(message) })
+  })
+  afterEach(() => {
+    setMailTransport(mailTransports.console)
+    db.uninstall()
+  })
+  after(() => mongoose.disconnect())
+
+  test("answers the same way for an unknown email and sends nothing", async () => {
+    const response = await requestReset("nobody@example.com")
+
+    assert.equal(response.status, 200)
+    assert.equal(response.body.data, GENERIC_REPLY)
+    assert.equal(outbox.length, 0)
+  })
+
+  test("the mailed link sets a new password once and ends the old sessions", async () => {
+    const user = await seedUser(db)
+    const session = await callHandler(login, makeRequest({ body: { email: user.email, password: TEST_PASSWORD } }))
+    assert.equal(session.status, 200)
+
+    const response = await requestReset(user.email)
+    assert.equal(response.body.data, GENERIC_REPLY)
+    // Only the hash of the token is stored
+    const token = tokenFrom(outbox[0])
+    assert.notEqual(db.findById(User, user._id).resetPasswordToken, token)
+
+    const loggedIn = await reset(token)
+
+    assert.equal(loggedIn.status, 200)
+    assert.ok(loggedIn.body.token)
+    const updated = db.findById(User, user._id)
+    assert.equal(updated.resetPasswordToken, undefined)
+    assert.equal(updated.tokenVersion, 1)
+    // The refresh token from before the reset is revoked; only the new one is live
+    assert.equal(db.find(RefreshToken, { user: user._id, revokedAt: null }).length, 1)
+
+    await assert.rejects(
+      callHandler(login, makeRequest({ body: { email: user.email, password: TEST_PASSWORD } })),
+      { statusCode: 401 },
+    )
+    await assert.rejects(reset(token, "another-secret"), { statusCode: 400, message: "Invalid or expired reset token" })
+  })
+
+  test("refuses an expired link", async () => {
+    const user = await seedUser(db)
+    await requestReset(user.email)
+    await db.insert(User, { ...db.findById(User, user._id).toObject(), resetPasswordExpire: Date.now() - 1000 })
+
+    await assert.rejects(reset(tokenFrom(outbox[0])), { statusCode: 400, message: "Invalid or expired reset token" })
+  })
+
+  test("fails and forgets the token when the mail can't be sent", async () => {
+    const user = await seedUser(db)
+    setMailTransport({
+      send: async () => {
+        throw new Error("SMTP connection refused")
+      },
+    })
+
+    await assert.rejects(requestReset(user.email), { statusCode: 500, message: "Email could not be sent" })
+
+    const current = db.findById(User, user._id)
+    assert.equal(current.resetPasswordToken, undefined)
+    assert.equal(current.resetPasswordExpire, undefined)
+  })
+})
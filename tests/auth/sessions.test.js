@@ -0,0 +1,122 @@
+import assert from "node:assert/strict"
+import { after, afterEach, beforeEach, describe, test } from "node:test"
+import mongoose from "mongoose"
+import { login, logout, refreshAccessToken, updatePassword } from "../../controllers/authController.js"
+import { protect } from "../../middleware/auth.js"
+import { createMemoryStore, setLoginThrottleStore } from "../../utils/loginThrottle.js"
+import User from "../../models/User.js"
+import RefreshToken from "../../models/RefreshToken.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+import { TEST_PASSWORD, callHandler, makeRequest, seedUser } from "../support/fixtures.js"
+
+process.env.JWT_SECRET = "test-jwt-secret"
+
+const db = createMemoryDb()
+
+const logIn = async (user) => {
+  const response = await callHandler(login, makeRequest({ body: { email: user.email, password: TEST_PASSWORD } }))
+  return { accessToken: response.body.token, refreshToken: response.cookies.refreshToken.value }
+}
+
+const refresh = (refreshToken) =>
+  callHandler(refreshAccessToken, makeRequest({ headers: { cookie: `refreshToken=${refreshToken}` } }))
+
+// Run `protect` for a request with the access token, resolving with the user it let through
+const authenticate = async (accessToken) => {
+  const req = makeRequest({ headers: { authorization: `Bearer ${accessToken}` } })
+  await callHandler(protect, req)
+  return req.user
+}
+
+const stored = (refreshToken) => db.find(RefreshToken, { tokenHash: RefreshToken.hashToken(refreshToken) })[0]
+
+describe("sessions", () => {
+  beforeEach(() => {
+    db.install()
+    setLoginThrottleStore(createMemoryStore())
+  })
+  afterEach(() => db.uninstall())
+  after(() => mongoose.disconnect())
+
+  test("refreshing rotates the refresh token within its family", async () => {
+    const user = await seedUser(db)
+    const { refreshToken } = await logIn(user)
+
+    const response = await refresh(refreshToken)
+
+    assert.equal(response.status, 200)
+    assert.equal((await authenticate(response.body.token))._id.toString(), user._id.toString())
+    const rotated = response.cookies.refreshToken.value
+    assert.notEqual(rotated, refreshToken)
+    assert.ok(stored(refreshToken).revokedAt)
+    assert.equal(stored(refreshToken).replacedBy, RefreshToken.hashToken(rotated))
+    assert.equal(stored(rotated).family, stored(refreshToken).family)
+  })
+
+  test("presenting a rotated refresh token again ends the whole session", async () => {
+    const user = await seedUser(db)
+    const { refreshToken } = await logIn(user)
+    const rotated = (await refresh(refreshToken)).cookies.refreshToken.value
+
+    await assert.rejects(refresh(refreshToken), {
+      statusCode: 401,
+      message: "Refresh token reuse detected, please log in again",
+    })
+
+    // The thief's copy and the legitimate one both stop working
+    assert.ok(stored(rotated).revokedAt)
+    await assert.rejects(refresh(rotated), { statusCode: 401 })
+  })
+
+  test("a refresh token issued in another session is not affected by reuse in this one", async () => {
+    const user = await seedUser(db)
+    const first = await logIn(user)
+    const second = await logIn(user)
+    await refresh(first.refreshToken)
+
+    await assert.rejects(refresh(first.refreshToken), { statusCode: 401 })
+
+    assert.equal((await refresh(second.refreshToken)).status, 200)
+  })
+
+  test("logging out revokes the access token and every refresh token", async () => {
+    const user = await seedUser(db)
+    const first = await logIn(user)
+    const second = await logIn(user)
+
+    const response = await callHandler(logout, makeRequest({ user: await authenticate(first.accessToken) }))
+
+    assert.equal(response.status, 200)
+    assert.equal(response.cookies.refreshToken.value, undefined)
+    assert.equal(db.findById(User, user._id).tokenVersion, 1)
+    await assert.rejects(authenticate(first.accessToken), {
+      statusCode: 401,
+      message: "Token has been revoked, please log in again",
+    })
+    await assert.rejects(authenticate(second.accessToken), { statusCode: 401 })
+    await assert.rejects(refresh(second.refreshToken), { statusCode: 401 })
+  })
+
+  test("changing the password revokes the tokens issued before it", async () => {
+    const user = await seedUser(db)
+    const before = await logIn(user)
+
+    const body = { currentPassword: TEST_PASSWORD, newPassword: "new-secret123" }
+    const response = await callHandler(updatePassword, makeRequest({ body, user }))
+
+    assert.equal(response.status, 200)
+    await assert.rejects(authenticate(before.accessToken), { statusCode: 401 })
+    await assert.rejects(refresh(before.refreshToken), { statusCode: 401 })
+    assert.ok(await authenticate(response.body.token))
+  })
+
+  test("access tokens of a suspended user stop working", async () => {
+    const user = await seedUser(db)
+    const { accessToken, refreshToken } = await logIn(user)
+
+    await db.insert(User, { ...db.findById(User, user._id).toObject(), isSuspended: true })
+
+    await assert.rejects(authenticate(accessToken), { statusCode: 403 })
+    await assert.rejects(refresh(refreshToken), { statusCode: 401 })
+  })
+})
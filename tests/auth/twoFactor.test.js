@@ -0,0 +1,120 @@
+import assert from "node:assert/strict"
+import crypto from "crypto"
+import { after, afterEach, beforeEach, describe, test } from "node:test"
+import mongoose from "mongoose"
+import { login, resetPassword, verifyTwoFactorLogin } from "../../controllers/authController.js"
+import { createMemoryStore, setLoginThrottleStore } from "../../utils/loginThrottle.js"
+import { currentCounter, generateSecret, generateToken } from "../../utils/totp.js"
+import User from "../../models/User.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+import { TEST_PASSWORD, callHandler, makeRequest, seedUser } from "../support/fixtures.js"
+
+process.env.JWT_SECRET = "test-jwt-secret"
+
+const db = createMemoryDb()
+
+const RECOVERY_CODE = "abcde-12345"
+
+const hash = (value) => crypto.createHash("sha256").update(value).digest("hex")
+
+// A user enrolled in two-factor authentication with one recovery code
+const seedEnrolledUser = (secret) =>
+  seedUser(db, { twoFactor: { enabled: true, secret, recoveryCodes: [hash(RECOVERY_CODE)] } })
+
+const passwordStep = async (user) => {
+  const response = await callHandler(login, makeRequest({ body: { email: user.email, password: TEST_PASSWORD } }))
+  assert.equal(response.body.twoFactorRequired, true)
+  return response.body.challengeToken
+}
+
+const codeStep = (challengeToken, body) =>
+  callHandler(verifyTwoFactorLogin, makeRequest({ body: { challengeToken, ...body } }))
+
+describe("two-factor login", () => {
+  let store
+  let secret
+
+  beforeEach(() => {
+    db.install()
+    store = createMemoryStore()
+    setLoginThrottleStore(store)
+    secret = generateSecret()
+  })
+  afterEach(() => db.uninstall())
+  after(() => mongoose.disconnect())
+
+  test("the password step returns a challenge instead of tokens", async () => {
+    const user = await seedEnrolledUser(secret)
+
+    const response = await callHandler(login, makeRequest({ body: { email: user.email, password: TEST_PASSWORD } }))
+
+    assert.equal(response.status, 200)
+    assert.equal(response.body.token, undefined)
+    assert.equal(response.cookies.refreshToken, undefined)
+  })
+
+  test("logging in again with the password doesn't reset the count of wrong codes", async () => {
+    const user = await seedEnrolledUser(secret)
+
+    let challengeToken = await passwordStep(user)
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await assert.rejects(codeStep(challengeToken, { code: "000000" }), { statusCode: 401 })
+    }
+
+    challengeToken = await passwordStep(user)
+    assert.equal((await store.get("account:user@example.com")).failures, 4)
+
+    // The fifth wrong code locks the account, even for the right code
+    await assert.rejects(codeStep(challengeToken, { code: "000000" }), { statusCode: 401 })
+    await assert.rejects(codeStep(challengeToken, { code: generateToken(secret) }), { statusCode: 429 })
+  })
+
+  test("a valid code logs in, clears the failures and can't be replayed", async () => {
+    const user = await seedEnrolledUser(secret)
+    const challengeToken = await passwordStep(user)
+    await assert.rejects(codeStep(challengeToken, { code: "000000" }), { statusCode: 401 })
+
+    const code = generateToken(secret)
+    const response = await codeStep(challengeToken, { code })
+
+    assert.equal(response.status, 200)
+    assert.ok(response.body.token)
+    assert.equal(await store.get("account:user@example.com"), null)
+    assert.equal(db.findById(User, user._id).twoFactor.lastUsedCounter, currentCounter())
+
+    await assert.rejects(codeStep(challengeToken, { code }), { statusCode: 401 })
+  })
+
+  test("a recovery code works once", async () => {
+    const user = await seedEnrolledUser(secret)
+    const challengeToken = await passwordStep(user)
+
+    assert.equal((await codeStep(challengeToken, { recoveryCode: RECOVERY_CODE })).status, 200)
+    assert.deepEqual(db.findById(User, user._id).twoFactor.recoveryCodes, [])
+
+    await assert.rejects(codeStep(challengeToken, { recoveryCode: RECOVERY_CODE }), { statusCode: 401 })
+  })
+
+  test("a challenge stops working once the password changes", async () => {
+    const user = await seedEnrolledUser(secret)
+    const challengeToken = await passwordStep(user)
+
+    const resetToken = crypto.randomBytes(20).toString("hex")
+    await db.insert(User, {
+      ...db.findById(User, user._id).toObject(),
+      resetPasswordToken: hash(resetToken),
+      resetPasswordExpire: Date.now() + 60 * 1000,
+    })
+
+    // The reset itself still asks for the second factor before handing out tokens
+    const reset = await callHandler(
+      resetPassword,
+      makeRequest({ params: { token: resetToken }, body: { password: "new-secret123" } }),
+    )
+    assert.equal(reset.body.twoFactorRequired, true)
+    assert.equal(reset.body.token, undefined)
+
+    await assert.rejects(codeStep(challengeToken, { code: generateToken(secret) }), { statusCode: 401 })
+    assert.equal((await codeStep(reset.body.challengeToken, { code: generateToken(secret) })).status, 200)
+  })
+})
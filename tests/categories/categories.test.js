@@ -0,0 +1,164 @@
+import assert from "node:assert/strict"
+import { after, afterEach, beforeEach, describe, test } from "node:test"
+import mongoose from "mongoose"
+import {
+  createCategory,
+  deleteCategory,
+  getCategories,
+  getCategoryBySlug,
+  getCategoryTree,
+  updateCategory,
+} from "../../controllers/categoryController.js"
+import Category from "../../models/Category.js"
+import Product from "../../models/Product.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+import { callHandler, makeRequest, seedUser } from "../support/fixtures.js"
+
+const db = createMemoryDb()
+
+// The names in a category tree, e.g. ["Books", ["Home", [["Lighting", ["Lamps"]]]]]
+const outline = (categories) =>
+  categories.map((category) =>
+    category.subcategories?.length ? [category.name, outline(category.subcategories)] : category.name,
+  )
+
+describe("categories", () => {
+  let staff
+
+  beforeEach(async () => {
+    db.install()
+    staff = await seedUser(db, { email: "catalog@example.com", role: "catalog_manager" })
+  })
+  afterEach(() => db.uninstall())
+  after(() => mongoose.disconnect())
+
+  const create = async (name, parent) => {
+    const body = { name, parent: parent?._id.toString() }
+    return (await callHandler(createCategory, makeRequest({ body, user: staff }))).body.data
+  }
+
+  const update = (category, body) =>
+    callHandler(updateCategory, makeRequest({ params: { id: category._id.toString() }, body, user: staff }))
+
+  const remove = (category) =>
+    callHandler(deleteCategory, makeRequest({ params: { id: category._id.toString() }, user: staff }))
+
+  const tree = async (query = {}) => {
+    const response = await callHandler(getCategoryTree, makeRequest({ query }))
+    return outline(JSON.parse(JSON.stringify(response.body.data)))
+  }
+
+  describe("createCategory and updateCategory", () => {
+    test("nest categories under an existing parent and slug their names", async () => {
+      const home = await create("Home & Garden")
+      const lighting = await create("Desk Lighting", home)
+
+      assert.equal(lighting.slug, "desk-lighting")
+      assert.equal(lighting.parent.toString(), home._id.toString())
+      await assert.rejects(create("Lamps", { _id: new mongoose.Types.ObjectId() }), { statusCode: 404 })
+      assert.equal(db.find(Category, { name: "Lamps" }).length, 0)
+
+      await update(lighting, { name: "Lamps and Lights" })
+      assert.equal(db.findById(Category, lighting._id).slug, "lamps-and-lights")
+    })
+
+    test("won't nest a category under itself or one of its subcategories", async () => {
+      const home = await create("Home")
+      const lighting = await create("Lighting", home)
+      const lamps = await create("Lamps", lighting)
+
+      const message = "A category cannot be nested under itself or one of its subcategories"
+      await assert.rejects(update(home, { parent: home._id.toString() }), { statusCode: 400, message })
+      await assert.rejects(update(home, { parent: lamps._id.toString() }), { statusCode: 400, message })
+      assert.equal(db.findById(Category, home._id).parent, null)
+
+      await update(lamps, { parent: null })
+      assert.equal(db.findById(Category, lamps._id).parent, null)
+      await update(home, { parent: lamps._id.toString() })
+      assert.equal(db.findById(Category, home._id).parent.toString(), lamps._id.toString())
+    })
+  })
+
+  describe("getCategories", () => {
+    test("lists every category, the top level, or one category's children by name", async () => {
+      const home = await create("Home")
+      await create("Outdoor", home)
+      await create("Lighting", home)
+      await create("Books")
+
+      const names = async (query) =>
+        (await callHandler(getCategories, makeRequest({ query }))).body.data.map((category) => category.name)
+
+      assert.deepEqual(await names({}), ["Books", "Home", "Lighting", "Outdoor"])
+      assert.deepEqual(await names({ parent: "root" }), ["Books", "Home"])
+      assert.deepEqual(await names({ parent: home._id.toString() }), ["Lighting", "Outdoor"])
+    })
+  })
+
+  describe("getCategoryTree", () => {
+    test("nests subcategories three levels deep by default", async () => {
+      const home = await create("Home")
+      const lighting = await create("Lighting", home)
+      const lamps = await create("Lamps", lighting)
+      const bulbs = await create("Bulbs", lamps)
+      await create("LED", bulbs)
+      await create("Books")
+
+      assert.deepEqual(await tree(), ["Books", ["Home", [["Lighting", [["Lamps", ["Bulbs"]]]]]]])
+      assert.deepEqual(await tree({ depth: "1" }), ["Books", ["Home", ["Lighting"]]])
+    })
+
+    test("keeps the depth between one and five levels, falling back to three", async () => {
+      let parent
+      for (const name of ["L1", "L2", "L3", "L4", "L5", "L6", "L7"]) parent = await create(name, parent)
+
+      assert.deepEqual(await tree({ depth: "10" }), [["L1", [["L2", [["L3", [["L4", [["L5", ["L6"]]]]]]]]]]])
+      assert.deepEqual(await tree({ depth: "0" }), [["L1", [["L2", [["L3", ["L4"]]]]]]])
+      assert.deepEqual(await tree({ depth: "-2" }), [["L1", ["L2"]]])
+    })
+  })
+
+  describe("getCategoryBySlug", () => {
+    test("finds a category with its direct subcategories", async () => {
+      const home = await create("Home & Garden")
+      const lighting = await create("Lighting", home)
+      await create("Lamps", lighting)
+
+      const response = await callHandler(getCategoryBySlug, makeRequest({ params: { slug: "home-and-garden" } }))
+
+      assert.deepEqual(outline([JSON.parse(JSON.stringify(response.body.data))]), [["Home & Garden", ["Lighting"]]])
+      await assert.rejects(callHandler(getCategoryBySlug, makeRequest({ params: { slug: "garden" } })), {
+        statusCode: 404,
+      })
+    })
+  })
+
+  describe("deleteCategory", () => {
+    test("is refused while products or subcategories still use the category", async () => {
+      const home = await create("Home")
+      const lighting = await create("Lighting", home)
+      await db.insert(Product, {
+        name: "Desk lamp",
+        description: "A lamp",
+        price: 20,
+        category: lighting._id,
+        stock: 3,
+      })
+
+      await assert.rejects(remove(lighting), {
+        statusCode: 400,
+        message: "Cannot delete category with 1 product(s) assigned to it",
+      })
+      await assert.rejects(remove(home), {
+        statusCode: 400,
+        message: "Cannot delete category with 1 subcategory(ies)",
+      })
+      assert.ok(db.findById(Category, lighting._id))
+
+      await Product.deleteMany({ category: lighting._id })
+      await remove(lighting)
+      await remove(home)
+      assert.equal(db.find(Category).length, 0)
+    })
+  })
+})
@@ -0,0 +1,87 @@
+import assert from "node:assert/strict"
+import { after, afterEach, beforeEach, describe, mock, test } from "node:test"
+import mongoose from "mongoose"
+import { releaseExpiredReservations } from "../../utils/inventory.js"
+import stripeProvider from "../../utils/payments/stripeProvider.js"
+import { ErrorResponse } from "../../utils/errorResponse.js"
+import Order from "../../models/Order.js"
+import Product from "../../models/Product.js"
+import Coupon from "../../models/Coupon.js"
+import CouponRedemption from "../../models/CouponRedemption.js"
+import StockReservation from "../../models/StockReservation.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+import { seedCheckout } from "../support/fixtures.js"
+
+const db = createMemoryDb()
+
+const expired = () => new Date(Date.now() - 1000)
+
+describe("releaseExpiredReservations", () => {
+  let cancelPayment
+
+  beforeEach(() => {
+    db.install()
+    cancelPayment = mock.method(stripeProvider, "cancelPayment", async () => {})
+  })
+  afterEach(() => db.uninstall())
+  after(() => mongoose.disconnect())
+
+  test("voids the payment, cancels the abandoned order and gives its stock and coupon use back", async () => {
+    const { product, reservation, order, coupon } = await seedCheckout(db, { coupon: true, expiresAt: expired() })
+
+    assert.deepEqual(await releaseExpiredReservations(), { cancelled: 1, released: 0 })
+
+    assert.equal(cancelPayment.mock.callCount(), 1)
+    assert.equal(cancelPayment.mock.calls[0].arguments[0].paymentResult.id, "pi_test_1")
+    assert.equal(db.findById(StockReservation, reservation._id).status, "released")
+    assert.equal(db.findById(Product, product._id).stock, 5)
+    const cancelled = db.findById(Order, order._id)
+    assert.equal(cancelled.status, "cancelled")
+    assert.equal(cancelled.statusHistory.at(-1).note, "Checkout expired before payment")
+    assert.equal(db.find(CouponRedemption, { order: order._id })[0].status, "released")
+    assert.equal(db.findById(Coupon, coupon._id).usedCount, 0)
+
+    // Nothing is left to release on the next sweep
+    assert.deepEqual(await releaseExpiredReservations(), { cancelled: 0, released: 0 })
+    assert.equal(db.findById(Product, product._id).stock, 5)
+  })
+
+  test("cancels an order whose failed payment already gave the stock back", async () => {
+    const { product, reservation, order, coupon } = await seedCheckout(db, { coupon: true, expiresAt: expired() })
+    // payment_intent.payment_failed released the reservation but left the order open for a retry
+    await db.insert(StockReservation, { ...reservation.toObject(), status: "released" })
+    await db.insert(Product, { ...product.toObject(), stock: 5 })
+
+    assert.deepEqual(await releaseExpiredReservations(), { cancelled: 1, released: 0 })
+
+    assert.equal(db.findById(Order, order._id).status, "cancelled")
+    assert.equal(db.findById(Coupon, coupon._id).usedCount, 0)
+    assert.equal(db.findById(Product, product._id).stock, 5)
+  })
+
+  test("leaves the order open when its payment can no longer be voided", async () => {
+    const { order, coupon } = await seedCheckout(db, { coupon: true, expiresAt: expired() })
+    cancelPayment.mock.mockImplementation(async () => {
+      throw new ErrorResponse("PaymentIntent has already succeeded", 400)
+    })
+
+    assert.deepEqual(await releaseExpiredReservations(), { cancelled: 0, released: 1 })
+
+    assert.equal(db.findById(Order, order._id).status, "pending")
+    assert.equal(db.findById(Coupon, coupon._id).usedCount, 1)
+  })
+
+  test("leaves reservations that have not expired alone", async () => {
+    const { product, order, coupon } = await seedCheckout(db, {
+      coupon: true,
+      expiresAt: new Date(Date.now() + 60 * 1000),
+    })
+
+    assert.deepEqual(await releaseExpiredReservations(), { cancelled: 0, released: 0 })
+
+    assert.equal(cancelPayment.mock.callCount(), 0)
+    assert.equal(db.findById(Product, product._id).stock, 3)
+    assert.equal(db.findById(Order, order._id).status, "pending")
+    assert.equal(db.findById(Coupon, coupon._id).usedCount, 1)
+  })
+})
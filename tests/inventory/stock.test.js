@@ -0,0 +1,264 @@
+import assert from "node:assert/strict"
+import { after, afterEach, beforeEach, describe, mock, test } from "node:test"
+import mongoose from "mongoose"
+import {
+  decrementStock,
+  releaseReservation,
+  reserveStock,
+  RESERVATION_TTL_MS,
+  takeStockIfAvailable,
+} from "../../utils/inventory.js"
+import { withTransaction } from "../../utils/transaction.js"
+import { createOrder } from "../../controllers/orderController.js"
+import { createPaymentIntent } from "../../controllers/paymentController.js"
+import stripeProvider from "../../utils/payments/stripeProvider.js"
+import Product from "../../models/Product.js"
+import Order from "../../models/Order.js"
+import StockReservation from "../../models/StockReservation.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+import { callHandler, makeRequest, seedUser } from "../support/fixtures.js"
+
+const db = createMemoryDb()
+
+const shippingAddress = { address: "1 Main St", city: "Springfield", postalCode: "12345", country: "US" }
+
+const seedProduct = (fields = {}) =>
+  db.insert(Product, {
+    name: "Desk lamp",
+    description: "A lamp",
+    price: 20,
+    category: new mongoose.Types.ObjectId(),
+    stock: 3,
+    images: [{ public_id: "products/lamp", url: "lamp.jpg" }],
+    ...fields,
+  })
+
+const stockOf = (product) => db.findById(Product, product._id).stock
+
+describe("stock", () => {
+  let lamp
+  let bulb
+
+  beforeEach(async () => {
+    db.install()
+    lamp = await seedProduct()
+    bulb = await seedProduct({ name: "Bulb", price: 5, stock: 1 })
+  })
+  afterEach(() => db.uninstall())
+  after(() => mongoose.disconnect())
+
+  describe("decrementStock", () => {
+    test("takes stock down to zero but never below it", async () => {
+      await decrementStock([{ product: lamp._id, quantity: 3 }])
+      assert.equal(stockOf(lamp), 0)
+
+      await assert.rejects(decrementStock([{ product: lamp._id, quantity: 1 }]), {
+        statusCode: 400,
+        message: "Product Desk lamp is out of stock",
+      })
+      assert.equal(stockOf(lamp), 0)
+    })
+
+    test("only one of two buyers racing for the last units gets them", async () => {
+      const results = await Promise.allSettled([
+        decrementStock([{ product: lamp._id, quantity: 2 }]),
+        decrementStock([{ product: lamp._id, quantity: 2 }]),
+      ])
+
+      assert.deepEqual(
+        results.map((result) => result.status),
+        ["fulfilled", "rejected"],
+      )
+      assert.equal(stockOf(lamp), 1)
+    })
+
+    test("puts back what it took when a later item is short, outside a transaction", async () => {
+      const items = [
+        { product: lamp._id, quantity: 2 },
+        { product: bulb._id, quantity: 2 },
+      ]
+
+      await assert.rejects(decrementStock(items), { statusCode: 400, message: "Product Bulb is out of stock" })
+
+      assert.equal(stockOf(lamp), 3)
+      assert.equal(stockOf(bulb), 1)
+    })
+
+    test("leaves the undo to the transaction when it runs inside one", async () => {
+      const items = [
+        { product: lamp._id, quantity: 2 },
+        { product: bulb._id, quantity: 2 },
+      ]
+
+      await assert.rejects(
+        withTransaction((session) => decrementStock(items, session)),
+        { statusCode: 400 },
+      )
+
+      assert.equal(stockOf(lamp), 3)
+    })
+
+    test("takes a variant's stock along with the product total", async () => {
+      const product = await seedProduct({
+        options: [{ name: "Color", values: ["Black", "White"] }],
+        variants: [
+          { sku: "LAMP-BLK", options: { Color: "Black" }, price: 20, stock: 2 },
+          { sku: "LAMP-WHT", options: { Color: "White" }, price: 22, stock: 3 },
+        ],
+      })
+      const [black, white] = product.variants
+
+      await decrementStock([{ product: product._id, variant: white._id, quantity: 3 }])
+
+      const updated = db.findById(Product, product._id)
+      assert.deepEqual(
+        updated.variants.map((variant) => variant.stock),
+        [2, 0],
+      )
+      assert.equal(updated.stock, 2)
+      await assert.rejects(decrementStock([{ product: product._id, variant: black._id, quantity: 3 }]), {
+        statusCode: 400,
+        message: "Product Desk lamp (LAMP-BLK) is out of stock",
+      })
+      await assert.rejects(
+        decrementStock([{ product: product._id, variant: new mongoose.Types.ObjectId(), quantity: 1 }]),
+        { statusCode: 404 },
+      )
+    })
+
+    test("reports a product that no longer exists", async () => {
+      await assert.rejects(decrementStock([{ product: new mongoose.Types.ObjectId(), quantity: 1 }]), {
+        statusCode: 404,
+      })
+    })
+  })
+
+  describe("takeStockIfAvailable", () => {
+    test("takes everything or, without throwing, nothing", async () => {
+      const items = [
+        { product: lamp._id, quantity: 2 },
+        { product: bulb._id, quantity: 2 },
+      ]
+
+      assert.equal(await takeStockIfAvailable(items), false)
+      assert.equal(stockOf(lamp), 3)
+      assert.equal(stockOf(bulb), 1)
+
+      assert.equal(await takeStockIfAvailable([{ ...items[0] }, { ...items[1], quantity: 1 }]), true)
+      assert.equal(stockOf(lamp), 1)
+      assert.equal(stockOf(bulb), 0)
+    })
+  })
+
+  describe("reserveStock and releaseReservation", () => {
+    test("hold stock until the reservation expires, and give it back only once", async () => {
+      const user = new mongoose.Types.ObjectId()
+      const before = Date.now()
+
+      const reservation = await reserveStock({ user, items: [{ product: lamp._id, quantity: 2, price: 20 }] })
+
+      assert.equal(stockOf(lamp), 1)
+      assert.equal(reservation.status, "active")
+      assert.ok(reservation.expiresAt.getTime() >= before + RESERVATION_TTL_MS)
+
+      const released = await releaseReservation({ _id: reservation._id })
+      assert.equal(released.status, "released")
+      assert.equal(await releaseReservation({ _id: reservation._id }), null)
+      assert.equal(stockOf(lamp), 3)
+    })
+
+    test("a consumed reservation keeps its stock with the order", async () => {
+      const reservation = await reserveStock({
+        user: new mongoose.Types.ObjectId(),
+        items: [{ product: lamp._id, quantity: 2 }],
+      })
+
+      await releaseReservation({ _id: reservation._id }, undefined, "consumed")
+      assert.equal(await releaseReservation({ _id: reservation._id }), null)
+
+      assert.equal(db.findById(StockReservation, reservation._id).status, "consumed")
+      assert.equal(stockOf(lamp), 3)
+    })
+  })
+
+  describe("checkout", () => {
+    let customer
+
+    beforeEach(async () => {
+      customer = await seedUser(db, { email: "buyer@example.com" })
+    })
+
+    const checkout = (items, body = {}) =>
+      callHandler(
+        createPaymentIntent,
+        makeRequest({ body: { items, shippingAddress, paymentMethod: "stripe", ...body }, user: customer }),
+      )
+
+    test("a card checkout reserves the stock for its pending order", async () => {
+      const createPayment = mock.method(stripeProvider, "createPayment", async () => ({
+        id: "pi_test_1",
+        status: "requires_payment_method",
+        clientSecret: "pi_test_1_secret",
+      }))
+
+      const response = await checkout([{ product: lamp._id.toString(), quantity: 2 }])
+
+      assert.equal(createPayment.mock.callCount(), 1)
+      assert.equal(response.body.amount, 5280)
+      assert.equal(stockOf(lamp), 1)
+      const order = db.findById(Order, response.body.orderId)
+      assert.equal(order.isPaid, false)
+      assert.equal(order.paymentResult.id, "pi_test_1")
+      const reservation = db.findById(StockReservation, order.reservation)
+      assert.equal(reservation.paymentId, "pi_test_1")
+      assert.equal(reservation.status, "active")
+    })
+
+    test("nothing is left behind when the stock runs out or the provider fails", async () => {
+      mock.method(stripeProvider, "createPayment", async () => {
+        throw new Error("Stripe is unavailable")
+      })
+
+      await assert.rejects(
+        checkout([
+          { product: lamp._id.toString(), quantity: 2 },
+          { product: bulb._id.toString(), quantity: 2 },
+        ]),
+        { statusCode: 400 },
+      )
+      await assert.rejects(checkout([{ product: lamp._id.toString(), quantity: 2 }]), {
+        message: "Stripe is unavailable",
+      })
+
+      assert.equal(stockOf(lamp), 3)
+      assert.equal(stockOf(bulb), 1)
+      assert.equal(db.find(Order).length, 0)
+      assert.deepEqual(
+        db.find(StockReservation).map((reservation) => reservation.status),
+        ["released"],
+      )
+    })
+
+    test("a cash order takes its stock when it's placed, or not at all", async () => {
+      const place = (orderItems) =>
+        callHandler(
+          createOrder,
+          makeRequest({ body: { orderItems, shippingAddress, paymentMethod: "cash" }, user: customer }),
+        )
+
+      await assert.rejects(
+        place([
+          { product: lamp._id.toString(), quantity: 1 },
+          { product: bulb._id.toString(), quantity: 2 },
+        ]),
+        { statusCode: 400, message: "Product Bulb is out of stock" },
+      )
+      assert.equal(stockOf(lamp), 3)
+      assert.equal(db.find(Order).length, 0)
+
+      const response = await place([{ product: lamp._id.toString(), quantity: 3 }])
+      assert.equal(response.status, 201)
+      assert.equal(stockOf(lamp), 0)
+    })
+  })
+})
@@ -0,0 +1,153 @@
+import assert from "node:assert/strict"
+import { after, afterEach, beforeEach, describe, mock, test } from "node:test"
+import mongoose from "mongoose"
+import { cancelOrder } from "../../controllers/orderController.js"
+import stripeProvider from "../../utils/payments/stripeProvider.js"
+import Order from "../../models/Order.js"
+import Product from "../../models/Product.js"
+import Coupon from "../../models/Coupon.js"
+import StockReservation from "../../models/StockReservation.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+import { callHandler, makeRequest, seedCheckout, seedUser } from "../support/fixtures.js"
+import { sendStripeEvent, stripeEvent } from "../support/stripeEvents.js"
+
+const db = createMemoryDb()
+
+const cancel = (order, user, body = {}) =>
+  callHandler(cancelOrder, makeRequest({ params: { id: order._id.toString() }, body, user }))
+
+// A Stripe charge for the seeded checkout, refunded in full by `refundId`
+const refundedCharge = (refundId) => ({
+  id: "ch_test_1",
+  object: "charge",
+  payment_intent: "pi_test_1",
+  amount: 5280,
+  amount_refunded: 5280,
+  refunded: true,
+  refunds: { data: [{ id: refundId, amount: 5280, created: Math.floor(Date.now() / 1000), metadata: {} }] },
+})
+
+describe("cancelOrder", () => {
+  beforeEach(() => db.install())
+  afterEach(() => db.uninstall())
+  after(() => mongoose.disconnect())
+
+  test("voids an unpaid checkout and gives back its reservation and coupon use", async () => {
+    const { user, product, reservation, order, coupon } = await seedCheckout(db, { coupon: true })
+    const cancelPayment = mock.method(stripeProvider, "cancelPayment", async () => ({ status: "canceled" }))
+
+    const response = await cancel(order, user, { reason: "Changed my mind" })
+
+    assert.equal(response.status, 200)
+    assert.equal(cancelPayment.mock.callCount(), 1)
+    const cancelled = db.findById(Order, order._id)
+    assert.equal(cancelled.status, "cancelled")
+    assert.equal(cancelled.cancellation.reason, "Changed my mind")
+    assert.equal(cancelled.cancellation.cancelledBy.toString(), user._id.toString())
+    assert.equal(db.findById(StockReservation, reservation._id).status, "released")
+    assert.equal(db.findById(Product, product._id).stock, 5)
+    assert.equal(db.findById(Coupon, coupon._id).usedCount, 0)
+  })
+
+  test("refunds the whole balance of a paid order and restocks it", async () => {
+    const { user, product, order } = await seedCheckout(db, { paid: true })
+    const refundPayment = mock.method(stripeProvider, "refundPayment", async () => ({ id: "re_test_1" }))
+
+    await cancel(order, user)
+
+    assert.equal(refundPayment.mock.calls[0].arguments[1], 52.8)
+    const cancelled = db.findById(Order, order._id)
+    assert.equal(cancelled.status, "cancelled")
+    assert.equal(cancelled.amountRefunded, 52.8)
+    assert.deepEqual(
+      cancelled.refunds.map(({ refundId, amount, reason }) => ({ refundId, amount, reason })),
+      [{ refundId: "re_test_1", amount: 52.8, reason: "Order cancelled" }],
+    )
+    assert.ok(cancelled.cancellation.restockedAt)
+    assert.equal(db.findById(Product, product._id).stock, 5)
+  })
+
+  test("returns the stock only once", async () => {
+    const { user, product, order } = await seedCheckout(db, { paid: true })
+    const refundPayment = mock.method(stripeProvider, "refundPayment", async () => ({ id: "re_test_1" }))
+    await cancel(order, user)
+
+    await assert.rejects(cancel(order, user), {
+      statusCode: 400,
+      message: "Order cannot be cancelled once it is cancelled",
+    })
+
+    assert.equal(refundPayment.mock.callCount(), 1)
+    assert.equal(db.findById(Product, product._id).stock, 5)
+  })
+
+  test("leaves the payment alone when the provider can't refund it", async () => {
+    const { user, product, order } = await seedCheckout(db, { paid: true })
+    mock.method(stripeProvider, "refundPayment", async () => {
+      throw new Error("Stripe is unavailable")
+    })
+
+    await assert.rejects(cancel(order, user), { message: "Stripe is unavailable" })
+
+    const current = db.findById(Order, order._id)
+    assert.equal(current.status, "pending")
+    assert.equal(current.amountRefunded, 0)
+    assert.equal(db.findById(Product, product._id).stock, 3)
+  })
+
+  test("can't cancel an order that has shipped", async () => {
+    const { user, order } = await seedCheckout(db, { paid: true })
+    await db.insert(Order, { ...order.toObject(), status: "shipped" })
+    const refundPayment = mock.method(stripeProvider, "refundPayment", async () => ({ id: "re_test_1" }))
+
+    await assert.rejects(cancel(order, user), {
+      statusCode: 400,
+      message: "Order cannot be cancelled once it is shipped",
+    })
+    assert.equal(refundPayment.mock.callCount(), 0)
+  })
+
+  test("only the customer or staff who cancel orders can cancel it", async () => {
+    const { order } = await seedCheckout(db, { paid: true })
+    const stranger = await seedUser(db, { email: "stranger@example.com" })
+    const support = await seedUser(db, { email: "support@example.com", role: "support" })
+    mock.method(stripeProvider, "refundPayment", async () => ({ id: "re_test_1" }))
+
+    await assert.rejects(cancel(order, stranger), { statusCode: 401 })
+    assert.equal(db.findById(Order, order._id).status, "pending")
+
+    await cancel(order, support)
+    assert.equal(db.findById(Order, order._id).cancellation.cancelledBy.toString(), support._id.toString())
+  })
+
+  test("a refund webhook that arrives first isn't counted twice", async () => {
+    const { user, product, order } = await seedCheckout(db, { paid: true })
+    mock.method(stripeProvider, "refundPayment", async () => {
+      await sendStripeEvent(stripeEvent("charge.refunded", refundedCharge("re_test_1")))
+      return { id: "re_test_1" }
+    })
+
+    await cancel(order, user)
+
+    const current = db.findById(Order, order._id)
+    assert.equal(current.status, "refunded")
+    assert.equal(current.refunds.length, 1)
+    assert.equal(current.amountRefunded, 52.8)
+    assert.ok(current.cancellation.cancelledAt)
+    assert.equal(db.findById(Product, product._id).stock, 5)
+  })
+
+  test("a cancellation webhook that arrives first doesn't release the reservation twice", async () => {
+    const { user, product, order, coupon } = await seedCheckout(db, { coupon: true })
+    mock.method(stripeProvider, "cancelPayment", async () => {
+      await sendStripeEvent(stripeEvent("payment_intent.canceled", { id: "pi_test_1", status: "canceled" }))
+      return { status: "canceled" }
+    })
+
+    await cancel(order, user)
+
+    assert.equal(db.findById(Order, order._id).status, "cancelled")
+    assert.equal(db.findById(Product, product._id).stock, 5)
+    assert.equal(db.findById(Coupon, coupon._id).usedCount, 0)
+  })
+})
@@ -0,0 +1,129 @@
+import assert from "node:assert/strict"
+import { after, afterEach, beforeEach, describe, test } from "node:test"
+import mongoose from "mongoose"
+import { updateOrderStatus, updateOrderToDelivered } from "../../controllers/orderController.js"
+import Order from "../../models/Order.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+import { callHandler, makeRequest, seedCheckout, seedUser } from "../support/fixtures.js"
+
+const db = createMemoryDb()
+
+describe("order status", () => {
+  let staff
+
+  beforeEach(async () => {
+    db.install()
+    staff = await seedUser(db, { email: "staff@example.com", role: "fulfillment" })
+  })
+  afterEach(() => db.uninstall())
+  after(() => mongoose.disconnect())
+
+  const setStatus = (order, body) =>
+    callHandler(updateOrderStatus, makeRequest({ params: { id: order._id.toString() }, body, user: staff }))
+
+  const deliver = (order, body = {}) =>
+    callHandler(updateOrderToDelivered, makeRequest({ params: { id: order._id.toString() }, body, user: staff }))
+
+  test("a new order starts its history with its first status", async () => {
+    const { order } = await seedCheckout(db)
+    const { _id, statusHistory, paymentResult, ...fields } = order.toObject()
+
+    const created = await Order.create(fields)
+
+    assert.deepEqual(
+      created.statusHistory.map(({ from, to, changedBy }) => ({ from, to, changedBy: changedBy.toString() })),
+      [{ from: undefined, to: "pending", changedBy: order.user.toString() }],
+    )
+  })
+
+  test("moves an order through fulfilment, recording every step", async () => {
+    const { order } = await seedCheckout(db, { paid: true })
+
+    await setStatus(order, { status: "processing" })
+    await setStatus(order, { status: "shipped", note: "Tracking 1Z999" })
+    const response = await deliver(order)
+
+    assert.equal(response.body.data.status, "delivered")
+    const delivered = db.findById(Order, order._id)
+    assert.equal(delivered.isDelivered, true)
+    assert.ok(delivered.deliveredAt)
+    assert.deepEqual(
+      delivered.statusHistory.slice(-3).map(({ from, to, note, changedBy }) => ({
+        from,
+        to,
+        note,
+        changedBy: changedBy.toString(),
+      })),
+      [
+        { from: "pending", to: "processing", note: undefined, changedBy: staff._id.toString() },
+        { from: "processing", to: "shipped", note: "Tracking 1Z999", changedBy: staff._id.toString() },
+        { from: "shipped", to: "delivered", note: undefined, changedBy: staff._id.toString() },
+      ],
+    )
+  })
+
+  test("refuses to skip a step or go backwards", async () => {
+    const { order } = await seedCheckout(db, { paid: true })
+
+    await assert.rejects(deliver(order), {
+      statusCode: 400,
+      message: "Cannot change order status from pending to delivered",
+    })
+    assert.equal(db.findById(Order, order._id).isDelivered, false)
+
+    await setStatus(order, { status: "processing" })
+    await assert.rejects(setStatus(order, { status: "pending" }), {
+      statusCode: 400,
+      message: "Cannot change order status from processing to pending",
+    })
+    assert.equal(db.findById(Order, order._id).status, "processing")
+  })
+
+  test("a delivered order can't be shipped again", async () => {
+    const { order } = await seedCheckout(db, { paid: true })
+    await db.insert(Order, { ...order.toObject(), status: "delivered" })
+
+    await assert.rejects(setStatus(order, { status: "shipped" }), {
+      statusCode: 400,
+      message: "Cannot change order status from delivered to shipped",
+    })
+  })
+
+  test("cancelled orders are final", async () => {
+    const { order } = await seedCheckout(db)
+    await db.insert(Order, { ...order.toObject(), status: "cancelled" })
+
+    await assert.rejects(setStatus(order, { status: "processing" }), {
+      statusCode: 400,
+      message: "Cannot change order status from cancelled to processing",
+    })
+  })
+
+  test("refunds and cancellations have to go through their own endpoints", async () => {
+    const { order } = await seedCheckout(db, { paid: true })
+
+    await assert.rejects(setStatus(order, { status: "refunded" }), {
+      statusCode: 400,
+      message: "Orders can only be set to refunded through POST /api/orders/:id/refund",
+    })
+    await assert.rejects(setStatus(order, { status: "partially_refunded" }), { statusCode: 400 })
+    await assert.rejects(setStatus(order, { status: "cancelled" }), {
+      statusCode: 400,
+      message: "Orders can only be set to cancelled through PUT /api/orders/:id/cancel",
+    })
+    assert.equal(db.findById(Order, order._id).status, "pending")
+  })
+
+  test("rejects a missing or unknown status and an unknown order", async () => {
+    const { order } = await seedCheckout(db, { paid: true })
+
+    await assert.rejects(setStatus(order, {}), { statusCode: 400, message: "Please provide a status" })
+    await assert.rejects(setStatus(order, { status: "lost" }), {
+      statusCode: 400,
+      message: "Invalid order status: lost",
+    })
+    await assert.rejects(setStatus({ _id: new mongoose.Types.ObjectId() }, { status: "processing" }), {
+      statusCode: 404,
+    })
+  })
+})
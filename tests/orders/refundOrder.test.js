@@ -0,0 +1,150 @@
+import assert from "node:assert/strict"
+import { after, afterEach, beforeEach, describe, test } from "node:test"
+import mongoose from "mongoose"
+import { refundOrder } from "../../controllers/orderController.js"
+import { registerPaymentProvider } from "../../utils/payments/index.js"
+import stripeProvider from "../../utils/payments/stripeProvider.js"
+import { ErrorResponse } from "../../utils/errorResponse.js"
+import Order from "../../models/Order.js"
+import Product from "../../models/Product.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+import { callHandler, seedCheckout } from "../support/fixtures.js"
+import { sendStripeEvent, stripeEvent } from "../support/stripeEvents.js"
+
+const db = createMemoryDb()
+
+const staff = { id: new mongoose.Types.ObjectId().toString() }
+
+const refundRequest = (order, body = {}) => ({ params: { id: order._id.toString() }, body, user: staff })
+
+// Swap the Stripe provider's refund for `refundPayment`, recording every call
+const fakeRefunds = (refundPayment) => {
+  const calls = []
+  registerPaymentProvider("stripe", {
+    ...stripeProvider,
+    async refundPayment(order, amount, options) {
+      calls.push({ amount, options })
+      return refundPayment(order, amount, options, calls.length)
+    },
+  })
+  return calls
+}
+
+describe("refundOrder", () => {
+  beforeEach(() => db.install())
+  afterEach(() => {
+    registerPaymentProvider("stripe", stripeProvider)
+    db.uninstall()
+  })
+  after(() => mongoose.disconnect())
+
+  test("refunds an item with its share of the tax and puts it back into stock", async () => {
+    const { product, order } = await seedCheckout(db, { paid: true })
+    const calls = fakeRefunds(async () => ({ id: "re_test_1", status: "succeeded" }))
+    const itemId = order.orderItems[0]._id.toString()
+    const body = { items: [{ itemId, quantity: 1 }], restock: true }
+
+    const response = await callHandler(refundOrder, refundRequest(order, body))
+
+    assert.equal(response.status, 200)
+    // 20 for the lamp plus 7% tax
+    assert.equal(calls[0].amount, 21.4)
+
+    const refunded = db.findById(Order, order._id)
+    assert.equal(refunded.status, "partially_refunded")
+    assert.equal(refunded.amountRefunded, 21.4)
+    assert.equal(refunded.orderItems[0].refundedQuantity, 1)
+    assert.equal(refunded.refunds.length, 1)
+    assert.equal(refunded.refunds[0].refundId, "re_test_1")
+    assert.equal(refunded.refunds[0].status, "completed")
+    assert.equal(refunded.refunds[0].restocked, true)
+    assert.equal(calls[0].options.metadata.refundEntryId, refunded.refunds[0]._id.toString())
+    assert.equal(db.findById(Product, product._id).stock, 4)
+  })
+
+  test("rejects a custom amount above the refundable balance", async () => {
+    const { order } = await seedCheckout(db, { paid: true })
+    const calls = fakeRefunds(async () => ({ id: "re_test_1", status: "succeeded" }))
+
+    await assert.rejects(callHandler(refundOrder, refundRequest(order, { amount: 60 })), {
+      statusCode: 400,
+      message: "Refund amount exceeds the refundable balance of 52.8",
+    })
+    assert.equal(calls.length, 0)
+  })
+
+  test("claims the items before the provider is called, so a concurrent refund of them is refused", async () => {
+    const { order } = await seedCheckout(db, { paid: true })
+    const itemId = order.orderItems[0]._id.toString()
+    const body = { items: [{ itemId, quantity: 2 }] }
+
+    let concurrent
+    const calls = fakeRefunds(async (current, amount, options, call) => {
+      if (call === 1) {
+        concurrent = callHandler(refundOrder, refundRequest(order, body)).catch((error) => error)
+        await concurrent
+      }
+      return { id: `re_test_${call}`, status: "succeeded" }
+    })
+
+    await callHandler(refundOrder, refundRequest(order, body))
+
+    const error = await concurrent
+    assert.equal(error.statusCode, 400)
+    assert.equal(error.message, "Cannot refund 2 of Desk lamp, 0 refundable")
+    assert.equal(calls.length, 1)
+
+    const refunded = db.findById(Order, order._id)
+    assert.equal(refunded.refunds.length, 1)
+    assert.equal(refunded.amountRefunded, 42.8)
+    assert.equal(refunded.orderItems[0].refundedQuantity, 2)
+  })
+
+  test("gives the claim back when the provider refund fails", async () => {
+    const { product, order } = await seedCheckout(db, { paid: true })
+    fakeRefunds(async () => {
+      throw new ErrorResponse("Refund declined", 502)
+    })
+    const itemId = order.orderItems[0]._id.toString()
+
+    await assert.rejects(
+      callHandler(refundOrder, refundRequest(order, { items: [{ itemId }], restock: true })),
+      { statusCode: 502 },
+    )
+
+    const current = db.findById(Order, order._id)
+    assert.equal(current.status, "pending")
+    assert.equal(current.amountRefunded, 0)
+    assert.equal(current.orderItems[0].refundedQuantity, 0)
+    assert.equal(current.refunds.length, 0)
+    assert.equal(db.findById(Product, product._id).stock, 3)
+  })
+
+  test("completes the claimed entry when the refund webhook arrives before the endpoint finishes", async () => {
+    const { order } = await seedCheckout(db, { paid: true })
+    fakeRefunds(async (current, amount, { metadata }) => {
+      const refund = { id: "re_test_1", amount: 5280, metadata, created: Math.floor(Date.now() / 1000) }
+      await sendStripeEvent(
+        stripeEvent("charge.refunded", {
+          id: "ch_test_1",
+          object: "charge",
+          payment_intent: order.paymentResult.id,
+          amount_refunded: 5280,
+          refunded: true,
+          refunds: { data: [refund] },
+        }),
+      )
+      return { id: refund.id, status: "succeeded" }
+    })
+
+    await callHandler(refundOrder, refundRequest(order))
+
+    const refunded = db.findById(Order, order._id)
+    assert.equal(refunded.status, "refunded")
+    assert.equal(refunded.amountRefunded, 52.8)
+    assert.deepEqual(
+      refunded.refunds.map((refund) => [refund.refundId, refund.amount, refund.status]),
+      [["re_test_1", 52.8, "completed"]],
+    )
+  })
+})
@@ -0,0 +1,90 @@
+import assert from "node:assert/strict"
+import { after, afterEach, beforeEach, describe, mock, test } from "node:test"
+import mongoose from "mongoose"
+import { createOrder, updateOrderToPaid } from "../../controllers/orderController.js"
+import stripeProvider from "../../utils/payments/stripeProvider.js"
+import { ErrorResponse } from "../../utils/errorResponse.js"
+import Order from "../../models/Order.js"
+import StockReservation from "../../models/StockReservation.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+import { callHandler, makeRequest, seedCheckout, seedUser } from "../support/fixtures.js"
+
+const db = createMemoryDb()
+
+const payRequest = (order, user, body = {}) => makeRequest({ params: { id: order._id.toString() }, body, user })
+
+// An unpaid cash order as POST /api/orders creates it, with its stock already taken
+const seedCashOrder = async () => {
+  const { user, order } = await seedCheckout(db)
+  const cashOrder = await db.insert(Order, {
+    ...order.toObject(),
+    paymentMethod: "cash",
+    paymentResult: undefined,
+    reservation: undefined,
+  })
+  return { user, order: cashOrder }
+}
+
+describe("updateOrderToPaid", () => {
+  beforeEach(() => db.install())
+  afterEach(() => db.uninstall())
+  after(() => mongoose.disconnect())
+
+  test("card orders can't be created without a provider payment", async () => {
+    const user = await seedUser(db)
+    const body = { orderItems: [{ product: new mongoose.Types.ObjectId(), quantity: 1 }], paymentMethod: "stripe" }
+
+    await assert.rejects(callHandler(createOrder, makeRequest({ body, user })), {
+      statusCode: 400,
+      message: "Orders paid by stripe must be placed through POST /api/payment/create-payment-intent",
+    })
+    assert.equal(db.find(Order).length, 0)
+  })
+
+  test("marks a checkout order paid once its provider confirms the payment", async () => {
+    const { user, reservation, order } = await seedCheckout(db)
+    const verifyPayment = mock.method(stripeProvider, "verifyPayment", async () => ({
+      id: "pi_test_1",
+      status: "succeeded",
+      update_time: Date.now(),
+    }))
+
+    const response = await callHandler(updateOrderToPaid, payRequest(order, user))
+
+    assert.equal(response.status, 200)
+    assert.equal(verifyPayment.mock.calls[0].arguments[0]._id.toString(), order._id.toString())
+    assert.equal(db.findById(Order, order._id).isPaid, true)
+    assert.equal(db.findById(StockReservation, reservation._id).status, "consumed")
+  })
+
+  test("leaves the order unpaid when the provider can't confirm the payment", async () => {
+    const { user, order } = await seedCheckout(db)
+    mock.method(stripeProvider, "verifyPayment", async () => {
+      throw new ErrorResponse("Payment not successful", 400)
+    })
+
+    await assert.rejects(callHandler(updateOrderToPaid, payRequest(order, user)), {
+      statusCode: 400,
+      message: "Payment not successful",
+    })
+    assert.equal(db.findById(Order, order._id).isPaid, false)
+  })
+
+  test("cash payments can only be confirmed by staff who take cash", async () => {
+    const { user, order } = await seedCashOrder()
+    const staff = await seedUser(db, { email: "staff@example.com", role: "fulfillment" })
+
+    await assert.rejects(callHandler(updateOrderToPaid, payRequest(order, user)), { statusCode: 403 })
+    assert.equal(db.findById(Order, order._id).isPaid, false)
+
+    await callHandler(updateOrderToPaid, payRequest(order, staff))
+
+    const paid = db.findById(Order, order._id)
+    assert.equal(paid.isPaid, true)
+    assert.equal(paid.paymentConfirmedBy.toString(), staff._id.toString())
+    await assert.rejects(callHandler(updateOrderToPaid, payRequest(order, staff)), {
+      statusCode: 400,
+      message: "Order is already paid",
+    })
+  })
+})
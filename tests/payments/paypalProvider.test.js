@@ -0,0 +1,191 @@
+import assert from "node:assert/strict"
+import { after, afterEach, before, beforeEach, describe, test } from "node:test"
+import mongoose from "mongoose"
+import { createPayPalProvider } from "../../utils/payments/paypalProvider.js"
+import paypalProvider from "../../utils/payments/paypalProvider.js"
+import { registerPaymentProvider } from "../../utils/payments/index.js"
+import { handlePayPalWebhook } from "../../controllers/paymentController.js"
+import Order from "../../models/Order.js"
+import { FAKE_WEBHOOK_SIGNATURE, startFakePayPalServer } from "../support/fakePayPalServer.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+import { callHandler, seedCheckout } from "../support/fixtures.js"
+
+// The parts of an order the provider reads
+const makeOrder = (totalPrice = 52.8) => ({
+  _id: new mongoose.Types.ObjectId(),
+  totalPrice,
+  paymentResult: {},
+})
+
+// A webhook request as PayPal would send it
+const webhookRequest = (event, signature) => ({
+  body: Buffer.from(JSON.stringify(event)),
+  headers: {
+    "paypal-auth-algo": "SHA256withRSA",
+    "paypal-cert-url": "https://api.paypal.com/v1/notifications/certs/CERT-360caa42",
+    "paypal-transmission-id": "transmission-1",
+    "paypal-transmission-sig": signature,
+    "paypal-transmission-time": new Date().toISOString(),
+  },
+})
+
+describe("PayPal provider", () => {
+  let paypal
+  let provider
+
+  before(async () => {
+    paypal = await startFakePayPalServer()
+    provider = createPayPalProvider({
+      baseUrl: paypal.url,
+      clientId: "client-id",
+      clientSecret: "client-secret",
+      webhookId: "webhook-id",
+    })
+  })
+
+  after(async () => {
+    registerPaymentProvider("paypal", paypalProvider)
+    await paypal.close()
+  })
+
+  // Create a PayPal order for `order` and remember its id on the order, as checkout does
+  const createPayment = async (order) => {
+    const payment = await provider.createPayment({ order })
+    order.paymentResult = { id: payment.id, status: payment.status }
+    return payment
+  }
+
+  test("creates, captures and refunds a payment once the buyer approves it", async () => {
+    const order = makeOrder()
+
+    const payment = await createPayment(order)
+    assert.equal(payment.status, "CREATED")
+    assert.match(payment.approvalUrl, new RegExp(`token=${payment.id}$`))
+    assert.equal(paypal.orders.get(payment.id).purchase_units[0].amount.value, "52.80")
+
+    paypal.approveOrder(payment.id)
+
+    const paymentResult = await provider.capturePayment(order)
+    assert.equal(paymentResult.id, payment.id)
+    assert.equal(paymentResult.status, "COMPLETED")
+    assert.equal(paymentResult.email_address, "buyer@example.com")
+    assert.ok(paymentResult.captureId)
+    order.paymentResult = paymentResult
+
+    const partial = await provider.refundPayment(order, 10, { note: "Damaged" })
+    assert.equal(partial.status, "COMPLETED")
+
+    const rest = await provider.refundPayment(order, 42.8)
+    assert.equal(rest.status, "COMPLETED")
+
+    await assert.rejects(provider.refundPayment(order, 0.01), { statusCode: 400, message: "REFUND_AMOUNT_EXCEEDED" })
+  })
+
+  test("refuses to capture an order the buyer has not approved", async () => {
+    const order = makeOrder()
+    await createPayment(order)
+
+    await assert.rejects(provider.capturePayment(order), { statusCode: 400, message: "ORDER_NOT_APPROVED" })
+  })
+
+  test("treats a retried capture as already captured", async () => {
+    const order = makeOrder()
+    const payment = await createPayment(order)
+    paypal.approveOrder(payment.id)
+
+    const first = await provider.capturePayment(order)
+    const retried = await provider.capturePayment(order)
+
+    assert.deepEqual({ ...retried, update_time: undefined }, { ...first, update_time: undefined })
+  })
+
+  test("rejects a payment captured for a different order", async () => {
+    const order = makeOrder()
+    const payment = await createPayment(order)
+    paypal.approveOrder(payment.id)
+    await provider.capturePayment(order)
+
+    const other = { ...makeOrder(), paymentResult: order.paymentResult }
+    await assert.rejects(provider.verifyPayment(other), {
+      statusCode: 400,
+      message: "Payment does not belong to this order",
+    })
+  })
+
+  test("rejects a payment for less than the order total", async () => {
+    const order = makeOrder()
+    const payment = await createPayment(order)
+    paypal.approveOrder(payment.id)
+    await provider.capturePayment(order)
+
+    await assert.rejects(provider.verifyPayment({ ...order, totalPrice: 60 }), {
+      statusCode: 400,
+      message: "Payment amount does not match the order total",
+    })
+  })
+
+  test("verifies webhook signatures with PayPal", async () => {
+    const event = { id: "WH-1", event_type: "PAYMENT.CAPTURE.COMPLETED", resource: { id: "capture-1" } }
+
+    assert.deepEqual(await provider.verifyWebhook(webhookRequest(event, FAKE_WEBHOOK_SIGNATURE)), event)
+    await assert.rejects(provider.verifyWebhook(webhookRequest(event, "forged")), /signature verification failed/)
+  })
+
+  test("the webhook endpoint turns away events PayPal did not sign", async () => {
+    registerPaymentProvider("paypal", provider)
+    const event = { id: "WH-2", event_type: "PAYMENT.CAPTURE.COMPLETED", resource: { id: "capture-2" } }
+
+    const response = await callHandler(handlePayPalWebhook, webhookRequest(event, "forged"))
+
+    assert.equal(response.status, 400)
+    assert.match(response.body, /signature verification failed/)
+  })
+
+  describe("capture webhooks", () => {
+    const db = createMemoryDb()
+
+    beforeEach(() => {
+      db.install()
+      registerPaymentProvider("paypal", provider)
+    })
+    afterEach(() => db.uninstall())
+
+    // A signed PAYMENT.CAPTURE.COMPLETED event for the checkout order
+    const captureCompleted = (order, amount) => ({
+      id: `WH-capture-${order._id}-${amount}`,
+      event_type: "PAYMENT.CAPTURE.COMPLETED",
+      resource: {
+        id: "capture-3",
+        status: "COMPLETED",
+        custom_id: order._id.toString(),
+        amount: { currency_code: "USD", value: amount },
+        supplementary_data: { related_ids: { order_id: order.paymentResult.id } },
+      },
+    })
+
+    test("a completed capture pays the order", async () => {
+      const { order } = await seedCheckout(db, { paymentMethod: "paypal", paymentId: "PAYPAL-ORDER-1" })
+
+      const response = await callHandler(
+        handlePayPalWebhook,
+        webhookRequest(captureCompleted(order, "52.80"), FAKE_WEBHOOK_SIGNATURE),
+      )
+
+      assert.equal(response.status, 200)
+      const paid = db.findById(Order, order._id)
+      assert.equal(paid.isPaid, true)
+      assert.equal(paid.paymentResult.captureId, "capture-3")
+    })
+
+    test("a capture that doesn't match the order leaves it unpaid and flags it", async () => {
+      const { order } = await seedCheckout(db, { paymentMethod: "paypal", paymentId: "PAYPAL-ORDER-1" })
+
+      await callHandler(handlePayPalWebhook, webhookRequest(captureCompleted(order, "1.00"), FAKE_WEBHOOK_SIGNATURE))
+
+      const current = db.findById(Order, order._id)
+      assert.equal(current.isPaid, false)
+      assert.equal(current.needsReview, true)
+      assert.equal(current.reviewReason, "PayPal capture capture-3 rejected: payment does not match the order")
+    })
+  })
+})
@@ -0,0 +1,156 @@
+import assert from "node:assert/strict"
+import { after, afterEach, beforeEach, describe, mock, test } from "node:test"
+import mongoose from "mongoose"
+import { createPaymentIntent, processPayment } from "../../controllers/paymentController.js"
+import stripe from "../../utils/stripe.js"
+import { CURRENCY, toCents } from "../../utils/pricing.js"
+import Order from "../../models/Order.js"
+import Product from "../../models/Product.js"
+import StockReservation from "../../models/StockReservation.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+import { callHandler, makeRequest, seedCheckout, seedUser } from "../support/fixtures.js"
+import { sendStripeEvent, stripeEvent } from "../support/stripeEvents.js"
+
+const db = createMemoryDb()
+
+const shippingAddress = { address: "1 Main St", city: "Springfield", postalCode: "12345", country: "US" }
+
+// The PaymentIntent Stripe holds for a checkout order once the customer has paid it
+const paymentIntentFor = (order, { metadata, ...overrides } = {}) => ({
+  id: order.paymentResult.id,
+  object: "payment_intent",
+  amount: toCents(order.totalPrice),
+  currency: CURRENCY,
+  status: "succeeded",
+  receipt_email: "receipt@example.com",
+  metadata: { orderId: order._id.toString(), userId: order.user.toString(), ...metadata },
+  ...overrides,
+})
+
+const pay = (user, body) => callHandler(processPayment, makeRequest({ body, user }))
+
+describe("payments", () => {
+  beforeEach(() => db.install())
+  afterEach(() => db.uninstall())
+  after(() => mongoose.disconnect())
+
+  describe("createPaymentIntent", () => {
+    test("creates the pending order first and links the PaymentIntent to it and its owner", async () => {
+      const user = await seedUser(db, { email: "buyer@example.com" })
+      const product = await db.insert(Product, {
+        name: "Desk lamp",
+        description: "A lamp",
+        price: 20,
+        category: new mongoose.Types.ObjectId(),
+        stock: 3,
+        images: [{ public_id: "products/lamp", url: "lamp.jpg" }],
+      })
+      const create = mock.method(stripe.paymentIntents, "create", async () => ({
+        id: "pi_test_2",
+        status: "requires_payment_method",
+        client_secret: "pi_test_2_secret",
+      }))
+
+      const items = [{ product: product._id.toString(), quantity: 1 }]
+      const response = await callHandler(createPaymentIntent, makeRequest({ body: { items, shippingAddress }, user }))
+
+      const order = db.findById(Order, response.body.orderId)
+      const [params] = create.mock.calls[0].arguments
+      assert.equal(params.amount, 3140)
+      assert.equal(params.currency, CURRENCY)
+      assert.deepEqual(params.metadata, {
+        userId: user._id.toString(),
+        orderId: order._id.toString(),
+        reservationId: order.reservation.toString(),
+      })
+      assert.equal(order.paymentResult.id, "pi_test_2")
+      assert.equal(response.body.clientSecret, "pi_test_2_secret")
+    })
+  })
+
+  describe("processPayment", () => {
+    test("pays the order its PaymentIntent was created for", async () => {
+      const { user, product, reservation, order } = await seedCheckout(db)
+      mock.method(stripe.paymentIntents, "retrieve", async () => paymentIntentFor(order))
+
+      const response = await pay(user, { paymentIntentId: "pi_test_1" })
+
+      assert.equal(response.body.data.isPaid, true)
+      const paid = db.findById(Order, order._id)
+      assert.equal(paid.isPaid, true)
+      assert.equal(paid.paymentResult.email_address, "receipt@example.com")
+      assert.equal(db.findById(StockReservation, reservation._id).status, "consumed")
+      assert.equal(db.findById(Product, product._id).stock, 3)
+    })
+
+    for (const [mismatch, overrides, message] of [
+      ["amount", { amount: 100 }, "Payment amount does not match the order total"],
+      ["currency", { currency: "eur" }, "Payment amount does not match the order total"],
+      ["owner", { metadata: { userId: "someone-else" } }, "Payment was not made by the order owner"],
+      ["order", { metadata: { orderId: "1700000000000" } }, "Payment does not belong to this order"],
+      ["status", { status: "requires_payment_method" }, "Payment not successful"],
+    ]) {
+      test(`refuses a PaymentIntent with a different ${mismatch}`, async () => {
+        const { user, order } = await seedCheckout(db)
+        mock.method(stripe.paymentIntents, "retrieve", async () => paymentIntentFor(order, overrides))
+
+        await assert.rejects(pay(user, { paymentId: "pi_test_1" }), { statusCode: 400, message })
+        assert.equal(db.findById(Order, order._id).isPaid, false)
+      })
+    }
+
+    test("a payment can only be used once", async () => {
+      const { user, order } = await seedCheckout(db)
+      const retrieve = mock.method(stripe.paymentIntents, "retrieve", async () => paymentIntentFor(order))
+      await pay(user, { paymentId: "pi_test_1" })
+
+      await assert.rejects(pay(user, { paymentId: "pi_test_1" }), {
+        statusCode: 400,
+        message: "This payment has already been processed",
+      })
+      assert.equal(retrieve.mock.callCount(), 1)
+    })
+
+    test("a webhook that pays the order while it's being verified wins", async () => {
+      const { user, product, order } = await seedCheckout(db)
+      mock.method(stripe.paymentIntents, "retrieve", async () => {
+        await sendStripeEvent(stripeEvent("payment_intent.succeeded", paymentIntentFor(order)))
+        return paymentIntentFor(order)
+      })
+
+      await assert.rejects(pay(user, { paymentId: "pi_test_1" }), {
+        statusCode: 400,
+        message: "This payment has already been processed",
+      })
+      assert.equal(db.findById(Order, order._id).isPaid, true)
+      assert.equal(db.findById(Product, product._id).stock, 3)
+    })
+
+    test("only the order's owner can use its payment", async () => {
+      const { order } = await seedCheckout(db)
+      const stranger = await seedUser(db, { email: "stranger@example.com" })
+      const retrieve = mock.method(stripe.paymentIntents, "retrieve", async () => paymentIntentFor(order))
+
+      await assert.rejects(pay(stranger, { paymentId: "pi_test_1" }), {
+        statusCode: 403,
+        message: "Not authorized to use this payment",
+      })
+      assert.equal(retrieve.mock.callCount(), 0)
+    })
+
+    test("refuses a missing or unknown payment, and one for a cancelled checkout", async () => {
+      const { user, order } = await seedCheckout(db)
+      const retrieve = mock.method(stripe.paymentIntents, "retrieve", async () => paymentIntentFor(order))
+
+      await assert.rejects(pay(user, {}), { statusCode: 400, message: "Please provide a payment id" })
+      await assert.rejects(pay(user, { paymentId: "pi_unknown" }), { statusCode: 404 })
+
+      await db.insert(Order, { ...order.toObject(), status: "cancelled" })
+      await assert.rejects(pay(user, { paymentId: "pi_test_1" }), {
+        statusCode: 400,
+        message: "This order has been cancelled, please check out again",
+      })
+      assert.equal(retrieve.mock.callCount(), 0)
+    })
+  })
+})
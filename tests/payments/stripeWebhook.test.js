@@ -0,0 +1,257 @@
+import assert from "node:assert/strict"
+import { after, afterEach, beforeEach, describe, mock, test } from "node:test"
+import mongoose from "mongoose"
+import { CURRENCY, toCents } from "../../utils/pricing.js"
+import { releaseExpiredReservations } from "../../utils/inventory.js"
+import stripeProvider from "../../utils/payments/stripeProvider.js"
+import Order from "../../models/Order.js"
+import Product from "../../models/Product.js"
+import Cart from "../../models/Cart.js"
+import Coupon from "../../models/Coupon.js"
+import CouponRedemption from "../../models/CouponRedemption.js"
+import StockReservation from "../../models/StockReservation.js"
+import WebhookEvent from "../../models/WebhookEvent.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+import { seedCheckout } from "../support/fixtures.js"
+import { sendStripeEvent, stripeEvent } from "../support/stripeEvents.js"
+
+const db = createMemoryDb()
+
+const paymentIntentFor = (order, overrides = {}) => ({
+  id: order.paymentResult.id,
+  object: "payment_intent",
+  amount: toCents(order.totalPrice),
+  currency: CURRENCY,
+  status: "succeeded",
+  metadata: { orderId: order._id.toString(), userId: order.user.toString() },
+  ...overrides,
+})
+
+const reload = (Model, doc) => db.findById(Model, doc._id)
+
+describe("Stripe webhook", () => {
+  beforeEach(() => db.install())
+  afterEach(() => db.uninstall())
+  after(() => mongoose.disconnect())
+
+  test("rejects an event with a bad signature", async () => {
+    const { order } = await seedCheckout(db)
+
+    const event = stripeEvent("payment_intent.succeeded", paymentIntentFor(order))
+    const response = await sendStripeEvent(event, "whsec_wrong")
+
+    assert.equal(response.status, 400)
+    assert.match(response.body, /Webhook Error/)
+    assert.equal((await reload(Order, order)).isPaid, false)
+    assert.equal(db.find(WebhookEvent).length, 0)
+  })
+
+  test("payment_intent.succeeded pays the order, consumes the reservation and clears the cart", async () => {
+    const { user, product, reservation, order } = await seedCheckout(db)
+
+    const response = await sendStripeEvent(stripeEvent("payment_intent.succeeded", paymentIntentFor(order)))
+
+    assert.equal(response.status, 200)
+    assert.deepEqual(response.body, { received: true })
+
+    const paid = await reload(Order, order)
+    assert.equal(paid.isPaid, true)
+    assert.equal(paid.paymentResult.status, "succeeded")
+    assert.equal(paid.paymentResult.email_address, user.email)
+    assert.equal(paid.needsReview, false)
+    assert.equal((await reload(StockReservation, reservation)).status, "consumed")
+    assert.equal((await reload(Product, product)).stock, 3)
+    assert.equal(db.find(Cart, { user: user._id }).length, 0)
+  })
+
+  test("payment_intent.succeeded for a different amount leaves the order unpaid and flags it", async () => {
+    const { product, order } = await seedCheckout(db)
+
+    const response = await sendStripeEvent(
+      stripeEvent("payment_intent.succeeded", paymentIntentFor(order, { amount: 100 })),
+    )
+
+    assert.equal(response.status, 200)
+    const current = await reload(Order, order)
+    assert.equal(current.isPaid, false)
+    assert.equal(current.needsReview, true)
+    assert.match(current.reviewReason, /^PaymentIntent pi_test_1 rejected: Payment amount does not match/)
+    assert.equal((await reload(Product, product)).stock, 3)
+  })
+
+  test("payment_intent.succeeded after the reservation expired and the stock sold flags the order", async () => {
+    const { product, reservation, order } = await seedCheckout(db)
+    // The sweeper gave the held stock back and someone else bought it
+    await db.insert(StockReservation, { ...reservation.toObject(), status: "released" })
+    await db.insert(Product, { ...product.toObject(), stock: 1 })
+
+    const response = await sendStripeEvent(stripeEvent("payment_intent.succeeded", paymentIntentFor(order)))
+
+    assert.equal(response.status, 200)
+    const paid = await reload(Order, order)
+    assert.equal(paid.isPaid, true)
+    assert.equal(paid.needsReview, true)
+    assert.match(paid.reviewReason, /no longer available/)
+    assert.equal((await reload(Product, product)).stock, 1)
+  })
+
+  test("payment_intent.succeeded for a checkout that expired and was cancelled flags the order", async () => {
+    const { product, order } = await seedCheckout(db, { expiresAt: new Date(Date.now() - 1000) })
+    // Voiding the PaymentIntent raced the customer confirming it, and the payment went through
+    mock.method(stripeProvider, "cancelPayment", async () => {})
+    await releaseExpiredReservations()
+
+    const response = await sendStripeEvent(stripeEvent("payment_intent.succeeded", paymentIntentFor(order)))
+
+    assert.equal(response.status, 200)
+    const paid = await reload(Order, order)
+    assert.equal(paid.status, "cancelled")
+    assert.equal(paid.isPaid, true)
+    assert.equal(paid.needsReview, true)
+    assert.equal(paid.reviewReason, "Paid after the order was cancelled")
+    assert.equal((await reload(Product, product)).stock, 5)
+  })
+
+  test("payment_intent.payment_failed returns the held stock but keeps the order open for a retry", async () => {
+    const { product, reservation, order } = await seedCheckout(db)
+
+    const response = await sendStripeEvent(
+      stripeEvent("payment_intent.payment_failed", paymentIntentFor(order, { status: "requires_payment_method" })),
+    )
+
+    assert.equal(response.status, 200)
+    assert.equal((await reload(StockReservation, reservation)).status, "released")
+    assert.equal((await reload(Product, product)).stock, 5)
+    const current = await reload(Order, order)
+    assert.equal(current.status, "pending")
+    assert.equal(current.isPaid, false)
+  })
+
+  test("payment_intent.canceled cancels the order, returns the stock and releases the coupon", async () => {
+    const { product, reservation, order } = await seedCheckout(db, { coupon: true })
+
+    const response = await sendStripeEvent(
+      stripeEvent("payment_intent.canceled", paymentIntentFor(order, { status: "canceled" })),
+    )
+
+    assert.equal(response.status, 200)
+    const cancelled = await reload(Order, order)
+    assert.equal(cancelled.status, "cancelled")
+    assert.equal(cancelled.paymentResult.status, "canceled")
+    assert.equal((await reload(StockReservation, reservation)).status, "released")
+    assert.equal((await reload(Product, product)).stock, 5)
+    assert.equal(db.find(CouponRedemption, { order: order._id })[0].status, "released")
+    assert.equal(db.find(Coupon)[0].usedCount, 0)
+  })
+
+  test("charge.refunded records partial and then full refunds", async () => {
+    const { order } = await seedCheckout(db, { paid: true })
+    const created = Math.floor(Date.now() / 1000)
+    const firstRefund = { id: "re_test_1", amount: 1000, reason: "requested_by_customer", created }
+    const charge = {
+      id: "ch_test_1",
+      object: "charge",
+      payment_intent: order.paymentResult.id,
+      amount: toCents(order.totalPrice),
+      amount_refunded: 1000,
+      refunded: false,
+      refunds: { data: [firstRefund] },
+    }
+
+    await sendStripeEvent(stripeEvent("charge.refunded", charge))
+
+    const partial = await reload(Order, order)
+    assert.equal(partial.status, "partially_refunded")
+    assert.equal(partial.amountRefunded, 10)
+    assert.deepEqual(
+      partial.refunds.map((refund) => [refund.refundId, refund.amount]),
+      [["re_test_1", 10]],
+    )
+
+    const secondRefund = { id: "re_test_2", amount: 4280, reason: null, created }
+    await sendStripeEvent(
+      stripeEvent("charge.refunded", {
+        ...charge,
+        amount_refunded: 5280,
+        refunded: true,
+        refunds: { data: [secondRefund, firstRefund] },
+      }),
+    )
+
+    const refunded = await reload(Order, order)
+    assert.equal(refunded.status, "refunded")
+    assert.equal(refunded.amountRefunded, 52.8)
+    assert.equal(refunded.refunds.length, 2)
+    assert.equal(refunded.paymentResult.status, "refunded")
+  })
+
+  test("charge.dispute.created flags the order with the dispute", async () => {
+    const { order } = await seedCheckout(db, { paid: true })
+
+    const response = await sendStripeEvent(
+      stripeEvent("charge.dispute.created", {
+        id: "dp_test_1",
+        object: "dispute",
+        charge: "ch_test_1",
+        payment_intent: order.paymentResult.id,
+        amount: toCents(order.totalPrice),
+        reason: "fraudulent",
+        status: "needs_response",
+        created: Math.floor(Date.now() / 1000),
+      }),
+    )
+
+    assert.equal(response.status, 200)
+    const disputed = await reload(Order, order)
+    assert.equal(disputed.dispute.id, "dp_test_1")
+    assert.equal(disputed.dispute.reason, "fraudulent")
+    assert.equal(disputed.dispute.amount, 52.8)
+  })
+
+  test("charge.dispute.created without a PaymentIntent looks the charge up through the provider", async () => {
+    const { order } = await seedCheckout(db, { paid: true })
+    const paymentIdForCharge = mock.method(stripeProvider, "paymentIdForCharge", async () => order.paymentResult.id)
+
+    await sendStripeEvent(
+      stripeEvent("charge.dispute.created", {
+        id: "dp_test_1",
+        object: "dispute",
+        charge: "ch_test_1",
+        amount: toCents(order.totalPrice),
+        reason: "product_not_received",
+        status: "needs_response",
+        created: Math.floor(Date.now() / 1000),
+      }),
+    )
+
+    assert.deepEqual(paymentIdForCharge.mock.calls[0].arguments, ["ch_test_1"])
+    assert.equal((await reload(Order, order)).dispute.id, "dp_test_1")
+  })
+
+  test("replaying an event with the same id is acknowledged without applying it again", async () => {
+    const { product, order } = await seedCheckout(db, { paid: true })
+    const refund = { id: "re_test_1", amount: 1000, created: Math.floor(Date.now() / 1000) }
+    const event = stripeEvent("charge.refunded", {
+      id: "ch_test_1",
+      object: "charge",
+      payment_intent: order.paymentResult.id,
+      amount_refunded: 1000,
+      refunded: false,
+      refunds: { data: [refund] },
+    })
+
+    const first = await sendStripeEvent(event)
+    const before = await reload(Order, order)
+
+    const replay = await sendStripeEvent(event)
+
+    assert.equal(first.status, 200)
+    assert.equal(replay.status, 200)
+    assert.deepEqual(replay.body, { received: true, duplicate: true })
+    assert.equal(db.find(WebhookEvent, { eventId: event.id }).length, 1)
+
+    const after = await reload(Order, order)
+    assert.deepEqual(after.toObject(), before.toObject())
+    assert.equal((await reload(Product, product)).stock, 3)
+  })
+})
@@ -0,0 +1,186 @@
+import assert from "node:assert/strict"
+import { after, afterEach, beforeEach, describe, mock, test } from "node:test"
+import mongoose from "mongoose"
+import { createProduct, getPriceHistory, updateProduct } from "../../controllers/productController.js"
+import { addToCart } from "../../controllers/cartController.js"
+import { isDiscountActive, unitPrice } from "../../utils/priceResolver.js"
+import { priceOrder } from "../../utils/pricing.js"
+import Product from "../../models/Product.js"
+import Category from "../../models/Category.js"
+import Cart from "../../models/Cart.js"
+import PriceHistory from "../../models/PriceHistory.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+import { callHandler, makeRequest, seedUser } from "../support/fixtures.js"
+
+const db = createMemoryDb()
+
+const HOUR = 60 * 60 * 1000
+const now = new Date("2026-06-01T12:00:00Z")
+const at = (hours) => new Date(now.getTime() + hours * HOUR)
+
+describe("unitPrice", () => {
+  test("charges the price until a discount applies", () => {
+    assert.equal(unitPrice({ price: 20 }, null, now), 20)
+    assert.equal(unitPrice({ price: 20, discountPrice: 15 }, null, now), 15)
+  })
+
+  test("applies a scheduled sale from its start up to, but not at, its end", () => {
+    const sale = { price: 20, discountPrice: 15, discountStartsAt: at(0), discountEndsAt: at(24) }
+
+    assert.equal(unitPrice(sale, null, at(-1)), 20)
+    assert.equal(unitPrice(sale, null, at(0)), 15)
+    assert.equal(unitPrice(sale, null, at(23.9)), 15)
+    assert.equal(unitPrice(sale, null, at(24)), 20)
+  })
+
+  test("ignores a discount that isn't below the price", () => {
+    assert.equal(isDiscountActive({ price: 20, discountPrice: 20 }, now), false)
+    assert.equal(unitPrice({ price: 20, discountPrice: 25 }, null, now), 20)
+  })
+
+  test("prices a variant by its own discount rather than the product's", () => {
+    const product = { price: 20, discountPrice: 5 }
+
+    assert.equal(unitPrice(product, { price: 30 }, now), 30)
+    assert.equal(unitPrice(product, { price: 30, discountPrice: 27 }, now), 27)
+  })
+})
+
+describe("discounts and price history", () => {
+  let staff
+  let category
+
+  beforeEach(async () => {
+    db.install()
+    staff = await seedUser(db, { email: "catalog@example.com", role: "catalog_manager" })
+    category = (await db.insert(Category, { name: "Lighting" }))._id.toString()
+  })
+  afterEach(() => db.uninstall())
+  after(() => mongoose.disconnect())
+
+  const create = (body) =>
+    callHandler(createProduct, makeRequest({ body: { description: "A lamp", stock: 5, category, ...body }, user: staff }))
+
+  const update = (product, body) =>
+    callHandler(updateProduct, makeRequest({ params: { id: product._id.toString() }, body, user: staff }))
+
+  const history = (product, query = {}) =>
+    callHandler(getPriceHistory, makeRequest({ params: { id: product._id.toString() }, query, user: staff }))
+
+  test("refuses a discount that isn't below the price or a sale that ends before it starts", async () => {
+    await assert.rejects(create({ name: "Desk lamp", price: 20, discountPrice: 20 }), {
+      name: "ValidationError",
+      message: /Discount price must be lower than the price/,
+    })
+    await assert.rejects(
+      create({ name: "Desk lamp", price: 20, discountPrice: 15, discountStartsAt: at(24), discountEndsAt: at(0) }),
+      { name: "ValidationError", message: /A sale must end after it starts/ },
+    )
+    assert.equal(db.find(Product).length, 0)
+  })
+
+  test("won't lower the price to or below a discount that's already set", async () => {
+    const { body } = await create({ name: "Desk lamp", price: 20, discountPrice: 15 })
+
+    await assert.rejects(update(body.data, { price: 15 }), {
+      name: "ValidationError",
+      message: /Discount price must be lower than the price/,
+    })
+    assert.equal(db.findById(Product, body.data._id).price, 20)
+  })
+
+  test("checkout and the cart charge the sale price only while the sale runs", async () => {
+    const customer = await seedUser(db, { email: "buyer@example.com" })
+    const start = new Date(Date.now() - HOUR)
+    const end = new Date(Date.now() + HOUR)
+    const { body } = await create({
+      name: "Desk lamp",
+      price: 20,
+      discountPrice: 15,
+      discountStartsAt: start,
+      discountEndsAt: end,
+    })
+    const product = body.data
+
+    const pricing = await priceOrder([{ product: product._id, quantity: 2 }])
+    assert.equal(pricing.orderItems[0].price, 15)
+    assert.equal(pricing.itemsPrice, 30)
+
+    const addBody = { productId: product._id.toString(), quantity: 1 }
+    await callHandler(addToCart, makeRequest({ body: addBody, user: customer }))
+    assert.equal(db.find(Cart, { user: customer._id })[0].items[0].price, 15)
+
+    await update(product, { discountEndsAt: new Date(Date.now() - 1) })
+    assert.equal((await priceOrder([{ product: product._id, quantity: 2 }])).itemsPrice, 40)
+  })
+
+  test("records the first price and every change to it, but not other edits", async () => {
+    const { body } = await create({ name: "Desk lamp", price: 20 })
+    const product = body.data
+
+    await update(product, { description: "A brighter lamp" })
+    await update(product, { price: 25, discountPrice: 19 })
+
+    const records = db.find(PriceHistory, { product: product._id })
+    assert.deepEqual(
+      records.map(({ price, discountPrice, previous, changedBy }) => ({
+        price,
+        discountPrice,
+        previousPrice: previous?.price,
+        changedBy: changedBy.toString(),
+      })),
+      [
+        { price: 20, discountPrice: undefined, previousPrice: undefined, changedBy: staff._id.toString() },
+        { price: 25, discountPrice: 19, previousPrice: 20, changedBy: staff._id.toString() },
+      ],
+    )
+  })
+
+  test("records prices per variant for products with variants", async () => {
+    const { body } = await create({
+      name: "Desk lamp",
+      price: 20,
+      options: [{ name: "Color", values: ["Black", "White"] }],
+      variants: [
+        { sku: "LAMP-BLK", options: { Color: "Black" }, price: 20, stock: 2 },
+        { sku: "LAMP-WHT", options: { Color: "White" }, price: 22, stock: 3 },
+      ],
+    })
+    const product = body.data
+
+    const variants = product.variants.map((variant) => variant.toObject())
+    variants[1].discountPrice = 18
+    await update(product, { variants })
+
+    const records = db.find(PriceHistory, { product: product._id })
+    assert.deepEqual(
+      records.map(({ sku, price, discountPrice }) => [sku, price, discountPrice]),
+      [
+        ["LAMP-BLK", 20, undefined],
+        ["LAMP-WHT", 22, undefined],
+        ["LAMP-WHT", 22, 18],
+      ],
+    )
+    assert.equal(db.findById(Product, product._id).effectivePrice, 18)
+  })
+
+  test("lists a product's price history newest first", async () => {
+    mock.timers.enable({ apis: ["Date"], now })
+    const { body } = await create({ name: "Desk lamp", price: 20 })
+    const product = body.data
+    mock.timers.tick(HOUR)
+    await update(product, { price: 21 })
+    mock.timers.tick(HOUR)
+    await update(product, { price: 22 })
+    mock.timers.reset()
+
+    const response = await history(product, { limit: "2" })
+
+    assert.deepEqual(
+      response.body.data.map((record) => record.price),
+      [22, 21],
+    )
+    assert.equal(response.body.total, 3)
+    await assert.rejects(history({ _id: new mongoose.Types.ObjectId() }), { statusCode: 404 })
+  })
+})
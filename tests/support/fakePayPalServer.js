@@ -0,0 +1,142 @@
+import http from "http"
+import { randomUUID } from "crypto"
+
+// In-process stand-in for the PayPal REST API, for tests.
+// Start it and point a provider at it:
+//   const paypal = await startFakePayPalServer()
+//   registerPaymentProvider("paypal", createPayPalProvider({ baseUrl: paypal.url, ... }))
+// Buyer approval happens in the browser with real PayPal, so call `approveOrder(id)` instead.
+export const FAKE_WEBHOOK_SIGNATURE = "fake-paypal-signature"
+
+export const startFakePayPalServer = async ({ port = 0 } = {}) => {
+  const orders = new Map()
+  const captures = new Map()
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" })
+    res.end(JSON.stringify(body))
+  }
+
+  const sendIssue = (res, status, issue) =>
+    send(res, status, { name: "UNPROCESSABLE_ENTITY", message: issue, details: [{ issue }] })
+
+  const readBody = async (req) => {
+    let raw = ""
+    for await (const chunk of req) raw += chunk
+    return raw && req.headers["content-type"]?.includes("json") ? JSON.parse(raw) : raw
+  }
+
+  const routes = [
+    ["POST", /^\/v1\/oauth2\/token$/, (req, res) => send(res, 200, { access_token: randomUUID(), expires_in: 3600 })],
+
+    [
+      "POST",
+      /^\/v2\/checkout\/orders$/,
+      (req, res, body) => {
+        const id = randomUUID()
+        const order = {
+          id,
+          status: "CREATED",
+          intent: body.intent,
+          purchase_units: body.purchase_units,
+          links: [{ rel: "approve", href: `${server.url}/checkoutnow?token=${id}`, method: "GET" }],
+        }
+        orders.set(id, order)
+        send(res, 201, order)
+      },
+    ],
+
+    [
+      "GET",
+      /^\/v2\/checkout\/orders\/([^/]+)$/,
+      (req, res, body, [id]) =>
+        orders.has(id) ? send(res, 200, orders.get(id)) : sendIssue(res, 404, "RESOURCE_NOT_FOUND"),
+    ],
+
+    [
+      "POST",
+      /^\/v2\/checkout\/orders\/([^/]+)\/capture$/,
+      (req, res, body, [id]) => {
+        const order = orders.get(id)
+        if (!order) return sendIssue(res, 404, "RESOURCE_NOT_FOUND")
+        if (order.status === "COMPLETED") return sendIssue(res, 422, "ORDER_ALREADY_CAPTURED")
+        if (order.status !== "APPROVED") return sendIssue(res, 422, "ORDER_NOT_APPROVED")
+
+        const unit = order.purchase_units[0]
+        const capture = {
+          id: randomUUID(),
+          status: "COMPLETED",
+          amount: unit.amount,
+          custom_id: unit.custom_id,
+          refunded: 0,
+        }
+        captures.set(capture.id, capture)
+        unit.payments = { captures: [capture] }
+        order.status = "COMPLETED"
+        order.update_time = new Date().toISOString()
+        send(res, 201, order)
+      },
+    ],
+
+    [
+      "POST",
+      /^\/v2\/payments\/captures\/([^/]+)\/refund$/,
+      (req, res, body, [id]) => {
+        const capture = captures.get(id)
+        if (!capture) return sendIssue(res, 404, "RESOURCE_NOT_FOUND")
+
+        const amount = Number(body.amount?.value ?? capture.amount.value)
+        if (capture.refunded + amount > Number(capture.amount.value)) {
+          return sendIssue(res, 422, "REFUND_AMOUNT_EXCEEDED")
+        }
+
+        capture.refunded += amount
+        send(res, 201, {
+          id: randomUUID(),
+          status: "COMPLETED",
+          amount: { ...capture.amount, value: amount.toFixed(2) },
+          custom_id: body.custom_id,
+        })
+      },
+    ],
+
+    [
+      "POST",
+      /^\/v1\/notifications\/verify-webhook-signature$/,
+      (req, res, body) =>
+        send(res, 200, {
+          verification_status: body.transmission_sig === FAKE_WEBHOOK_SIGNATURE ? "SUCCESS" : "FAILURE",
+        }),
+    ],
+  ]
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const body = await readBody(req)
+      for (const [method, pattern, handler] of routes) {
+        const match = req.method === method && req.url.match(pattern)
+        if (match) {
+          return handler(req, res, body, match.slice(1))
+        }
+      }
+      sendIssue(res, 404, "RESOURCE_NOT_FOUND")
+    } catch (error) {
+      send(res, 500, { name: "INTERNAL_SERVER_ERROR", message: error.message })
+    }
+  })
+
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve))
+  server.url = `http://127.0.0.1:${server.address().port}`
+
+  return {
+    url: server.url,
+    orders,
+    // Simulate the buyer approving the order on PayPal
+    approveOrder(id, payer = { email_address: "buyer@example.com" }) {
+      const order = orders.get(id)
+      order.status = "APPROVED"
+      order.payer = payer
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  }
+}
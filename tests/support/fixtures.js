@@ -0,0 +1,129 @@
+import bcrypt from "bcryptjs"
+import mongoose from "mongoose"
+import Order from "../../models/Order.js"
+import User from "../../models/User.js"
+import Product from "../../models/Product.js"
+import Cart from "../../models/Cart.js"
+import Coupon from "../../models/Coupon.js"
+import CouponRedemption from "../../models/CouponRedemption.js"
+import StockReservation from "../../models/StockReservation.js"
+
+// Call an Express handler and resolve with the response it sends. Errors passed to `next`
+// reject, so tests can assert on the ErrorResponse the handler produced; headers set before
+// the error stay readable on `req.res`, which Express links the same way.
+export const callHandler = (handler, req) =>
+  new Promise((resolve, reject) => {
+    const res = (req.res = {
+      statusCode: 200,
+      cookies: {},
+      headers: {},
+      status(code) {
+        this.statusCode = code
+        return this
+      },
+      set(name, value) {
+        this.headers[name] = value
+        return this
+      },
+      cookie(name, value, options) {
+        this.cookies[name] = { value, options }
+        return this
+      },
+      clearCookie(name, options) {
+        this.cookies[name] = { value: undefined, options }
+        return this
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body, cookies: this.cookies, headers: this.headers })
+      },
+      send(body) {
+        resolve({ status: this.statusCode, body, cookies: this.cookies, headers: this.headers })
+      },
+    })
+    Promise.resolve(handler(req, res, (error) => (error ? reject(error) : resolve({ status: res.statusCode })))).catch(
+      reject,
+    )
+  })
+
+// A request the way Express hands it to a controller
+export const makeRequest = ({ body = {}, params = {}, query = {}, headers = {}, user, ip = "203.0.113.10" } = {}) => ({
+  body,
+  params,
+  query,
+  headers,
+  user,
+  ip,
+  protocol: "http",
+  get: (name) => (name.toLowerCase() === "host" ? "localhost:5000" : headers[name.toLowerCase()]),
+})
+
+export const TEST_PASSWORD = "secret123"
+
+// A user who logs in with TEST_PASSWORD. Seeded documents skip the pre-save hook, so the
+// password is hashed here, cheaply.
+export const seedUser = (db, fields = {}) =>
+  db.insert(User, {
+    name: "Test User",
+    email: "user@example.com",
+    password: bcrypt.hashSync(TEST_PASSWORD, 4),
+    isEmailVerified: true,
+    ...fields,
+  })
+
+// A customer with a checkout order for 2 lamps, holding 2 of the product's 5 units in a
+// reservation until `expiresAt`. A paid checkout has consumed its reservation; `coupon`
+// adds a coupon with the order's redemption counted against it.
+export const seedCheckout = async (
+  db,
+  {
+    paid = false,
+    coupon = false,
+    paymentMethod = "stripe",
+    paymentId = "pi_test_1",
+    expiresAt = new Date(Date.now() + 15 * 60 * 1000),
+  } = {},
+) => {
+  const user = await db.insert(User, { name: "Test Buyer", email: "buyer@example.com", password: "secret123" })
+  const product = await db.insert(Product, {
+    name: "Desk lamp",
+    description: "A lamp",
+    price: 20,
+    category: new mongoose.Types.ObjectId(),
+    stock: 3,
+  })
+  const reservation = await db.insert(StockReservation, {
+    user: user._id,
+    items: [{ product: product._id, quantity: 2 }],
+    paymentId,
+    status: paid ? "consumed" : "active",
+    expiresAt,
+  })
+  const order = await db.insert(Order, {
+    user: user._id,
+    orderItems: [{ product: product._id, name: "Desk lamp", quantity: 2, price: 20, image: "lamp.jpg" }],
+    shippingAddress: { address: "1 Main St", city: "Springfield", postalCode: "12345", country: "US" },
+    paymentMethod,
+    paymentResult: { id: paymentId, status: paid ? "succeeded" : "requires_payment_method" },
+    reservation: reservation._id,
+    itemsPrice: 40,
+    taxPrice: 2.8,
+    shippingPrice: 10,
+    totalPrice: 52.8,
+    isPaid: paid,
+    paidAt: paid ? Date.now() : undefined,
+  })
+  await db.insert(Cart, { user: user._id, items: [{ product: product._id, quantity: 2, price: 20 }] })
+
+  let savedCoupon
+  if (coupon) {
+    savedCoupon = await db.insert(Coupon, { code: "SAVE10", type: "percent", value: 10, usedCount: 1, perUserLimit: 1 })
+    await db.insert(CouponRedemption, {
+      coupon: savedCoupon._id,
+      code: savedCoupon.code,
+      user: user._id,
+      order: order._id,
+    })
+  }
+
+  return { user, product, reservation, order, coupon: savedCoupon }
+}
@@ -0,0 +1,455 @@
+import mongoose from "mongoose"
+import { mock } from "node:test"
+
+// In-memory stand-in for the handful of Mongoose calls the code under test makes, so it
+// can be tested without a MongoDB replica set. Documents are stored as plain objects and
+// hydrated on every read, so changes only stick once they are saved or updated. Reads are
+// projected by select() and the schema's `select: false` paths, as in MongoDB. Saves run the
+// schema's pre("save") middleware, while `insert` stores seed data exactly as given, and
+// `mongoose.connection.transaction` rolls every collection back when its callback throws.
+// Only the query operators the code under test uses are supported; anything else throws.
+
+const sameValue = (left, right) => String(left) === String(right)
+
+// A value in a form `<` and `>` order the way Mongo does; ObjectIds order by their hex string
+const comparable = (value) => (value instanceof mongoose.Types.ObjectId ? value.toString() : value)
+
+// Order two values the way a Mongo sort does, with missing and null values first
+const compareForSort = (left, right) => {
+  if (left == null || right == null) {
+    return (left == null ? 0 : 1) - (right == null ? 0 : 1)
+  }
+  return comparable(left) < comparable(right) ? -1 : comparable(left) > comparable(right) ? 1 : 0
+}
+
+// Turn a sort given as "-a b" or { a: -1, b: 1 } into [path, direction] pairs
+const sortFields = (sort) =>
+  typeof sort === "string"
+    ? sort
+        .split(" ")
+        .filter(Boolean)
+        .map((field) => (field.startsWith("-") ? [field.slice(1), -1] : [field, 1]))
+    : Object.entries(sort).map(([path, direction]) => [path, Number(direction)])
+
+const isOperatorObject = (condition) =>
+  condition !== null &&
+  typeof condition === "object" &&
+  !(condition instanceof mongoose.Types.ObjectId) &&
+  !(condition instanceof Date) &&
+  !(condition instanceof RegExp) &&
+  Object.keys(condition).every((key) => key.startsWith("$"))
+
+// Check a document against a Mongo filter
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([path, condition]) => {
+    if (path === "$or") {
+      return condition.some((branch) => matches(doc, branch))
+    }
+    if (path === "$and") {
+      return condition.every((branch) => matches(doc, branch))
+    }
+
+    const value = doc.get(path)
+
+    if (condition instanceof RegExp) {
+      return typeof value === "string" && condition.test(value)
+    }
+    if (!isOperatorObject(condition)) {
+      if (condition === null) return value == null
+      // Like Mongo, a value matches an array that contains it
+      return Array.isArray(value) && !Array.isArray(condition)
+        ? value.some((element) => sameValue(element, condition))
+        : sameValue(value, condition)
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      // Like Mongo, range operators don't compare null with other values
+      const inRange = (check) => value != null && operand != null && check(comparable(value), comparable(operand))
+
+      switch (operator) {
+        case "$gt":
+          return inRange((left, right) => left > right)
+        case "$gte":
+          return inRange((left, right) => left >= right)
+        case "$lt":
+          return inRange((left, right) => left < right)
+        case "$lte":
+          return inRange((left, right) => left <= right)
+        case "$eq":
+          return operand === null ? value == null : sameValue(value, operand)
+        case "$ne":
+          return !sameValue(value, operand)
+        case "$in":
+          return operand.some((candidate) => sameValue(value, candidate))
+        case "$exists":
+          return (value != null) === operand
+        case "$elemMatch":
+          return Array.isArray(value) && value.some((element) => matches(element, operand))
+        default:
+          throw new Error(`memoryDb does not support ${operator}`)
+      }
+    })
+  })
+
+// Resolve a positional path such as "variants.$.stock" to the array element the filter's
+// $elemMatch picked out, e.g. "variants.1.stock"
+const positionalPath = (doc, path, filter) => {
+  if (!path.includes(".$.")) return path
+  const [arrayPath, rest] = path.split(".$.")
+  const condition = filter[arrayPath]?.$elemMatch
+  if (!condition) throw new Error(`memoryDb only supports positional updates after $elemMatch (${path})`)
+  const index = doc.get(arrayPath).findIndex((element) => matches(element, condition))
+  return `${arrayPath}.${index}.${rest}`
+}
+
+// Apply a Mongo update document to a hydrated document found by `filter`
+const applyUpdate = (doc, update, filter = {}) => {
+  for (const [key, value] of Object.entries(update)) {
+    if (key === "$inc") {
+      for (const [field, amount] of Object.entries(value)) {
+        const path = positionalPath(doc, field, filter)
+        doc.set(path, (doc.get(path) || 0) + amount)
+      }
+    } else if (key === "$set") {
+      doc.set(value)
+    } else if (key === "$unset") {
+      for (const path of Object.keys(value)) doc.set(path, undefined)
+    } else if (key.startsWith("$")) {
+      throw new Error(`memoryDb does not support ${key}`)
+    } else if (value !== undefined) {
+      // Like Mongoose, leave out keys whose value is undefined
+      doc.set(key, value)
+    }
+  }
+}
+
+// The unique indexes of a model, as lists of paths
+const uniqueKeys = (Model) =>
+  Model.schema
+    .indexes()
+    .filter(([, options]) => options?.unique)
+    .map(([fields]) => Object.keys(fields))
+
+const duplicateKeyError = (paths) => {
+  const error = new Error(`E11000 duplicate key error (${paths.join(", ")})`)
+  error.code = 11000
+  error.keyPattern = Object.fromEntries(paths.map((path) => [path, 1]))
+  return error
+}
+
+// How documents are kept in a collection
+const STORED = { depopulate: true, virtuals: false, getters: false }
+
+const getPath = (object, path) => path.split(".").reduce((value, key) => value?.[key], object)
+
+const setPath = (object, path, value) => {
+  const keys = path.split(".")
+  const last = keys.pop()
+  const parent = keys.reduce((current, key) => (current[key] ??= {}), object)
+  if (value === undefined) delete parent[last]
+  else parent[last] = value
+}
+
+// Paths the schema leaves out of query results unless a query asks for them with "+path"
+const hiddenPaths = (Model) => {
+  const paths = []
+  Model.schema.eachPath((path, type) => {
+    if (type.options?.select === false) paths.push(path)
+  })
+  return paths
+}
+
+// Paths a projected document was loaded without, so saving it leaves them as they are
+const OMITTED = Symbol("omitted paths")
+
+// Project a document the way Mongo applies a query's select() calls and the schema's hidden paths
+const project = (Model, doc, fields) => {
+  const forced = fields.filter((field) => field.startsWith("+")).map((field) => field.slice(1))
+  const excluded = fields.filter((field) => field.startsWith("-")).map((field) => field.slice(1))
+  const included = fields.filter((field) => !/^[+-]/.test(field))
+
+  const stored = doc.toObject(STORED)
+  let omitted
+  let projection
+  if (included.length) {
+    const kept = ["_id", ...included, ...forced]
+    omitted = Object.keys(stored).filter((key) => !kept.some((path) => path === key || path.startsWith(`${key}.`)))
+    projection = Object.fromEntries(kept.map((path) => [path, 1]))
+  } else {
+    omitted = [...excluded, ...hiddenPaths(Model).filter((path) => !forced.includes(path))]
+    projection = Object.fromEntries(omitted.map((path) => [path, 0]))
+  }
+
+  for (const path of omitted) setPath(stored, path, undefined)
+  const projected = Model.hydrate(stored, projection)
+  projected[OMITTED] = omitted
+  return projected
+}
+
+// Run the schema's pre("save") middleware, e.g. password hashing and validation, as a real save would
+const runSaveHooks = (doc, options = {}) =>
+  new Promise((resolve, reject) =>
+    doc.$__schema.s.hooks.execPre("save", doc, [options], (error) => (error ? reject(error) : resolve())),
+  )
+
+// Fill in virtual populates such as a category's subcategories by querying the referenced
+// model, which is faked as well. Populating a plain ref path is a no-op, so it keeps its ids.
+const populateVirtuals = async (Model, docs, populates) => {
+  for (const spec of populates) {
+    const { path, select, populate } = typeof spec === "string" ? { path: spec } : spec
+    const options = Model.schema.virtuals[path]?.options
+    if (!options?.ref) continue
+
+    for (const doc of docs) {
+      let related = mongoose.model(options.ref).find({ [options.foreignField]: doc.get(options.localField) })
+      if (select) related = related.select(select)
+      if (populate) related = related.populate(populate)
+      doc.set(path, await related)
+    }
+  }
+}
+
+// A chainable, awaitable stand-in for a Mongoose query. sort, skip and limit apply to lists of
+// results; queries for documents of `Model` project them by their select() calls and fill in
+// their populated virtuals.
+const query = (run, Model) => {
+  let sort
+  let skip = 0
+  let limit
+  const selected = []
+  const populates = []
+
+  const arrange = async (result) => {
+    if (Model && result instanceof mongoose.Document) {
+      const doc = project(Model, result, selected)
+      await populateVirtuals(Model, [doc], populates)
+      return doc
+    }
+    if (!Array.isArray(result)) return result
+    const fields = sort ? sortFields(sort) : []
+    const sorted = [...result].sort((a, b) => {
+      for (const [path, direction] of fields) {
+        const order = compareForSort(a.get(path), b.get(path))
+        if (order) return direction * order
+      }
+      return 0
+    })
+    const page = sorted.slice(skip, limit ? skip + limit : undefined)
+    if (!Model) return page
+    const docs = page.map((doc) => project(Model, doc, selected))
+    await populateVirtuals(Model, docs, populates)
+    return docs
+  }
+
+  const chain = {
+    session: () => chain,
+    select: (fields) => {
+      selected.push(...fields.split(" ").filter(Boolean))
+      return chain
+    },
+    populate: (spec) => {
+      populates.push(spec)
+      return chain
+    },
+    sort: (value) => {
+      sort = value
+      return chain
+    },
+    skip: (value) => {
+      skip = value
+      return chain
+    },
+    limit: (value) => {
+      limit = value
+      return chain
+    },
+    then: (resolve, reject) => Promise.resolve().then(run).then(arrange).then(resolve, reject),
+  }
+  return chain
+}
+
+export const createMemoryDb = () => {
+  const collections = new Map()
+
+  const collection = (Model) => {
+    if (!collections.has(Model.modelName)) collections.set(Model.modelName, new Map())
+    return collections.get(Model.modelName)
+  }
+
+  const all = (Model) => [...collection(Model).values()].map((stored) => Model.hydrate(stored))
+
+  const findFirst = (Model, filter) => all(Model).find((doc) => matches(doc, filter)) || null
+
+  // Validate a document unless told not to, check its unique indexes and store it
+  const write = async (Model, doc, { validateBeforeSave = true } = {}) => {
+    if (validateBeforeSave) await doc.validate()
+
+    for (const paths of uniqueKeys(Model)) {
+      const values = paths.map((path) => doc.get(path))
+      if (values.some((value) => value == null || (Array.isArray(value) && value.length === 0))) continue
+
+      const clash = all(Model).some(
+        (other) =>
+          !sameValue(other._id, doc._id) && paths.every((path, index) => sameValue(other.get(path), values[index])),
+      )
+      if (clash) throw duplicateKeyError(paths)
+    }
+
+    const stored = doc.toObject(STORED)
+    const previous = collection(Model).get(doc._id.toString())
+    for (const path of doc[OMITTED] || []) {
+      if (previous && !doc.isModified(path)) setPath(stored, path, getPath(previous, path))
+    }
+    collection(Model).set(doc._id.toString(), stored)
+    return Model.hydrate(stored)
+  }
+
+  // Run an update's read and write as one step, as MongoDB does for a single document, so
+  // concurrent conditional updates can't both match the same state
+  let pendingUpdate = Promise.resolve()
+  const atomically = (update) => {
+    const result = pendingUpdate.then(update)
+    pendingUpdate = result.catch(() => {})
+    return result
+  }
+
+  const fakeModel = (Model) => {
+    mock.method(Model, "findById", (id) => query(() => findFirst(Model, { _id: id }), Model))
+    mock.method(Model, "findOne", (filter = {}) => query(() => findFirst(Model, filter), Model))
+    mock.method(Model, "find", (filter = {}) => query(() => all(Model).filter((doc) => matches(doc, filter)), Model))
+    mock.method(Model, "countDocuments", (filter = {}) =>
+      query(() => all(Model).filter((doc) => matches(doc, filter)).length),
+    )
+    mock.method(Model, "findOneAndUpdate", (filter, update) =>
+      query(
+        () =>
+          atomically(async () => {
+            const doc = findFirst(Model, filter)
+            if (!doc) return null
+            applyUpdate(doc, update, filter)
+            return write(Model, doc)
+          }),
+        Model,
+      ),
+    )
+    mock.method(Model, "findByIdAndUpdate", (id, update) =>
+      query(
+        () =>
+          atomically(async () => {
+            const doc = findFirst(Model, { _id: id })
+            if (!doc) return null
+            applyUpdate(doc, update)
+            return write(Model, doc)
+          }),
+        Model,
+      ),
+    )
+    mock.method(Model, "updateOne", (filter, update) =>
+      query(() =>
+        atomically(async () => {
+          const doc = findFirst(Model, filter)
+          if (!doc) return { matchedCount: 0, modifiedCount: 0 }
+          applyUpdate(doc, update, filter)
+          await write(Model, doc)
+          return { matchedCount: 1, modifiedCount: 1 }
+        }),
+      ),
+    )
+    mock.method(Model, "updateMany", (filter, update) =>
+      query(() =>
+        atomically(async () => {
+          const docs = all(Model).filter((doc) => matches(doc, filter))
+          for (const doc of docs) {
+            applyUpdate(doc, update, filter)
+            await write(Model, doc)
+          }
+          return { matchedCount: docs.length, modifiedCount: docs.length }
+        }),
+      ),
+    )
+    mock.method(Model, "deleteOne", (filter) =>
+      query(() => {
+        const doc = findFirst(Model, filter)
+        if (doc) collection(Model).delete(doc._id.toString())
+        return { deletedCount: doc ? 1 : 0 }
+      }),
+    )
+    mock.method(Model, "deleteMany", (filter = {}) =>
+      query(() => {
+        const docs = all(Model).filter((doc) => matches(doc, filter))
+        for (const doc of docs) collection(Model).delete(doc._id.toString())
+        return { deletedCount: docs.length }
+      }),
+    )
+    // The driver's collection skips validation and middleware, so its writes are stored as they are
+    mock.method(Model.collection, "updateOne", async (filter, update) => {
+      const doc = findFirst(Model, filter)
+      if (!doc) return { matchedCount: 0, modifiedCount: 0 }
+      applyUpdate(doc, update, filter)
+      collection(Model).set(doc._id.toString(), doc.toObject(STORED))
+      return { matchedCount: 1, modifiedCount: 1 }
+    })
+    mock.method(Model, "create", async (docs) => {
+      const created = []
+      for (const data of Array.isArray(docs) ? docs : [docs]) {
+        const doc = new Model(data)
+        await runSaveHooks(doc)
+        created.push(await write(Model, doc))
+      }
+      return Array.isArray(docs) ? created : created[0]
+    })
+    // Like Mongoose, insertMany validates and timestamps the documents but skips their save middleware
+    mock.method(Model, "insertMany", async (docs) => {
+      const inserted = []
+      for (const data of docs) {
+        const doc = new Model(data)
+        doc.initializeTimestamps?.()
+        inserted.push(await write(Model, doc))
+      }
+      return inserted
+    })
+    mock.method(Model.prototype, "save", async function (options) {
+      await runSaveHooks(this, options)
+      await write(Model, this, options)
+      this.isNew = false
+      return this
+    })
+    mock.method(Model.prototype, "deleteOne", async function () {
+      collection(Model).delete(this._id.toString())
+      return this
+    })
+  }
+
+  return {
+    // Replace the database calls of every registered model, plus transactions
+    install() {
+      for (const Model of Object.values(mongoose.models)) {
+        fakeModel(Model)
+      }
+
+      mock.method(mongoose.connection, "transaction", async (fn) => {
+        const snapshot = new Map([...collections].map(([name, docs]) => [name, new Map(docs)]))
+        try {
+          return await fn({})
+        } catch (error) {
+          collections.clear()
+          for (const [name, docs] of snapshot) collections.set(name, docs)
+          throw error
+        }
+      })
+    },
+
+    // Undo `install` and forget every document
+    uninstall() {
+      mock.restoreAll()
+      collections.clear()
+    },
+
+    // Store a document as-is, validating it first
+    insert: async (Model, data) => write(Model, new Model(data)),
+
+    findById: (Model, id) => findFirst(Model, { _id: id }),
+
+    find: (Model, filter = {}) => all(Model).filter((doc) => matches(doc, filter)),
+  }
+}
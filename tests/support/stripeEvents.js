@@ -0,0 +1,24 @@
+import stripe from "../../utils/stripe.js"
+import { handleWebhook } from "../../controllers/paymentController.js"
+import { callHandler } from "./fixtures.js"
+
+export const WEBHOOK_SECRET = "whsec_test_secret"
+process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET
+
+let eventCount = 0
+
+// A Stripe event wrapping `object`
+export const stripeEvent = (type, object, id = `evt_test_${++eventCount}`) => ({
+  id,
+  object: "event",
+  type,
+  created: Math.floor(Date.now() / 1000),
+  data: { object },
+})
+
+// Deliver an event the way Stripe does, signed with the webhook secret
+export const sendStripeEvent = (event, secret = WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event)
+  const header = stripe.webhooks.generateTestHeaderString({ payload, secret })
+  return callHandler(handleWebhook, { body: Buffer.from(payload), headers: { "stripe-signature": header } })
+}
@@ -0,0 +1,190 @@
+import assert from "node:assert/strict"
+import { after, afterEach, beforeEach, describe, test } from "node:test"
+import mongoose from "mongoose"
+import { deleteUser, getUsers, suspendUser, updateUserRole } from "../../controllers/userController.js"
+import { login } from "../../controllers/authController.js"
+import { protect } from "../../middleware/auth.js"
+import { createMemoryStore, setLoginThrottleStore } from "../../utils/loginThrottle.js"
+import User from "../../models/User.js"
+import Order from "../../models/Order.js"
+import Cart from "../../models/Cart.js"
+import RefreshToken from "../../models/RefreshToken.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+import { TEST_PASSWORD, callHandler, makeRequest, seedCheckout, seedUser } from "../support/fixtures.js"
+
+process.env.JWT_SECRET = "test-jwt-secret"
+
+const db = createMemoryDb()
+
+const byId = (user, body = {}, query = {}) => ({ params: { id: user._id.toString() }, body, query })
+
+describe("user management", () => {
+  let admin
+
+  beforeEach(async () => {
+    db.install()
+    setLoginThrottleStore(createMemoryStore())
+    admin = await seedUser(db, { name: "Ada Admin", email: "admin@example.com", role: "admin" })
+  })
+  afterEach(() => db.uninstall())
+  after(() => mongoose.disconnect())
+
+  const asAdmin = (handler, request) => callHandler(handler, makeRequest({ ...request, user: admin }))
+
+  describe("getUsers", () => {
+    test("searches names and emails, treating the search as plain text", async () => {
+      await seedUser(db, { name: "Grace Hopper", email: "grace@example.com" })
+      await seedUser(db, { name: "Linus", email: "linus.hopper@example.com" })
+      await seedUser(db, { name: "Someone (else)", email: "else@example.com" })
+
+      const hoppers = await asAdmin(getUsers, { query: { q: "HOPPER", sort: "name" } })
+      assert.deepEqual(
+        hoppers.body.data.map((user) => user.name),
+        ["Grace Hopper", "Linus"],
+      )
+
+      const literal = await asAdmin(getUsers, { query: { q: "(else)" } })
+      assert.deepEqual(
+        literal.body.data.map((user) => user.name),
+        ["Someone (else)"],
+      )
+    })
+
+    test("filters by role and suspension", async () => {
+      await seedUser(db, { name: "Sam", email: "sam@example.com", isSuspended: true })
+      await seedUser(db, { name: "Pat", email: "pat@example.com", role: "support" })
+
+      const response = await asAdmin(getUsers, { query: { "role[ne]": "admin", suspended: "false" } })
+
+      assert.deepEqual(
+        response.body.data.map((user) => user.name),
+        ["Pat"],
+      )
+    })
+  })
+
+  describe("updateUserRole", () => {
+    test("promotes a user, and lets an admin step down while another remains", async () => {
+      const user = await seedUser(db, { email: "grace@example.com" })
+
+      await asAdmin(updateUserRole, byId(user, { role: "admin" }))
+      assert.equal(db.findById(User, user._id).role, "admin")
+
+      await asAdmin(updateUserRole, byId(admin, { role: "user" }))
+      assert.equal(db.findById(User, admin._id).role, "user")
+    })
+
+    test("won't demote the last active admin", async () => {
+      await seedUser(db, { email: "retired@example.com", role: "admin", isSuspended: true })
+
+      await assert.rejects(asAdmin(updateUserRole, byId(admin, { role: "catalog_manager" })), {
+        statusCode: 400,
+        message: "Cannot remove the last remaining admin",
+      })
+      assert.equal(db.findById(User, admin._id).role, "admin")
+    })
+
+    test("rejects an unknown role or user", async () => {
+      const user = await seedUser(db, { email: "grace@example.com" })
+
+      await assert.rejects(asAdmin(updateUserRole, byId(user, { role: "superuser" })), { statusCode: 400 })
+      await assert.rejects(asAdmin(updateUserRole, byId({ _id: new mongoose.Types.ObjectId() }, { role: "user" })), {
+        statusCode: 404,
+      })
+    })
+  })
+
+  describe("suspendUser", () => {
+    test("logs a suspended user out everywhere and keeps them out until reinstated", async () => {
+      const user = await seedUser(db, { email: "grace@example.com" })
+      const session = await callHandler(login, makeRequest({ body: { email: user.email, password: TEST_PASSWORD } }))
+      const authenticate = () =>
+        callHandler(protect, makeRequest({ headers: { authorization: `Bearer ${session.body.token}` } }))
+
+      await asAdmin(suspendUser, byId(user, { reason: "Chargeback fraud" }))
+
+      const suspended = db.findById(User, user._id)
+      assert.equal(suspended.isSuspended, true)
+      assert.equal(suspended.suspension.reason, "Chargeback fraud")
+      assert.equal(suspended.suspension.suspendedBy.toString(), admin._id.toString())
+      assert.equal(db.find(RefreshToken, { user: user._id, revokedAt: null }).length, 0)
+      await assert.rejects(authenticate(), { statusCode: 403 })
+      await assert.rejects(
+        callHandler(login, makeRequest({ body: { email: user.email, password: TEST_PASSWORD } })),
+        { statusCode: 403, message: "This account has been suspended" },
+      )
+
+      await asAdmin(suspendUser, byId(user, { suspended: false }))
+
+      const reinstated = db.findById(User, user._id)
+      assert.equal(reinstated.isSuspended, false)
+      assert.equal(reinstated.suspension?.reason, undefined)
+      assert.equal(
+        (await callHandler(login, makeRequest({ body: { email: user.email, password: TEST_PASSWORD } }))).status,
+        200,
+      )
+    })
+
+    test("an admin can't suspend themselves or the last other admin", async () => {
+      const other = await seedUser(db, { email: "other@example.com", role: "admin" })
+
+      await assert.rejects(asAdmin(suspendUser, byId(admin)), {
+        statusCode: 400,
+        message: "You cannot suspend your own account",
+      })
+
+      await asAdmin(suspendUser, byId(other))
+      // The suspended admin no longer counts, so the remaining one is protected
+      await assert.rejects(callHandler(suspendUser, makeRequest({ ...byId(admin), user: { id: "staff" } })), {
+        statusCode: 400,
+        message: "Cannot remove the last remaining admin",
+      })
+    })
+  })
+
+  describe("deleteUser", () => {
+    test("anonymises by default, keeping the orders", async () => {
+      const { user, order } = await seedCheckout(db, { paid: true })
+
+      await asAdmin(deleteUser, byId(user))
+
+      const anonymised = db.findById(User, user._id)
+      assert.equal(anonymised.name, "Deleted user")
+      assert.ok(anonymised.anonymizedAt)
+      assert.equal(db.find(Cart, { user: user._id }).length, 0)
+      assert.equal(db.findById(Order, order._id).totalPrice, 52.8)
+
+      // The scrubbed address still validates, so the account can be saved again
+      await asAdmin(updateUserRole, byId(user, { role: "support" }))
+      assert.equal(db.findById(User, user._id).role, "support")
+    })
+
+    test("only removes a user outright when they have no orders", async () => {
+      const { user } = await seedCheckout(db, { paid: true })
+      const browser = await seedUser(db, { email: "browser@example.com" })
+      await db.insert(Cart, { user: browser._id, items: [] })
+
+      await assert.rejects(asAdmin(deleteUser, byId(user, {}, { hard: "true" })), {
+        statusCode: 400,
+        message: "User has 1 order(s) and can only be anonymised",
+      })
+      assert.ok(db.findById(User, user._id))
+
+      await asAdmin(deleteUser, byId(browser, {}, { hard: "true" }))
+      assert.equal(db.findById(User, browser._id), null)
+      assert.equal(db.find(Cart, { user: browser._id }).length, 0)
+    })
+
+    test("refuses to delete your own account or the last admin", async () => {
+      await assert.rejects(asAdmin(deleteUser, byId(admin)), {
+        statusCode: 400,
+        message: "You cannot delete your own account here",
+      })
+      await assert.rejects(callHandler(deleteUser, makeRequest({ ...byId(admin), user: { id: "staff" } })), {
+        statusCode: 400,
+        message: "Cannot remove the last remaining admin",
+      })
+      assert.equal(db.findById(User, admin._id).name, "Ada Admin")
+    })
+  })
+})
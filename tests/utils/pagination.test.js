@@ -0,0 +1,135 @@
+import assert from "node:assert/strict"
+import { after, afterEach, beforeEach, describe, test } from "node:test"
+import mongoose from "mongoose"
+import { paginateArray, paginateQuery } from "../../utils/pagination.js"
+import Coupon from "../../models/Coupon.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+
+const db = createMemoryDb()
+
+const day = (n) => new Date(Date.UTC(2026, 0, n))
+
+// Coupons in _id order; two never expire and two expire on the same day
+const EXPIRIES = [day(3), null, day(1), day(3), null, day(2)]
+
+const seedCoupons = async () => {
+  const coupons = []
+  for (const [index, expiresAt] of EXPIRIES.entries()) {
+    coupons.push(await db.insert(Coupon, { code: `CODE${index}`, type: "fixed", value: 5, expiresAt }))
+  }
+  return coupons.map((coupon) => coupon.code)
+}
+
+// Follow nextCursor until the listing runs out, returning every page
+const walk = async (page) => {
+  const pages = []
+  let cursor = ""
+  do {
+    const result = await page(cursor)
+    pages.push(result)
+    cursor = result.pagination.nextCursor
+  } while (cursor)
+  return pages
+}
+
+const codes = (pages) => pages.flatMap((result) => result.data.map((coupon) => coupon.code))
+
+describe("paginateQuery with a cursor", () => {
+  beforeEach(() => db.install())
+  afterEach(() => db.uninstall())
+  after(() => mongoose.disconnect())
+
+  const listCoupons = (sort, cursor, limit = 2) => paginateQuery(Coupon, {}, { sort, limit, cursor })
+
+  test("ascending, lists the coupons without an expiry first and then every other one once", async () => {
+    const [c0, c1, c2, c3, c4, c5] = await seedCoupons()
+
+    const pages = await walk((cursor) => listCoupons("expiresAt", cursor))
+
+    assert.deepEqual(codes(pages), [c1, c4, c2, c5, c0, c3])
+    assert.deepEqual(
+      pages.map(({ pagination }) => pagination.hasMore),
+      [true, true, false],
+    )
+    assert.equal(pages[0].total, 6)
+  })
+
+  test("descending, lists the coupons without an expiry last", async () => {
+    const [c0, c1, c2, c3, c4, c5] = await seedCoupons()
+
+    // A page boundary between the two coupons that never expire
+    const pages = await walk((cursor) => listCoupons("-expiresAt", cursor, 3))
+
+    assert.deepEqual(codes(pages), [c3, c0, c5, c2, c4, c1])
+  })
+
+  test("a page boundary on a null value doesn't skip or repeat the other nulls", async () => {
+    const [, c1, , , c4] = await seedCoupons()
+
+    const pages = await walk((cursor) => listCoupons("expiresAt", cursor, 1))
+
+    assert.deepEqual(codes(pages).slice(0, 2), [c1, c4])
+    assert.equal(codes(pages).length, 6)
+    assert.equal(new Set(codes(pages)).size, 6)
+  })
+
+  test("coupons added while paging don't shift the pages already fetched", async () => {
+    await seedCoupons()
+    const first = await listCoupons("expiresAt", "")
+
+    await db.insert(Coupon, { code: "EARLY", type: "fixed", value: 5, expiresAt: null })
+    const rest = await walk((cursor) => listCoupons("expiresAt", cursor || first.pagination.nextCursor))
+
+    assert.equal(new Set([...codes([first]), ...codes(rest)]).size, 7)
+  })
+
+  test("refuses a cursor that's malformed or was issued for another sort", async () => {
+    await seedCoupons()
+    const { pagination } = await listCoupons("expiresAt", "")
+
+    await assert.rejects(listCoupons("-expiresAt", pagination.nextCursor), {
+      statusCode: 400,
+      message: "Cursor does not match the sort order",
+    })
+    await assert.rejects(listCoupons("expiresAt", "not-a-cursor"), { statusCode: 400, message: "Invalid cursor" })
+    await assert.rejects(listCoupons("expiresAt code", ""), {
+      statusCode: 400,
+      message: "Cursor pagination can only sort by a single field",
+    })
+  })
+
+  test("numbers the pages when no cursor is given", async () => {
+    const [c0, , , c3] = await seedCoupons()
+
+    const { data, pagination } = await paginateQuery(Coupon, {}, { sort: "expiresAt", page: 2, limit: 4 })
+
+    assert.deepEqual(
+      data.map((coupon) => coupon.code),
+      [c0, c3],
+    )
+    assert.deepEqual(pagination, { page: 2, limit: 4, total: 6, pages: 2, prev: { page: 1, limit: 4 } })
+  })
+})
+
+describe("paginateArray", () => {
+  // Reviews in _id order, some without a rating
+  const reviews = [4, null, 5, 4, undefined].map((rating) => ({ _id: new mongoose.Types.ObjectId(), rating }))
+  const [r0, r1, r2, r3, r4] = reviews
+
+  const walkArray = (sort, limit) =>
+    walk(async (cursor) => paginateArray(reviews, { sort, limit, cursor })).then((pages) =>
+      pages.flatMap((result) => result.data),
+    )
+
+  test("orders missing values like null and walks both directions without gaps", async () => {
+    assert.deepEqual(await walkArray("rating", 2), [r1, r4, r0, r3, r2])
+    assert.deepEqual(await walkArray("-rating", 2), [r2, r3, r0, r4, r1])
+  })
+
+  test("ends the listing after the last item", () => {
+    const { data, pagination } = paginateArray(reviews, { sort: "rating", limit: 5, cursor: "" })
+
+    assert.equal(data.length, 5)
+    assert.deepEqual(pagination, { limit: 5, total: 5, hasMore: false, nextCursor: null })
+  })
+})
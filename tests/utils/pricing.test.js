@@ -0,0 +1,176 @@
+import assert from "node:assert/strict"
+import { after, afterEach, beforeEach, describe, test } from "node:test"
+import mongoose from "mongoose"
+import { diffClientPricing, priceAndVerify, priceOrder } from "../../utils/pricing.js"
+import { createOrder } from "../../controllers/orderController.js"
+import Product from "../../models/Product.js"
+import Order from "../../models/Order.js"
+import Coupon from "../../models/Coupon.js"
+import { createMemoryDb } from "../support/memoryDb.js"
+import { callHandler, makeRequest, seedUser } from "../support/fixtures.js"
+
+const db = createMemoryDb()
+
+const shippingAddress = { address: "1 Main St", city: "Springfield", postalCode: "12345", country: "US" }
+
+describe("pricing", () => {
+  let lamp
+  let bulb
+
+  beforeEach(async () => {
+    db.install()
+    const product = {
+      description: "For the desk",
+      category: new mongoose.Types.ObjectId(),
+      stock: 10,
+      images: [{ public_id: "products/lamp", url: "lamp.jpg" }],
+    }
+    lamp = await db.insert(Product, { ...product, name: "Desk lamp", price: 19.99 })
+    bulb = await db.insert(Product, { ...product, name: "Bulb", price: 5, discountPrice: 3.5 })
+  })
+  afterEach(() => db.uninstall())
+  after(() => mongoose.disconnect())
+
+  describe("priceOrder", () => {
+    test("prices every line from the catalogue, ignoring the prices the client sent", async () => {
+      const pricing = await priceOrder([
+        { product: lamp._id, quantity: 3, price: 0.01 },
+        { product: bulb._id, quantity: "2", price: 0.01 },
+      ])
+
+      assert.deepEqual(
+        pricing.orderItems.map(({ name, quantity, price, image }) => ({ name, quantity, price, image })),
+        [
+          { name: "Desk lamp", quantity: 3, price: 19.99, image: "lamp.jpg" },
+          { name: "Bulb", quantity: 2, price: 3.5, image: "lamp.jpg" },
+        ],
+      )
+      assert.equal(pricing.itemsPrice, 66.97)
+      assert.equal(pricing.discountAmount, 0)
+      assert.equal(pricing.taxPrice, 4.69)
+      assert.equal(pricing.shippingPrice, 10)
+      assert.equal(pricing.totalPrice, 81.66)
+    })
+
+    test("charges tax on the total after a coupon's discount", async () => {
+      const coupon = await db.insert(Coupon, { code: "SAVE10", type: "percent", value: 10 })
+
+      const pricing = await priceOrder([{ product: lamp._id, quantity: 1 }], { coupon, user: new mongoose.Types.ObjectId() })
+
+      assert.equal(pricing.discountAmount, 2)
+      assert.equal(pricing.taxPrice, 1.26)
+      assert.equal(pricing.totalPrice, 29.25)
+      assert.deepEqual(pricing.coupon, { coupon: coupon._id, code: "SAVE10" })
+    })
+
+    test("rejects an empty order, a bad quantity and an unknown product", async () => {
+      await assert.rejects(priceOrder([]), { statusCode: 400, message: "No order items" })
+      for (const quantity of [0, -1, 1.5, "two", undefined]) {
+        await assert.rejects(priceOrder([{ product: lamp._id, quantity }]), {
+          statusCode: 400,
+          message: `Invalid quantity for product ${lamp._id}`,
+        })
+      }
+      await assert.rejects(priceOrder([{ product: new mongoose.Types.ObjectId(), quantity: 1 }]), {
+        statusCode: 404,
+      })
+    })
+  })
+
+  describe("diffClientPricing", () => {
+    const pricing = {
+      orderItems: [{ price: 19.99 }, { price: 3.5 }],
+      itemsPrice: 26.99,
+      discountAmount: 0,
+      taxPrice: 1.89,
+      shippingPrice: 10,
+      totalPrice: 38.88,
+    }
+
+    test("only checks the fields the client sent, to the cent", () => {
+      assert.deepEqual(diffClientPricing(pricing, {}), [])
+      assert.deepEqual(diffClientPricing(pricing, undefined), [])
+      assert.deepEqual(diffClientPricing(pricing, { totalPrice: "38.880", taxPrice: 1.8899, shippingPrice: null }), [])
+    })
+
+    test("lists every total and item price that differs", () => {
+      const diff = diffClientPricing(pricing, {
+        orderItems: [{ price: 19.99 }, { price: 0 }, { price: 1 }],
+        shippingPrice: 0,
+        totalPrice: 28.88,
+      })
+
+      assert.deepEqual(diff, [
+        { field: "shippingPrice", expected: 10, received: 0 },
+        { field: "totalPrice", expected: 38.88, received: 28.88 },
+        { field: "orderItems[1].price", expected: 3.5, received: 0 },
+      ])
+    })
+  })
+
+  describe("priceAndVerify", () => {
+    test("returns the server's pricing, or rejects mismatching totals with the diff", async () => {
+      const items = [{ product: lamp._id, quantity: 1 }]
+
+      assert.equal((await priceAndVerify(items, { totalPrice: 31.39 })).totalPrice, 31.39)
+      await assert.rejects(priceAndVerify(items, { totalPrice: 0 }), {
+        statusCode: 400,
+        message: "Order totals do not match server pricing",
+        details: [{ field: "totalPrice", expected: 31.39, received: 0 }],
+      })
+    })
+  })
+
+  describe("createOrder", () => {
+    let customer
+
+    beforeEach(async () => {
+      customer = await seedUser(db, { email: "buyer@example.com" })
+    })
+
+    const place = (body) =>
+      callHandler(
+        createOrder,
+        makeRequest({ body: { shippingAddress, paymentMethod: "cash", ...body }, user: customer }),
+      )
+
+    test("stores the server's prices when the client sends no totals", async () => {
+      const response = await place({ orderItems: [{ product: lamp._id.toString(), quantity: 2 }] })
+
+      const order = db.findById(Order, response.body.data._id)
+      assert.equal(order.orderItems[0].price, 19.99)
+      assert.equal(order.itemsPrice, 39.98)
+      assert.equal(order.taxPrice, 2.8)
+      assert.equal(order.shippingPrice, 10)
+      assert.equal(order.totalPrice, 52.78)
+    })
+
+    test("refuses an order whose prices or totals don't match, without taking stock", async () => {
+      await assert.rejects(place({ orderItems: [{ product: lamp._id.toString(), quantity: 2, price: 0 }] }), {
+        statusCode: 400,
+        details: [{ field: "orderItems[0].price", expected: 19.99, received: 0 }],
+      })
+      await assert.rejects(
+        place({
+          orderItems: [{ product: lamp._id.toString(), quantity: 2 }],
+          itemsPrice: 0,
+          taxPrice: 0,
+          shippingPrice: 0,
+          totalPrice: 0,
+        }),
+        {
+          statusCode: 400,
+          details: [
+            { field: "itemsPrice", expected: 39.98, received: 0 },
+            { field: "taxPrice", expected: 2.8, received: 0 },
+            { field: "shippingPrice", expected: 10, received: 0 },
+            { field: "totalPrice", expected: 52.78, received: 0 },
+          ],
+        },
+      )
+
+      assert.equal(db.find(Order).length, 0)
+      assert.equal(db.findById(Product, lamp._id).stock, 10)
+    })
+  })
+})
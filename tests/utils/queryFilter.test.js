@@ -0,0 +1,167 @@
+import assert from "node:assert/strict"
+import { describe, test } from "node:test"
+import mongoose from "mongoose"
+import { defineQuerySpec, parseListQuery, parsePageQuery } from "../../utils/queryFilter.js"
+
+const spec = defineQuerySpec({
+  filters: {
+    price: { type: "number", operators: ["eq", "gte", "lte"] },
+    status: { values: ["active", "archived"], operators: ["eq", "in"] },
+    inStock: { type: "boolean" },
+    category: { type: "objectId", field: "category._id" },
+    createdAt: { type: "date", operators: ["gt", "lt"] },
+  },
+  sort: ["price", "createdAt"],
+  select: ["name", "price"],
+  params: ["q"],
+  maxLimit: 50,
+})
+
+// The list of problems a rejected query reports
+const problems = (query) => {
+  try {
+    parseListQuery(query, spec)
+  } catch (error) {
+    assert.equal(error.statusCode, 400)
+    assert.equal(error.message, "Invalid query parameters")
+    return error.details
+  }
+  assert.fail("query was accepted")
+}
+
+describe("parseListQuery", () => {
+  test("turns allowed conditions into a Mongo filter, whether or not the brackets were parsed", () => {
+    const categoryId = new mongoose.Types.ObjectId().toString()
+
+    const { filter, sort, select, page, limit, cursor } = parseListQuery(
+      {
+        "price[gte]": "10",
+        price: { lte: "20" },
+        status: "active",
+        inStock: "true",
+        category: categoryId,
+        q: "lamp",
+      },
+      spec,
+    )
+
+    assert.deepEqual(filter, {
+      price: { $gte: 10, $lte: 20 },
+      status: { $eq: "active" },
+      inStock: { $eq: true },
+      "category._id": { $eq: new mongoose.Types.ObjectId(categoryId) },
+    })
+    assert.equal(sort, "-createdAt")
+    assert.equal(select, undefined)
+    assert.equal(page, 1)
+    assert.equal(limit, 10)
+    assert.equal(cursor, undefined)
+  })
+
+  test("splits `in` lists and checks every value", () => {
+    assert.deepEqual(parseListQuery({ "status[in]": "active,archived" }, spec).filter, {
+      status: { $in: ["active", "archived"] },
+    })
+
+    assert.deepEqual(problems({ "status[in]": "active,deleted" }), [
+      { param: "status[in]", message: "status[in] must be one of active, archived" },
+    ])
+  })
+
+  test("rejects Mongo operators and fields outside the spec", () => {
+    assert.deepEqual(problems({ "price[$gt]": "0", password: "x", $where: "sleep(1000)" }), [
+      { param: "price[$gt]", message: "Operator $gt is not allowed for price; allowed: eq, gte, lte" },
+      { param: "password", message: "Unknown query parameter password" },
+      { param: "$where", message: "Unknown query parameter $where" },
+    ])
+  })
+
+  test("rejects operators the field doesn't allow", () => {
+    assert.deepEqual(problems({ "inStock[ne]": "true", "price[regex]": "^1" }), [
+      { param: "inStock[ne]", message: "Operator ne is not allowed for inStock; allowed: eq" },
+      { param: "price[regex]", message: "Operator regex is not allowed for price; allowed: eq, gte, lte" },
+    ])
+  })
+
+  test("rejects values that aren't of the field's type", () => {
+    assert.deepEqual(
+      problems({
+        price: "cheap",
+        inStock: "yes",
+        category: "not-an-id",
+        "createdAt[gt]": "someday",
+        status: { eq: { $ne: null } },
+      }),
+      [
+        { param: "price", message: "price must be a number" },
+        { param: "inStock", message: "inStock must be a boolean" },
+        { param: "category", message: "category must be a objectId" },
+        { param: "createdAt[gt]", message: "createdAt[gt] must be a date" },
+        { param: "status[eq]", message: "status[eq] must be one of active, archived" },
+      ],
+    )
+  })
+
+  test("rejects an empty number instead of treating it as 0", () => {
+    assert.deepEqual(problems({ price: " " }), [{ param: "price", message: "price must be a number" }])
+  })
+
+  test("only sorts and selects by allowed fields", () => {
+    const { sort, select } = parseListQuery({ sort: "-price,createdAt", select: "name,price" }, spec)
+    assert.equal(sort, "-price createdAt")
+    assert.equal(select, "name price")
+
+    assert.deepEqual(problems({ sort: "-password", select: "name,resetPasswordToken" }), [
+      { param: "sort", message: "Cannot sort by password; allowed fields: price, createdAt" },
+      { param: "select", message: "Cannot select by resetPasswordToken; allowed fields: name, price" },
+    ])
+    assert.deepEqual(problems({ sort: "" }), [
+      { param: "sort", message: "sort must be a comma separated list of fields" },
+    ])
+  })
+
+  test("checks the page and limit", () => {
+    assert.deepEqual(parseListQuery({ page: "3", limit: "50" }, spec), {
+      filter: {},
+      sort: "-createdAt",
+      select: undefined,
+      page: 3,
+      limit: 50,
+      cursor: undefined,
+    })
+
+    assert.deepEqual(problems({ page: "0", limit: "51" }), [
+      { param: "page", message: "page must be a positive whole number" },
+      { param: "limit", message: "limit cannot be more than 50" },
+    ])
+    assert.deepEqual(problems({ page: "1.5", limit: "-1" }), [
+      { param: "page", message: "page must be a positive whole number" },
+      { param: "limit", message: "limit must be a positive whole number" },
+    ])
+  })
+
+  test("pages with a cursor, which can't be repeated or combined with a page", () => {
+    assert.equal(parseListQuery({ cursor: "" }, spec).cursor, "")
+
+    assert.deepEqual(problems({ cursor: ["a", "b"] }), [
+      { param: "cursor", message: "cursor must be a single value" },
+    ])
+    assert.deepEqual(problems({ cursor: "abc", page: "2" }), [
+      { param: "page", message: "page cannot be combined with cursor" },
+    ])
+  })
+})
+
+describe("parsePageQuery", () => {
+  test("defaults the page and limit and caps the limit", () => {
+    assert.deepEqual(parsePageQuery({}), { page: 1, limit: 10 })
+    assert.deepEqual(parsePageQuery({ page: "2", limit: "5" }, { defaultLimit: 20, maxLimit: 5 }), {
+      page: 2,
+      limit: 5,
+    })
+    assert.throws(() => parsePageQuery({ limit: "6" }, { maxLimit: 5 }), {
+      statusCode: 400,
+      details: [{ param: "limit", message: "limit cannot be more than 5" }],
+    })
+  })
+})
@@ -0,0 +1,100 @@
+import User from "../models/User.js"
+import Order from "../models/Order.js"
+import Cart from "../models/Cart.js"
+import Product from "../models/Product.js"
+import RefreshToken from "../models/RefreshToken.js"
+import { ErrorResponse } from "./errorResponse.js"
+import { withTransaction } from "./transaction.js"
+
+// Throw if demoting, suspending or removing `user` would leave the store without an active admin.
+// Call it in the transaction that makes the change. The other admins are counted by writing to
+// them, so two admins removing each other at the same time conflict: one transaction retries,
+// sees the other's change and is refused.
+export const ensureAnotherAdmin = async (user, session) => {
+  if (user.role !== "admin" || user.isSuspended) {
+    return
+  }
+
+  const { matchedCount } = await User.updateMany(
+    { role: "admin", isSuspended: false, _id: { $ne: user._id } },
+    { $set: { updatedAt: new Date() } },
+    { session, timestamps: false },
+  )
+  if (matchedCount === 0) {
+    throw new ErrorResponse("Cannot remove the last remaining admin", 400)
+  }
+}
+
+// Gather everything stored about a user, for a personal data export
+export const collectPersonalData = async (userId) => {
+  const user = await User.findById(userId).select("-tokenVersion -resetPasswordToken -resetPasswordExpire")
+
+  const [orders, cart, products, sessions] = await Promise.all([
+    Order.find({ user: userId }).select("-reservation").sort("-createdAt"),
+    Cart.findOne({ user: userId }).populate({ path: "items.product", select: "name slug" }),
+    Product.find({ "ratings.user": userId }).select("name slug ratings"),
+    RefreshToken.find({ user: userId }).select("createdAt expiresAt revokedAt createdByIp userAgent"),
+  ])
+
+  const profile = user.toObject()
+  const { addresses } = profile
+  delete profile.addresses
+
+  const reviews = products.flatMap((product) =>
+    product.ratings
+      .filter((rating) => rating.user.toString() === userId.toString())
+      .map((rating) => ({
+        product: { _id: product._id, name: product.name, slug: product.slug },
+        rating: rating.rating,
+        review: rating.review,
+        createdAt: rating.createdAt,
+      })),
+  )
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    addresses,
+    orders,
+    cart,
+    reviews,
+    sessions,
+  }
+}
+
+// Close an account: scrub the profile, strip personal details from its orders while keeping
+// the amounts for the books, and drop the cart and every session. Reviews stay published but
+// only point at the anonymised user. The last active admin can't be closed.
+export const anonymizeAccount = async (user) => {
+  await withTransaction(async (session) => {
+    const current = await User.findById(user._id).session(session)
+    await ensureAnotherAdmin(current, session)
+
+    current.anonymize()
+    current.role = "user"
+    current.isSuspended = false
+    current.suspension = undefined
+    await current.save({ session, validateBeforeSave: false })
+    // An address left over from before the address book, if it was never migrated
+    await User.collection.updateOne({ _id: current._id }, { $unset: { address: "" } }, { session })
+
+    await Order.updateMany(
+      { user: user._id },
+      {
+        $set: { "shippingAddress.address": "Redacted" },
+        $unset: {
+          "shippingAddress.fullName": "",
+          "shippingAddress.phone": "",
+          "billingAddress.fullName": "",
+          "billingAddress.address": "",
+          "billingAddress.phone": "",
+          "paymentResult.email_address": "",
+        },
+      },
+      { session },
+    )
+
+    await Cart.deleteOne({ user: user._id }, { session })
+    await RefreshToken.deleteMany({ user: user._id }, { session })
+  })
+}
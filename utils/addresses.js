@@ -0,0 +1,59 @@
+import { ErrorResponse } from "./errorResponse.js"
+
+const ADDRESS_FIELDS = ["fullName", "address", "city", "postalCode", "country", "phone"]
+
+// Copy the order-relevant fields of an address so later edits to the address book don't change the order
+export const snapshotAddress = (address) => {
+  if (!address) return undefined
+
+  const snapshot = {}
+  for (const field of ADDRESS_FIELDS) {
+    if (address[field] !== undefined && address[field] !== null) {
+      snapshot[field] = address[field]
+    }
+  }
+  return snapshot
+}
+
+// Find a saved address on the user by id
+const findSavedAddress = (user, addressId) => {
+  const address = user.addresses?.id(addressId)
+  if (!address) {
+    throw new ErrorResponse(`Address not found with id of ${addressId}`, 404)
+  }
+  return address
+}
+
+// Work out the shipping and billing addresses for a checkout. Saved addresses are picked with
+// `addressId` / `billingAddressId`, otherwise an inline address or the user's default is used.
+// Billing falls back to the shipping address.
+export const resolveCheckoutAddresses = (user, { addressId, shippingAddress, billingAddressId, billingAddress } = {}) => {
+  let shipping
+  if (addressId) {
+    shipping = findSavedAddress(user, addressId)
+  } else if (shippingAddress) {
+    shipping = shippingAddress
+  } else {
+    shipping = user.addresses?.find((address) => address.isDefaultShipping)
+  }
+
+  if (!shipping) {
+    throw new ErrorResponse("Please provide a shipping address", 400)
+  }
+
+  let billing
+  if (billingAddressId) {
+    billing = findSavedAddress(user, billingAddressId)
+  } else if (billingAddress) {
+    billing = billingAddress
+  } else if (addressId || shippingAddress) {
+    billing = shipping
+  } else {
+    billing = user.addresses?.find((address) => address.isDefaultBilling) || shipping
+  }
+
+  return {
+    shippingAddress: snapshotAddress(shipping),
+    billingAddress: snapshotAddress(billing),
+  }
+}
@@ -0,0 +1,115 @@
+import Coupon from "../models/Coupon.js"
+import CouponRedemption from "../models/CouponRedemption.js"
+import Cart from "../models/Cart.js"
+import { ErrorResponse } from "./errorResponse.js"
+
+// Look a coupon up by the code a customer typed
+export const findCouponByCode = async (code) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() })
+  if (!coupon) {
+    throw new ErrorResponse(`Coupon ${code} is not valid`, 404)
+  }
+  return coupon
+}
+
+// Pick the coupon for a checkout: an explicit code, otherwise the one applied to the cart
+export const resolveCheckoutCoupon = async (userId, code) => {
+  if (code) {
+    return findCouponByCode(code)
+  }
+
+  const cart = await Cart.findOne({ user: userId }).select("coupon")
+  return cart?.coupon ? Coupon.findById(cart.coupon) : null
+}
+
+// Work out what a coupon takes off a set of `{ product, category, price, quantity }` lines.
+// Throws a 400 explaining why when the coupon cannot be used. The discount is not rounded.
+export const evaluateCoupon = async (coupon, { user, lines, at = new Date() }) => {
+  if (!coupon.isActive) {
+    throw new ErrorResponse(`Coupon ${coupon.code} is not active`, 400)
+  }
+  if (coupon.startsAt && at < coupon.startsAt) {
+    throw new ErrorResponse(`Coupon ${coupon.code} is not valid yet`, 400)
+  }
+  if (coupon.expiresAt && at >= coupon.expiresAt) {
+    throw new ErrorResponse(`Coupon ${coupon.code} has expired`, 400)
+  }
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    throw new ErrorResponse(`Coupon ${coupon.code} has been fully redeemed`, 400)
+  }
+  if (coupon.perUserLimit && user) {
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user, status: "active" })
+    if (used >= coupon.perUserLimit) {
+      throw new ErrorResponse(`You have already used coupon ${coupon.code}`, 400)
+    }
+  }
+
+  const subtotal = lines.reduce((total, line) => total + line.price * line.quantity, 0)
+  if (subtotal < coupon.minSpend) {
+    throw new ErrorResponse(`Spend at least ${coupon.minSpend} to use coupon ${coupon.code}`, 400)
+  }
+
+  const eligible = lines.filter((line) => coupon.appliesTo(line))
+  if (eligible.length === 0) {
+    throw new ErrorResponse(`Coupon ${coupon.code} does not apply to any of these items`, 400)
+  }
+  const eligibleSubtotal = eligible.reduce((total, line) => total + line.price * line.quantity, 0)
+
+  switch (coupon.type) {
+    case "percent":
+      return { discount: (eligibleSubtotal * coupon.value) / 100, freeShipping: false }
+    case "fixed":
+      return { discount: Math.min(coupon.value, eligibleSubtotal), freeShipping: false }
+    default:
+      return { discount: 0, freeShipping: true }
+  }
+}
+
+// Record that `order` used the coupon. Must run inside a transaction: the usage counter only
+// moves while it is under the limit, and since every redemption writes the coupon document,
+// concurrent redemptions of the same coupon conflict and retry, so the per-user count they
+// read is never stale either.
+export const redeemCoupon = async ({ coupon, user, order, discount }, session) => {
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session },
+  )
+  if (!updated) {
+    throw new ErrorResponse(`Coupon ${coupon.code} has been fully redeemed`, 400)
+  }
+
+  if (coupon.perUserLimit) {
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user, status: "active" }).session(
+      session,
+    )
+    if (used >= coupon.perUserLimit) {
+      throw new ErrorResponse(`You have already used coupon ${coupon.code}`, 400)
+    }
+  }
+
+  const [redemption] = await CouponRedemption.create(
+    [{ coupon: coupon._id, code: coupon.code, user, order, discount }],
+    { session },
+  )
+  return redemption
+}
+
+// Give an order's coupon use back, e.g. when the order is cancelled. Safe to call twice.
+export const releaseCouponRedemption = async (order, session) => {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { order, status: "active" },
+    { status: "released", releasedAt: Date.now() },
+    { new: true, session },
+  )
+
+  if (redemption) {
+    await Coupon.updateOne({ _id: redemption.coupon }, { $inc: { usedCount: -1 } }, { session })
+  }
+
+  return redemption
+}
@@ -1,6 +1,7 @@
 export class ErrorResponse extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, details) {
     super(message)
     this.statusCode = statusCode
+    this.details = details
   }
 }
@@ -0,0 +1,189 @@
+import dotenv from "dotenv"
+import Product from "../models/Product.js"
+import Order from "../models/Order.js"
+import StockReservation from "../models/StockReservation.js"
+import { ErrorResponse } from "./errorResponse.js"
+import { withTransaction } from "./transaction.js"
+import { releaseCouponRedemption } from "./coupons.js"
+import { getPaymentProvider } from "./payments/index.js"
+
+dotenv.config()
+
+// How long a reservation taken at checkout holds stock
+export const RESERVATION_TTL_MS = (Number(process.env.STOCK_RESERVATION_TTL_MINUTES) || 15) * 60 * 1000
+
+// Match a product, or one of its variants, that has at least `quantity` in stock
+const stockFilter = (item, quantity) =>
+  item.variant
+    ? { _id: item.product, variants: { $elemMatch: { _id: item.variant, stock: { $gte: quantity } } } }
+    : { _id: item.product, stock: { $gte: quantity } }
+
+// Change the stock of a product, or of a variant and the product total together
+const stockUpdate = (item, change) =>
+  item.variant ? { $inc: { "variants.$.stock": change, stock: change } } : { $inc: { stock: change } }
+
+// Atomically take `quantity` of each item out of stock. The update only matches while
+// enough stock is left, so concurrent buyers can never push stock below zero.
+// If any item fails outside a transaction, the decrements already applied are reverted
+// before throwing; inside a transaction the abort undoes them instead.
+export const decrementStock = async (items, session) => {
+  const applied = []
+
+  try {
+    for (const item of items) {
+      const result = await Product.updateOne(stockFilter(item, item.quantity), stockUpdate(item, -item.quantity), {
+        session,
+      })
+
+      if (result.modifiedCount === 0) {
+        const product = await Product.findById(item.product).session(session)
+        if (!product) {
+          throw new ErrorResponse(`Product not found with id: ${item.product}`, 404)
+        }
+        const variant = item.variant && product.variants.id(item.variant)
+        if (item.variant && !variant) {
+          throw new ErrorResponse(`Variant not found with id of ${item.variant}`, 404)
+        }
+        throw new ErrorResponse(`Product ${product.name}${variant ? ` (${variant.sku})` : ""} is out of stock`, 400)
+      }
+
+      applied.push(item)
+    }
+  } catch (error) {
+    // Compensate for the decrements that already went through
+    if (!session) {
+      await incrementStock(applied)
+    }
+    throw error
+  }
+}
+
+// Take `quantity` of each item out of stock if all of it is there. When an item is short or gone,
+// whatever was already taken is put back and false is returned instead of throwing, so a caller
+// whose transaction has to commit regardless can deal with the shortfall itself.
+export const takeStockIfAvailable = async (items, session) => {
+  const applied = []
+
+  for (const item of items) {
+    const result = await Product.updateOne(stockFilter(item, item.quantity), stockUpdate(item, -item.quantity), {
+      session,
+    })
+
+    if (result.modifiedCount === 0) {
+      await incrementStock(applied, session)
+      return false
+    }
+
+    applied.push(item)
+  }
+
+  return true
+}
+
+// Put `quantity` of each item back into stock
+export const incrementStock = async (items, session) => {
+  for (const item of items) {
+    await Product.updateOne(stockFilter(item, 0), stockUpdate(item, item.quantity), { session })
+  }
+}
+
+// Hold stock for a checkout that has not been paid yet
+export const reserveStock = async ({ user, items, paymentId }, session) => {
+  const reservationItems = items.map((item) => ({ product: item.product, variant: item.variant, quantity: item.quantity }))
+
+  await decrementStock(reservationItems, session)
+
+  const [reservation] = await StockReservation.create(
+    [
+      {
+        user,
+        items: reservationItems,
+        paymentId,
+        expiresAt: new Date(Date.now() + RESERVATION_TTL_MS),
+      },
+    ],
+    { session },
+  )
+
+  return reservation
+}
+
+// Close an active reservation and return its stock. `status` is "released" when the
+// payment failed or expired, or "consumed" when the held stock turns into an order.
+// Only the caller that flips the reservation out of "active" restores stock, so
+// releasing the same reservation twice is harmless.
+export const releaseReservation = async (filter, session, status = "released") => {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { ...filter, status: "active" },
+    { status },
+    { new: true, session },
+  )
+
+  if (reservation) {
+    await incrementStock(reservation.items, session)
+  }
+
+  return reservation
+}
+
+// Cancel an unpaid checkout order whose reservation has expired, returning its stock and coupon use.
+// The provider payment is voided first so the customer can't be charged for a cancelled order;
+// if it can't be voided the payment may have gone through, and its webhook settles the order.
+const cancelExpiredCheckout = async (order) => {
+  if (order.paymentResult?.id) {
+    try {
+      await getPaymentProvider(order.paymentMethod).cancelPayment(order)
+    } catch {
+      return false
+    }
+  }
+
+  return withTransaction(async (session) => {
+    const current = await Order.findOne({ _id: order._id, status: "pending", isPaid: false }).session(session)
+    if (!current) {
+      return false
+    }
+
+    await releaseReservation({ _id: current.reservation }, session)
+    await releaseCouponRedemption(current._id, session)
+    current.transitionTo("cancelled", { note: "Checkout expired before payment" })
+    await current.save({ session })
+    return true
+  })
+}
+
+// Cancel the checkout orders whose reservation expired before they were paid, then release every
+// other active reservation that has expired. Orders are looked up by their own state rather than
+// only through active reservations: a failed payment gives the held stock back straight away but
+// keeps the order open for a retry, and an abandoned one must still give its coupon use back.
+export const releaseExpiredReservations = async () => {
+  const now = new Date()
+
+  const openCheckouts = await Order.find({ status: "pending", isPaid: false, reservation: { $exists: true } }).select(
+    "_id reservation paymentMethod paymentResult",
+  )
+  const expired = await StockReservation.find({
+    _id: { $in: openCheckouts.map((order) => order.reservation) },
+    expiresAt: { $lte: now },
+  }).select("_id")
+  const expiredIds = new Set(expired.map(({ _id }) => _id.toString()))
+
+  let cancelled = 0
+  for (const order of openCheckouts) {
+    if (expiredIds.has(order.reservation.toString()) && (await cancelExpiredCheckout(order))) {
+      cancelled++
+    }
+  }
+
+  // Reservations whose order is gone or was settled some other way
+  const leftover = await StockReservation.find({ status: "active", expiresAt: { $lte: now } }).select("_id")
+
+  let released = 0
+  for (const { _id } of leftover) {
+    if (await withTransaction((session) => releaseReservation({ _id }, session))) {
+      released++
+    }
+  }
+
+  return { cancelled, released }
+}
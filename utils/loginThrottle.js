@@ -0,0 +1,125 @@
+import dotenv from "dotenv"
+import LoginAttempt from "../models/LoginAttempt.js"
+
+dotenv.config()
+
+// Failures are forgotten after this long without another failure
+const WINDOW_MS = (Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60 * 1000
+// Failures that trigger the first lockout, per account and per IP
+const FREE_ATTEMPTS = { account: 5, ip: 20 }
+// First lockout, doubled for every further failure up to the maximum
+const BASE_LOCKOUT_MS = 30 * 1000
+const MAX_LOCKOUT_MS = 60 * 60 * 1000
+
+// Stores keep `{ failures, lockedUntil }` per key and must implement
+//   get(key), increment(key, ttlMs), lock(key, lockedUntil, ttlMs), reset(key)
+// The in-memory store only works for a single instance.
+export const createMemoryStore = () => {
+  const records = new Map()
+
+  return {
+    async get(key) {
+      const record = records.get(key)
+      if (record && record.expiresAt <= Date.now()) {
+        records.delete(key)
+        return null
+      }
+      return record || null
+    },
+
+    async increment(key, ttlMs) {
+      const record = (await this.get(key)) || { failures: 0 }
+      record.failures += 1
+      record.expiresAt = Date.now() + ttlMs
+      records.set(key, record)
+      return record
+    },
+
+    async lock(key, lockedUntil, ttlMs) {
+      const record = (await this.get(key)) || { failures: 0 }
+      record.lockedUntil = lockedUntil
+      record.expiresAt = Math.max(record.expiresAt || 0, Date.now() + ttlMs)
+      records.set(key, record)
+    },
+
+    async reset(key) {
+      records.delete(key)
+    },
+  }
+}
+
+// Shares counters between instances through MongoDB
+export const createMongoStore = () => ({
+  async get(key) {
+    return LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } })
+  },
+
+  async increment(key, ttlMs) {
+    // Start over if the previous counter has expired but not been removed yet
+    await LoginAttempt.deleteOne({ key, expiresAt: { $lte: new Date() } })
+
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $set: { expiresAt: new Date(Date.now() + ttlMs) } },
+      { upsert: true, new: true },
+    )
+  },
+
+  async lock(key, lockedUntil, ttlMs) {
+    await LoginAttempt.updateOne(
+      { key },
+      { $set: { lockedUntil }, $max: { expiresAt: new Date(Date.now() + ttlMs) } },
+      { upsert: true },
+    )
+  },
+
+  async reset(key) {
+    await LoginAttempt.deleteOne({ key })
+  },
+})
+
+let store = process.env.LOGIN_THROTTLE_STORE === "mongo" ? createMongoStore() : createMemoryStore()
+
+// Replace the store used for login throttling
+export const setLoginThrottleStore = (newStore) => {
+  store = newStore
+}
+
+const keysFor = ({ email, ip }) => {
+  const keys = []
+  if (email) keys.push({ type: "account", key: `account:${email.toLowerCase()}` })
+  if (ip) keys.push({ type: "ip", key: `ip:${ip}` })
+  return keys
+}
+
+// How long the account or IP is still locked out, in milliseconds (0 when allowed)
+export const getLockoutRemaining = async (identity) => {
+  let remaining = 0
+  for (const { key } of keysFor(identity)) {
+    const record = await store.get(key)
+    if (record?.lockedUntil) {
+      remaining = Math.max(remaining, new Date(record.lockedUntil).getTime() - Date.now())
+    }
+  }
+  return remaining
+}
+
+// Count a failed login, locking with exponential backoff past the free attempts
+export const recordLoginFailure = async (identity) => {
+  for (const { type, key } of keysFor(identity)) {
+    const { failures } = await store.increment(key, WINDOW_MS)
+
+    const excess = failures - FREE_ATTEMPTS[type]
+    if (excess >= 0) {
+      const lockoutMs = Math.min(BASE_LOCKOUT_MS * 2 ** excess, MAX_LOCKOUT_MS)
+      await store.lock(key, new Date(Date.now() + lockoutMs), lockoutMs + WINDOW_MS)
+    }
+  }
+}
+
+// Forget failures and lockouts, after a successful login or an admin unlock
+export const clearLoginFailures = async (identity) => {
+  for (const { key } of keysFor(identity)) {
+    await store.reset(key)
+  }
+}
@@ -0,0 +1,44 @@
+import fs from "fs/promises"
+import path from "path"
+import dotenv from "dotenv"
+
+dotenv.config()
+
+// Transports deliver a message `{ to, subject, text, html }`.
+// Pick one with MAIL_TRANSPORT, or install your own with setMailTransport().
+export const mailTransports = {
+  // Print the message to the console, for development
+  console: {
+    async send(message) {
+      console.log(`Email to ${message.to}: ${message.subject}\n${message.text}`)
+    },
+  },
+
+  // Write each message as a JSON file to MAIL_OUTBOX_DIR, so tests can read it back
+  file: {
+    async send(message) {
+      const dir = process.env.MAIL_OUTBOX_DIR || "mail-outbox"
+      await fs.mkdir(dir, { recursive: true })
+      const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^\w.@-]/g, "_")}.json`)
+      await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2))
+    },
+  },
+}
+
+let transport = mailTransports[process.env.MAIL_TRANSPORT] || mailTransports.console
+
+// Replace the transport used by sendEmail
+export const setMailTransport = (newTransport) => {
+  transport = newTransport
+}
+
+// Send an email through the configured transport
+export const sendEmail = async ({ to, subject, text, html }) => {
+  await transport.send({
+    from: process.env.MAIL_FROM || "no-reply@localhost",
+    to,
+    subject,
+    text,
+    html,
+  })
+}
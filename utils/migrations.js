@@ -0,0 +1,56 @@
+import mongoose from "mongoose"
+import User from "../models/User.js"
+
+// Data migrations run at startup. Each one only touches documents still in the old shape,
+// so running them again is harmless.
+
+const clean = (value) => (typeof value === "string" ? value.trim() : "")
+
+// Users saved before the address book had a single `address: { street, city, state, zipCode, country }`.
+// Move each one into `addresses` as the default shipping address and drop the old field. The state
+// goes onto the city line since saved addresses have no field for it. Incomplete legacy addresses
+// can't be saved as address book entries, so they are left in place and counted as skipped.
+export const migrateLegacyAddresses = async () => {
+  const users = await User.find({ address: { $exists: true } }).select("name address addresses").lean()
+
+  let migrated = 0
+  let skipped = 0
+
+  for (const user of users) {
+    const legacy = user.address || {}
+    const address = {
+      address: clean(legacy.street),
+      city: [clean(legacy.city), clean(legacy.state)].filter(Boolean).join(", "),
+      postalCode: clean(legacy.zipCode),
+      country: clean(legacy.country),
+    }
+
+    const filled = Object.values(address).filter(Boolean).length
+    if (filled > 0 && filled < Object.keys(address).length) {
+      skipped++
+      continue
+    }
+
+    // Nothing was ever entered, so there is nothing to keep
+    const update = { $unset: { address: "" } }
+    if (filled > 0) {
+      const hasDefault = (user.addresses || []).some((saved) => saved.isDefaultShipping)
+      update.$push = {
+        addresses: {
+          _id: new mongoose.Types.ObjectId(),
+          label: "Home",
+          fullName: user.name,
+          ...address,
+          isDefaultShipping: !hasDefault,
+          isDefaultBilling: false,
+        },
+      }
+    }
+
+    // Written directly since the old field is no longer part of the schema
+    await User.collection.updateOne({ _id: user._id, address: { $exists: true } }, update)
+    migrated++
+  }
+
+  return { migrated, skipped }
+}
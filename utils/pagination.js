@@ -0,0 +1,184 @@
+import mongoose from "mongoose"
+import { ErrorResponse } from "./errorResponse.js"
+
+// Read a possibly nested field from a document or plain object
+const getField = (doc, path) =>
+  typeof doc.get === "function" ? doc.get(path) : path.split(".").reduce((value, key) => value?.[key], doc)
+
+// Split a sort string such as "-createdAt" into its field and direction
+const parseSort = (sort) => {
+  const fields = sort.split(" ").filter(Boolean)
+  if (fields.length !== 1) {
+    throw new ErrorResponse("Cursor pagination can only sort by a single field", 400)
+  }
+  const [field] = fields
+  return field.startsWith("-") ? { field: field.slice(1), direction: -1 } : { field, direction: 1 }
+}
+
+// Encode the position after `doc` as an opaque cursor. A missing sort value is kept as null.
+const encodeCursor = (doc, sort, field) => {
+  const value = getField(doc, field) ?? null
+  const payload = {
+    s: sort,
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: doc._id.toString(),
+  }
+  return Buffer.from(JSON.stringify(payload)).toString("base64url")
+}
+
+// Decode a cursor, checking it was issued for the same sort order
+const decodeCursor = (cursor, sort) => {
+  let payload
+  try {
+    payload = JSON.parse(Buffer.from(cursor, "base64url").toString())
+  } catch (error) {
+    throw new ErrorResponse("Invalid cursor", 400)
+  }
+
+  if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) {
+    throw new ErrorResponse("Invalid cursor", 400)
+  }
+  if (payload.s !== sort) {
+    throw new ErrorResponse("Cursor does not match the sort order", 400)
+  }
+
+  return { value: payload.d ? new Date(payload.v) : (payload.v ?? null), id: payload.id }
+}
+
+// Match the documents after a cursor position when sorting by `field` and then `_id`.
+// Mongo sorts missing and null values before all others and `$gt`/`$lt` never match them,
+// so nullable sort fields need their own branches: ascending, every non-null value comes
+// after a null position; descending, the nulls come after every non-null value.
+const afterCursorFilter = (field, direction, { value, id }) => {
+  const comparison = direction === 1 ? "$gt" : "$lt"
+  const sameValue = { [field]: value, _id: { [comparison]: id } }
+
+  if (value === null) {
+    return direction === 1 ? { $or: [sameValue, { [field]: { $ne: null } }] } : sameValue
+  }
+
+  const branches = [{ [field]: { [comparison]: value } }, sameValue]
+  if (direction === -1) {
+    branches.push({ [field]: null })
+  }
+  return { $or: branches }
+}
+
+// Compare two sort values the way Mongo does, with missing and null values first
+const compareValues = (left, right) => {
+  if (left == null || right == null) {
+    return (left == null ? 0 : 1) - (right == null ? 0 : 1)
+  }
+  return left < right ? -1 : left > right ? 1 : 0
+}
+
+// Page metadata with links to the neighbouring pages
+export const pageMeta = (page, limit, total) => {
+  const pagination = { page, limit, total, pages: Math.ceil(total / limit) }
+
+  if (page * limit < total) {
+    pagination.next = {
+      page: page + 1,
+      limit,
+    }
+  }
+
+  if (page > 1) {
+    pagination.prev = {
+      page: page - 1,
+      limit,
+    }
+  }
+
+  return pagination
+}
+
+// Paginate a Mongo query. With `cursor` undefined, pages are numbered (`page`); otherwise the
+// listing continues after the cursor (an empty cursor starts at the beginning) keyed on the
+// sort field plus `_id`, which stays stable while documents are added.
+// `build(filter)` returns the query to run so callers can populate and select.
+export const paginateQuery = async (Model, filter, { sort, select, page = 1, limit, cursor }, build) => {
+  const makeQuery = (queryFilter) => {
+    const query = build ? build(Model.find(queryFilter)) : Model.find(queryFilter)
+    return select ? query.select(select) : query
+  }
+
+  const total = await Model.countDocuments(filter)
+
+  if (cursor === undefined) {
+    const data = await makeQuery(filter)
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit)
+    return { data, total, pagination: pageMeta(page, limit, total) }
+  }
+
+  const { field, direction } = parseSort(sort)
+
+  let queryFilter = filter
+  if (cursor) {
+    const after = decodeCursor(cursor, sort)
+    const position = { value: after.value, id: new mongoose.Types.ObjectId(after.id) }
+    queryFilter = { $and: [filter, afterCursorFilter(field, direction, position)] }
+  }
+
+  // The sort field has to be in the documents to build the next cursor
+  let query = makeQuery(queryFilter)
+  if (select && !select.split(" ").includes(field)) {
+    query = query.select(field)
+  }
+
+  const docs = await query.sort({ [field]: direction, _id: direction }).limit(limit + 1)
+  const hasMore = docs.length > limit
+  const data = docs.slice(0, limit)
+
+  return {
+    data,
+    total,
+    pagination: {
+      limit,
+      total,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(data[data.length - 1], sort, field) : null,
+    },
+  }
+}
+
+// Paginate an in-memory list (e.g. an embedded array) the same way as paginateQuery
+export const paginateArray = (items, { sort, page = 1, limit, cursor }) => {
+  const { field, direction } = parseSort(sort)
+
+  const compare = (a, b) =>
+    direction * (compareValues(getField(a, field), getField(b, field)) || compareValues(`${a._id}`, `${b._id}`))
+
+  const sorted = [...items].sort(compare)
+  const total = sorted.length
+
+  if (cursor === undefined) {
+    const data = sorted.slice((page - 1) * limit, page * limit)
+    return { data, total, pagination: pageMeta(page, limit, total) }
+  }
+
+  let start = 0
+  if (cursor) {
+    const after = decodeCursor(cursor, sort)
+    const position = { _id: after.id, [field]: after.value }
+    start = sorted.findIndex((item) => compare(item, position) > 0)
+    if (start === -1) start = total
+  }
+
+  const data = sorted.slice(start, start + limit)
+  const hasMore = start + limit < total
+
+  return {
+    data,
+    total,
+    pagination: {
+      limit,
+      total,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(data[data.length - 1], sort, field) : null,
+    },
+  }
+}
@@ -0,0 +1,75 @@
+import Order from "../../models/Order.js"
+import Cart from "../../models/Cart.js"
+import { ErrorResponse } from "../errorResponse.js"
+import { releaseReservation, takeStockIfAvailable } from "../inventory.js"
+import stripeProvider from "./stripeProvider.js"
+import paypalProvider from "./paypalProvider.js"
+
+// Payment providers by Order.paymentMethod. Each implements
+//   createPayment({ order, user, reservation, paymentMethodType }) -> { id, status, clientSecret?, approvalUrl? }
+//   capturePayment(order) / verifyPayment(order, payload) -> paymentResult for the order
+//   refundPayment(order, amount, { note, metadata }) -> { id, status }
+//   cancelPayment(order)
+//   verifyWebhook(req) -> the verified event
+const providers = {
+  stripe: stripeProvider,
+  paypal: paypalProvider,
+}
+
+// Replace or add a provider, e.g. to swap in a fake during tests
+export const registerPaymentProvider = (name, provider) => {
+  providers[name] = provider
+}
+
+export const getPaymentProvider = (name) => {
+  const provider = providers[name]
+  if (!provider) {
+    throw new ErrorResponse(`Unsupported payment method: ${name}`, 400)
+  }
+  return provider
+}
+
+// Mark an unpaid order as paid. The update only matches unpaid orders, so a payment can
+// only be consumed once; returns null when the order was already paid.
+// Checkout orders only hold a stock reservation until they are paid, so the reserved stock
+// is moved onto the order and the owner's cart is cleared here. If the reservation expired and
+// the stock was sold in the meantime, the customer has still paid: the order is kept paid and
+// flagged for staff to refund or fulfil, rather than failing and leaving the provider retrying.
+// The same goes for a payment that arrives after the expired checkout was cancelled.
+export const markOrderPaid = async (order, paymentResult, session, { confirmedBy } = {}) => {
+  const paidOrder = await Order.findOneAndUpdate(
+    { _id: order._id, isPaid: false },
+    {
+      isPaid: true,
+      paidAt: Date.now(),
+      paymentResult,
+      ...(confirmedBy && { paymentConfirmedBy: confirmedBy }),
+    },
+    { new: true, session },
+  )
+
+  if (!paidOrder) {
+    return null
+  }
+
+  if (paidOrder.status === "cancelled") {
+    paidOrder.needsReview = true
+    paidOrder.reviewReason = "Paid after the order was cancelled"
+    return paidOrder.save({ session })
+  }
+
+  if (paidOrder.reservation) {
+    // Stock held for the checkout is returned and taken again for the order's items
+    await releaseReservation({ _id: paidOrder.reservation }, session, "consumed")
+
+    if (!(await takeStockIfAvailable(paidOrder.orderItems, session))) {
+      paidOrder.needsReview = true
+      paidOrder.reviewReason = "Paid after the stock reservation expired and the stock is no longer available"
+      await paidOrder.save({ session })
+    }
+
+    await Cart.deleteOne({ user: paidOrder.user }, { session })
+  }
+
+  return paidOrder
+}
@@ -0,0 +1,203 @@
+import dotenv from "dotenv"
+import { ErrorResponse } from "../errorResponse.js"
+import { CURRENCY } from "../pricing.js"
+
+dotenv.config()
+
+// Format an amount the way PayPal expects it
+const toPayPalAmount = (amount) => ({
+  currency_code: CURRENCY.toUpperCase(),
+  value: amount.toFixed(2),
+})
+
+// Check a PayPal order captured the full order total for this order
+export const verifyPayPalOrder = (paypalOrder, order) => {
+  if (paypalOrder.status !== "COMPLETED") {
+    throw new ErrorResponse("Payment not successful", 400)
+  }
+
+  const unit = paypalOrder.purchase_units?.[0]
+  if (unit?.custom_id !== order._id.toString()) {
+    throw new ErrorResponse("Payment does not belong to this order", 400)
+  }
+
+  const expected = toPayPalAmount(order.totalPrice)
+  if (unit.amount?.currency_code !== expected.currency_code || unit.amount?.value !== expected.value) {
+    throw new ErrorResponse("Payment amount does not match the order total", 400)
+  }
+
+  return {
+    id: paypalOrder.id,
+    captureId: unit.payments?.captures?.[0]?.id,
+    status: paypalOrder.status,
+    update_time: paypalOrder.update_time || Date.now(),
+    email_address: paypalOrder.payer?.email_address,
+  }
+}
+
+// Build a provider talking to the PayPal Orders v2 REST API at `baseUrl`.
+// Pointing `baseUrl` at a local server (see tests/support/fakePayPalServer.js) makes it testable offline.
+export const createPayPalProvider = ({ baseUrl, clientId, clientSecret, webhookId }) => {
+  let accessToken
+  let accessTokenExpiresAt = 0
+
+  // Get an OAuth access token with the client credentials, reusing it until it expires
+  const getAccessToken = async () => {
+    if (accessToken && Date.now() < accessTokenExpiresAt) {
+      return accessToken
+    }
+
+    const credentials = Buffer.from(`${clientId}:${clientSecret}`).toString("base64")
+    const response = await fetch(`${baseUrl}/v1/oauth2/token`, {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: "grant_type=client_credentials",
+    })
+
+    if (!response.ok) {
+      throw new Error(`PayPal authentication failed with status ${response.status}`)
+    }
+
+    const data = await response.json()
+    accessToken = data.access_token
+    // Renew a minute before PayPal expires the token
+    accessTokenExpiresAt = Date.now() + (data.expires_in - 60) * 1000
+    return accessToken
+  }
+
+  // Call the PayPal API and return the parsed response
+  const request = async (method, path, body, headers = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${await getAccessToken()}`,
+        "Content-Type": "application/json",
+        ...headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    })
+
+    const data = response.status === 204 ? {} : await response.json()
+
+    if (!response.ok) {
+      const error = new ErrorResponse(
+        data.message || `PayPal request failed with status ${response.status}`,
+        response.status === 404 ? 404 : response.status < 500 ? 400 : 502,
+      )
+      error.issue = data.details?.[0]?.issue
+      throw error
+    }
+
+    return data
+  }
+
+  const getOrder = (id) => request("GET", `/v2/checkout/orders/${encodeURIComponent(id)}`)
+
+  return {
+    name: "paypal",
+
+    // Create a PayPal order for the full order total; the buyer approves it at `approvalUrl`
+    async createPayment({ order }) {
+      const paypalOrder = await request(
+        "POST",
+        "/v2/checkout/orders",
+        {
+          intent: "CAPTURE",
+          purchase_units: [
+            {
+              reference_id: order._id.toString(),
+              custom_id: order._id.toString(),
+              amount: toPayPalAmount(order.totalPrice),
+            },
+          ],
+        },
+        { "PayPal-Request-Id": `order-${order._id}` },
+      )
+
+      return {
+        id: paypalOrder.id,
+        status: paypalOrder.status,
+        approvalUrl: paypalOrder.links?.find((link) => link.rel === "approve" || link.rel === "payer-action")?.href,
+      }
+    },
+
+    // Capture an approved PayPal order, then check what was captured
+    async capturePayment(order) {
+      try {
+        await request("POST", `/v2/checkout/orders/${encodeURIComponent(order.paymentResult.id)}/capture`, {}, {
+          "PayPal-Request-Id": `capture-${order._id}`,
+        })
+      } catch (error) {
+        // A retried capture is fine, anything else is not
+        if (error.issue !== "ORDER_ALREADY_CAPTURED") {
+          throw error
+        }
+      }
+
+      return verifyPayPalOrder(await getOrder(order.paymentResult.id), order)
+    },
+
+    // Look the PayPal order up and check it paid the order in full
+    async verifyPayment(order, { id } = {}) {
+      const paypalOrderId = order.paymentResult?.id || id
+      if (!paypalOrderId) {
+        throw new ErrorResponse("Please provide the PayPal order id", 400)
+      }
+
+      return verifyPayPalOrder(await getOrder(paypalOrderId), order)
+    },
+
+    // Refund part or all of the captured payment
+    // `metadata.refundEntryId` goes along as the refund's custom_id so its webhook can be matched to the entry
+    async refundPayment(order, amount, { note, metadata } = {}) {
+      const captureId = order.paymentResult?.captureId
+      if (!captureId) {
+        throw new ErrorResponse("Order has no captured PayPal payment to refund", 400)
+      }
+
+      const refund = await request("POST", `/v2/payments/captures/${encodeURIComponent(captureId)}/refund`, {
+        amount: toPayPalAmount(amount),
+        note_to_payer: note,
+        custom_id: metadata?.refundEntryId,
+      })
+
+      return { id: refund.id, status: refund.status }
+    },
+
+    // Unapproved PayPal orders simply expire, so there is nothing to void
+    async cancelPayment() {},
+
+    // Ask PayPal to verify a webhook's signature and return the event
+    async verifyWebhook(req) {
+      const event = JSON.parse(req.body.toString())
+
+      const result = await request("POST", "/v1/notifications/verify-webhook-signature", {
+        auth_algo: req.headers["paypal-auth-algo"],
+        cert_url: req.headers["paypal-cert-url"],
+        transmission_id: req.headers["paypal-transmission-id"],
+        transmission_sig: req.headers["paypal-transmission-sig"],
+        transmission_time: req.headers["paypal-transmission-time"],
+        webhook_id: webhookId,
+        webhook_event: event,
+      })
+
+      if (result.verification_status !== "SUCCESS") {
+        throw new Error("PayPal webhook signature verification failed")
+      }
+
+      return event
+    },
+  }
+}
+
+const paypalProvider = createPayPalProvider({
+  baseUrl: process.env.PAYPAL_API_URL || "https://api-m.sandbox.paypal.com",
+  clientId: process.env.PAYPAL_CLIENT_ID,
+  clientSecret: process.env.PAYPAL_CLIENT_SECRET,
+  webhookId: process.env.PAYPAL_WEBHOOK_ID,
+})
+
+export default paypalProvider
@@ -0,0 +1,118 @@
+import dotenv from "dotenv"
+import stripe from "../stripe.js"
+import { ErrorResponse } from "../errorResponse.js"
+import { toCents, CURRENCY } from "../pricing.js"
+
+dotenv.config()
+
+// Check that a PaymentIntent was created for this order, by its owner, for its exact total
+export const verifyIntentForOrder = (paymentIntent, order) => {
+  if (paymentIntent.metadata?.orderId !== order._id.toString() || order.paymentResult?.id !== paymentIntent.id) {
+    return new ErrorResponse("Payment does not belong to this order", 400)
+  }
+
+  if (paymentIntent.metadata?.userId !== order.user.toString()) {
+    return new ErrorResponse("Payment was not made by the order owner", 400)
+  }
+
+  if (paymentIntent.amount !== toCents(order.totalPrice) || paymentIntent.currency !== CURRENCY) {
+    return new ErrorResponse("Payment amount does not match the order total", 400)
+  }
+
+  return null
+}
+
+// Convert an order shipping address to Stripe's shipping details
+const toStripeShipping = (name, shippingAddress) => ({
+  name,
+  address: {
+    line1: shippingAddress.address,
+    city: shippingAddress.city,
+    postal_code: shippingAddress.postalCode,
+    country: shippingAddress.country,
+  },
+})
+
+const stripeProvider = {
+  name: "stripe",
+
+  // Create a PaymentIntent for the full order total; the client confirms it with `clientSecret`
+  async createPayment({ order, user, reservation, paymentMethodType }) {
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: toCents(order.totalPrice),
+      currency: CURRENCY,
+      payment_method_types: [paymentMethodType || "card"],
+      shipping: toStripeShipping(user.name, order.shippingAddress),
+      metadata: {
+        userId: user.id,
+        orderId: order._id.toString(),
+        reservationId: reservation?._id.toString(),
+      },
+    })
+
+    return {
+      id: paymentIntent.id,
+      status: paymentIntent.status,
+      clientSecret: paymentIntent.client_secret,
+    }
+  },
+
+  // Stripe captures automatically once the client confirms, so capturing is verifying
+  async capturePayment(order) {
+    return this.verifyPayment(order)
+  },
+
+  // Retrieve the order's PaymentIntent from Stripe and check it paid the order in full
+  async verifyPayment(order) {
+    if (!order.paymentResult?.id) {
+      throw new ErrorResponse("Order has no Stripe payment to verify", 400)
+    }
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(order.paymentResult.id)
+
+    if (paymentIntent.status !== "succeeded") {
+      throw new ErrorResponse("Payment not successful", 400)
+    }
+
+    const mismatch = verifyIntentForOrder(paymentIntent, order)
+    if (mismatch) {
+      throw mismatch
+    }
+
+    return {
+      id: paymentIntent.id,
+      status: paymentIntent.status,
+      update_time: Date.now(),
+      email_address: paymentIntent.receipt_email,
+    }
+  },
+
+  // Refund part or all of the order's payment
+  async refundPayment(order, amount, { metadata } = {}) {
+    const refund = await stripe.refunds.create({
+      payment_intent: order.paymentResult.id,
+      amount: toCents(amount),
+      metadata,
+    })
+
+    return { id: refund.id, status: refund.status }
+  },
+
+  // Void a PaymentIntent that has not been paid
+  async cancelPayment(order) {
+    await stripe.paymentIntents.cancel(order.paymentResult.id)
+  },
+
+  // Look up the PaymentIntent a charge belongs to, for events that only name the charge
+  async paymentIdForCharge(chargeId) {
+    const charge = await stripe.charges.retrieve(chargeId)
+    return charge.payment_intent
+  },
+
+  // Check the Stripe signature on the raw webhook body and return the event
+  async verifyWebhook(req) {
+    return stripe.webhooks.constructEvent(req.body, req.headers["stripe-signature"], process.env.STRIPE_WEBHOOK_SECRET)
+  },
+}
+
+export default stripeProvider
@@ -0,0 +1,36 @@
+// Every permission a role can grant
+export const PERMISSIONS = [
+  "products:write",
+  "categories:write",
+  "coupons:write",
+  "orders:read",
+  "orders:update_status",
+  "orders:cancel",
+  "orders:refund",
+  "orders:delete",
+  "payments:confirm_cash",
+  "users:read",
+  "users:write",
+  "users:manage_roles",
+  "accounts:unlock",
+]
+
+// Permissions granted by each role. Admins hold every permission.
+export const ROLE_PERMISSIONS = {
+  user: [],
+  catalog_manager: ["products:write", "categories:write", "coupons:write"],
+  fulfillment: ["orders:read", "orders:update_status", "payments:confirm_cash"],
+  support: ["orders:read", "orders:cancel", "orders:refund", "users:read", "accounts:unlock"],
+  admin: PERMISSIONS,
+}
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS)
+
+// Roles that may be held by store staff rather than customers
+export const STAFF_ROLES = ROLES.filter((role) => role !== "user")
+
+// Check whether a role grants a permission
+export const roleHasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission)
+
+// Check whether a user's role grants a permission
+export const hasPermission = (user, permission) => Boolean(user) && roleHasPermission(user.role, permission)
@@ -0,0 +1,21 @@
+// Check whether a product's or variant's discount applies at `at`. A discount without dates
+// always applies; a scheduled sale only between its start and end.
+export const isDiscountActive = (priced, at = new Date()) => {
+  if (priced.discountPrice == null || !(priced.discountPrice < priced.price)) {
+    return false
+  }
+  if (priced.discountStartsAt && at < priced.discountStartsAt) {
+    return false
+  }
+  if (priced.discountEndsAt && at >= priced.discountEndsAt) {
+    return false
+  }
+  return true
+}
+
+// Price a single unit of a product, or of the chosen variant, at `at`.
+// Every pricing path (cart, checkout, listings) goes through this.
+export const unitPrice = (product, variant, at = new Date()) => {
+  const priced = variant || product
+  return isDiscountActive(priced, at) ? priced.discountPrice : priced.price
+}
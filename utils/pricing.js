@@ -0,0 +1,124 @@
+import dotenv from "dotenv"
+import Product from "../models/Product.js"
+import { ErrorResponse } from "./errorResponse.js"
+import { unitPrice } from "./priceResolver.js"
+import { evaluateCoupon } from "./coupons.js"
+
+dotenv.config()
+
+export const TAX_RATE = Number(process.env.TAX_RATE ?? 0.07)
+export const SHIPPING_PRICE = Number(process.env.SHIPPING_PRICE ?? 10)
+export const CURRENCY = process.env.CURRENCY || "usd"
+
+// Round a money amount to whole cents
+export const roundMoney = (amount) => Math.round(amount * 100) / 100
+
+// Convert a money amount to the smallest currency unit (cents) for payment providers
+export const toCents = (amount) => Math.round(amount * 100)
+
+export { unitPrice } from "./priceResolver.js"
+
+// Price a list of `{ product, variant, quantity }` items from the catalogue. Client-sent prices are
+// ignored; every line is priced from the Product document, then the coupon (if any), tax and
+// shipping are applied. Tax is charged on the discounted items total.
+export const priceOrder = async (items, { coupon, user } = {}) => {
+  if (!items || items.length === 0) {
+    throw new ErrorResponse("No order items", 400)
+  }
+
+  const orderItems = []
+  const couponLines = []
+  let itemsPrice = 0
+
+  for (const item of items) {
+    const quantity = Number(item.quantity)
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ErrorResponse(`Invalid quantity for product ${item.product}`, 400)
+    }
+
+    const product = await Product.findById(item.product)
+    if (!product) {
+      throw new ErrorResponse(`Product not found with id: ${item.product}`, 404)
+    }
+
+    const variant = product.resolveVariant(item.variant)
+
+    const price = unitPrice(product, variant)
+    itemsPrice += price * quantity
+
+    couponLines.push({ product: product._id, category: product.category, price, quantity })
+    orderItems.push({
+      product: product._id,
+      variant: variant?._id,
+      sku: variant?.sku,
+      options: variant?.options,
+      name: product.name,
+      quantity,
+      price,
+      image: variant?.images[0]?.url || product.images[0]?.url || "",
+    })
+  }
+
+  let discountAmount = 0
+  let freeShipping = false
+  if (coupon) {
+    const applied = await evaluateCoupon(coupon, { user, lines: couponLines })
+    discountAmount = roundMoney(applied.discount)
+    freeShipping = applied.freeShipping
+  }
+
+  itemsPrice = roundMoney(itemsPrice)
+  const taxPrice = roundMoney((itemsPrice - discountAmount) * TAX_RATE)
+  const shippingPrice = freeShipping ? 0 : roundMoney(SHIPPING_PRICE)
+  const totalPrice = roundMoney(itemsPrice - discountAmount + taxPrice + shippingPrice)
+
+  return {
+    orderItems,
+    itemsPrice,
+    discountAmount,
+    coupon: coupon ? { coupon: coupon._id, code: coupon.code } : undefined,
+    taxPrice,
+    shippingPrice,
+    totalPrice,
+  }
+}
+
+// Compare the totals a client sent against the server-side pricing.
+// Only fields the client actually sent are checked. Returns one entry per mismatch.
+export const diffClientPricing = (pricing, client = {}) => {
+  const diff = []
+
+  const compare = (field, expected, received) => {
+    if (received === undefined || received === null) return
+    if (roundMoney(Number(received)) !== expected) {
+      diff.push({ field, expected, received })
+    }
+  }
+
+  for (const field of ["itemsPrice", "discountAmount", "taxPrice", "shippingPrice", "totalPrice"]) {
+    compare(field, pricing[field], client[field])
+  }
+
+  if (Array.isArray(client.orderItems)) {
+    client.orderItems.forEach((item, index) => {
+      const priced = pricing.orderItems[index]
+      if (priced) {
+        compare(`orderItems[${index}].price`, priced.price, item.price)
+      }
+    })
+  }
+
+  return diff
+}
+
+// Price the items and reject the request if the client-sent totals disagree
+export const priceAndVerify = async (items, client, options) => {
+  const pricing = await priceOrder(items, options)
+
+  const diff = diffClientPricing(pricing, client)
+  if (diff.length > 0) {
+    throw new ErrorResponse("Order totals do not match server pricing", 400, diff)
+  }
+
+  return pricing
+}
@@ -0,0 +1,174 @@
+import mongoose from "mongoose"
+import { ErrorResponse } from "./errorResponse.js"
+
+// Price facet bucket boundaries; the last bucket holds everything above the highest boundary
+export const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500]
+
+// Minimum ratings offered as "N stars & up" facets
+const RATING_THRESHOLDS = [4, 3, 2, 1]
+
+const MAX_TERMS = 8
+const MAX_TERM_LENGTH = 40
+// Terms shorter than this only match as prefixes, without typo tolerance
+const MIN_FUZZY_TERM_LENGTH = 4
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// Split a search string into lowercase terms
+export const tokenize = (q) =>
+  String(q)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, MAX_TERMS)
+    .map((term) => term.slice(0, MAX_TERM_LENGTH))
+
+// Build a pattern matching words that start with `term` or with any string one edit away
+// from it (a substituted, missing, extra or swapped character)
+export const fuzzyPattern = (term) => {
+  const variants = new Set([escapeRegex(term)])
+
+  if (term.length >= MIN_FUZZY_TERM_LENGTH) {
+    for (let i = 0; i < term.length; i++) {
+      const before = escapeRegex(term.slice(0, i))
+      variants.add(`${before}.${escapeRegex(term.slice(i + 1))}`)
+      variants.add(`${before}${escapeRegex(term.slice(i + 1))}`)
+      variants.add(`${before}.${escapeRegex(term.slice(i))}`)
+      if (i < term.length - 1) {
+        variants.add(`${before}${escapeRegex(term[i + 1] + term[i])}${escapeRegex(term.slice(i + 2))}`)
+      }
+    }
+  }
+
+  return `\\b(?:${[...variants].join("|")})`
+}
+
+// Turn the search query string into a product filter (excluding the search terms)
+export const parseSearchFilters = (query) => {
+  const filter = {}
+
+  if (query.category) {
+    const categories = String(query.category).split(",")
+    if (!categories.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      throw new ErrorResponse("Invalid category id", 400)
+    }
+    filter.category = { $in: categories.map((id) => new mongoose.Types.ObjectId(id)) }
+  }
+
+  for (const [param, operator] of [
+    ["minPrice", "$gte"],
+    ["maxPrice", "$lte"],
+  ]) {
+    if (query[param] !== undefined) {
+      const value = Number(query[param])
+      if (!Number.isFinite(value)) {
+        throw new ErrorResponse(`${param} must be a number`, 400)
+      }
+      filter.price = { ...filter.price, [operator]: value }
+    }
+  }
+
+  if (query.minRating !== undefined) {
+    const value = Number(query.minRating)
+    if (!Number.isFinite(value)) {
+      throw new ErrorResponse("minRating must be a number", 400)
+    }
+    filter.averageRating = { $gte: value }
+  }
+
+  if (query.inStock === "true") {
+    filter.stock = { $gt: 0 }
+  } else if (query.inStock === "false") {
+    filter.stock = 0
+  }
+
+  return filter
+}
+
+// Relevance score for the fuzzy fallback: a word starting with the term counts most, a near
+// miss in the name less, and a near miss in the description least
+const fuzzyScore = (terms) => ({
+  $add: terms.map((term) => ({
+    $switch: {
+      branches: [
+        { case: { $regexMatch: { input: "$name", regex: `\\b${escapeRegex(term)}`, options: "i" } }, then: 3 },
+        { case: { $regexMatch: { input: "$name", regex: fuzzyPattern(term), options: "i" } }, then: 2 },
+        { case: { $regexMatch: { input: "$description", regex: fuzzyPattern(term), options: "i" } }, then: 1 },
+      ],
+      default: 0,
+    },
+  })),
+})
+
+// Match stage and score for a search. Whole words go through the text index; when that finds
+// nothing (typos, half-typed words) the terms are matched as fuzzy prefixes instead.
+export const buildSearchMatch = async (Model, q, filter) => {
+  const textMatch = { ...filter, $text: { $search: q } }
+  if (await Model.exists(textMatch)) {
+    return { mode: "text", match: textMatch, score: { $meta: "textScore" } }
+  }
+
+  const terms = tokenize(q)
+  const fuzzyMatch = {
+    ...filter,
+    $and: terms.map((term) => {
+      const pattern = new RegExp(fuzzyPattern(term), "i")
+      return { $or: [{ name: pattern }, { description: pattern }] }
+    }),
+  }
+
+  return { mode: "fuzzy", match: fuzzyMatch, score: fuzzyScore(terms) }
+}
+
+// Facet pipelines counting the matches by category, price bucket, rating and availability
+export const searchFacets = () => ({
+  categories: [{ $group: { _id: "$category", count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+  price: [
+    {
+      $bucket: {
+        groupBy: "$price",
+        boundaries: PRICE_BUCKETS,
+        default: "above",
+        output: { count: { $sum: 1 } },
+      },
+    },
+  ],
+  rating: [
+    {
+      $group: {
+        _id: null,
+        ...Object.fromEntries(
+          RATING_THRESHOLDS.map((min) => [`${min}`, { $sum: { $cond: [{ $gte: ["$averageRating", min] }, 1, 0] } }]),
+        ),
+      },
+    },
+  ],
+  availability: [{ $group: { _id: { $gt: ["$stock", 0] }, count: { $sum: 1 } } }],
+})
+
+// Shape the raw facet results for the response
+export const formatFacets = (raw, categoryDocs) => {
+  const categoryNames = new Map(categoryDocs.map((category) => [category._id.toString(), category]))
+
+  const ratingCounts = raw.rating[0] || {}
+  const inStock = raw.availability.find((bucket) => bucket._id === true)?.count || 0
+  const outOfStock = raw.availability.find((bucket) => bucket._id === false)?.count || 0
+
+  return {
+    categories: raw.categories.map((bucket) => ({
+      _id: bucket._id,
+      name: categoryNames.get(bucket._id?.toString())?.name,
+      slug: categoryNames.get(bucket._id?.toString())?.slug,
+      count: bucket.count,
+    })),
+    price: raw.price.map((bucket) => {
+      const index = PRICE_BUCKETS.indexOf(bucket._id)
+      return bucket._id === "above"
+        ? { min: PRICE_BUCKETS[PRICE_BUCKETS.length - 1], max: null, count: bucket.count }
+        : { min: bucket._id, max: PRICE_BUCKETS[index + 1], count: bucket.count }
+    }),
+    rating: RATING_THRESHOLDS.map((min) => ({ min, count: ratingCounts[`${min}`] || 0 })),
+    inStock: { true: inStock, false: outOfStock },
+  }
+}
@@ -0,0 +1,187 @@
+import mongoose from "mongoose"
+import { ErrorResponse } from "./errorResponse.js"
+
+// Query parameters that control the listing rather than filter it
+const CONTROL_PARAMS = ["select", "sort", "page", "limit", "cursor"]
+
+const OPERATORS = {
+  eq: "$eq",
+  ne: "$ne",
+  gt: "$gt",
+  gte: "$gte",
+  lt: "$lt",
+  lte: "$lte",
+  in: "$in",
+}
+
+// Convert a raw query string value to the field's type, or return undefined if it isn't one
+const castValue = (type, raw, values) => {
+  if (typeof raw !== "string") return undefined
+
+  switch (type) {
+    case "number": {
+      const number = Number(raw)
+      return raw.trim() !== "" && Number.isFinite(number) ? number : undefined
+    }
+    case "boolean":
+      return raw === "true" ? true : raw === "false" ? false : undefined
+    case "date": {
+      const date = new Date(raw)
+      return Number.isNaN(date.getTime()) ? undefined : date
+    }
+    case "objectId":
+      return mongoose.Types.ObjectId.isValid(raw) ? new mongoose.Types.ObjectId(raw) : undefined
+    default:
+      if (values && !values.includes(raw)) return undefined
+      return raw
+  }
+}
+
+// Flatten `field[op]=value` parameters, whether the query parser nested them into objects or not
+const readConditions = (query) => {
+  const conditions = []
+
+  for (const [key, value] of Object.entries(query)) {
+    if (CONTROL_PARAMS.includes(key)) continue
+
+    const bracketed = key.match(/^([^[\]]+)\[([^[\]]*)\]$/)
+    if (bracketed) {
+      conditions.push({ param: key, name: bracketed[1], operator: bracketed[2], value })
+    } else if (value && typeof value === "object" && !Array.isArray(value)) {
+      for (const [operator, nested] of Object.entries(value)) {
+        conditions.push({ param: `${key}[${operator}]`, name: key, operator, value: nested })
+      }
+    } else {
+      conditions.push({ param: key, name: key, operator: "eq", value })
+    }
+  }
+
+  return conditions
+}
+
+// Parse a comma separated list of field names against the allowed ones
+const parseFieldList = (param, raw, allowed, errors, { allowDescending = false } = {}) => {
+  if (typeof raw !== "string" || raw.trim() === "") {
+    errors.push({ param, message: `${param} must be a comma separated list of fields` })
+    return []
+  }
+
+  const fields = raw.split(",").map((field) => field.trim())
+  for (const field of fields) {
+    const name = allowDescending && field.startsWith("-") ? field.slice(1) : field
+    if (!allowed.includes(name)) {
+      errors.push({ param, message: `Cannot ${param} by ${name}; allowed fields: ${allowed.join(", ")}` })
+    }
+  }
+  return fields
+}
+
+// Parse a positive integer query parameter
+const parsePositiveInt = (param, raw, errors, max) => {
+  const value = typeof raw === "string" && /^\d+$/.test(raw) ? Number(raw) : NaN
+  if (!Number.isInteger(value) || value < 1) {
+    errors.push({ param, message: `${param} must be a positive whole number` })
+    return undefined
+  }
+  if (max && value > max) {
+    errors.push({ param, message: `${param} cannot be more than ${max}` })
+    return undefined
+  }
+  return value
+}
+
+// Read `page` and `limit`, falling back to page 1 and the spec's default limit
+const readPage = (query, { defaultLimit, maxLimit }, errors) => ({
+  page: query.page === undefined ? 1 : parsePositiveInt("page", query.page, errors),
+  limit: query.limit === undefined ? defaultLimit : parsePositiveInt("limit", query.limit, errors, maxLimit),
+})
+
+// Describe which fields of a listing can be filtered (and with which operators), sorted and
+// selected. Filter entries look like `{ type, operators, field, values }`, where `field` maps
+// the query parameter to a different document path and `values` restricts string values.
+// `params` lists extra query parameters the listing handles itself (e.g. a search term).
+export const defineQuerySpec = ({
+  filters = {},
+  sort = [],
+  select = [],
+  params = [],
+  defaultSort = "-createdAt",
+  defaultLimit = 10,
+  maxLimit = 100,
+}) => ({ filters, sort, select, params, defaultSort, defaultLimit, maxLimit })
+
+// Turn a request's query string into a safe Mongo filter, sort, projection and page.
+// Anything the spec does not allow is rejected with a 400 listing every problem.
+export const parseListQuery = (query, spec) => {
+  const errors = []
+  const filter = {}
+
+  for (const { param, name, operator, value } of readConditions(query)) {
+    if (spec.params.includes(name)) continue
+
+    const definition = spec.filters[name]
+    if (!definition) {
+      errors.push({ param, message: `Unknown query parameter ${name}` })
+      continue
+    }
+
+    const operators = definition.operators || ["eq"]
+    if (!OPERATORS[operator] || !operators.includes(operator)) {
+      errors.push({
+        param,
+        message: `Operator ${operator} is not allowed for ${name}; allowed: ${operators.join(", ")}`,
+      })
+      continue
+    }
+
+    const rawValues = operator === "in" && typeof value === "string" ? value.split(",") : [value]
+    const values = rawValues.map((raw) => castValue(definition.type, raw, definition.values))
+    if (values.some((cast) => cast === undefined)) {
+      const expected = definition.values ? `one of ${definition.values.join(", ")}` : `a ${definition.type || "string"}`
+      errors.push({ param, message: `${param} must be ${expected}` })
+      continue
+    }
+
+    const path = definition.field || name
+    filter[path] = { ...filter[path], [OPERATORS[operator]]: operator === "in" ? values : values[0] }
+  }
+
+  let sort = spec.defaultSort
+  if (query.sort !== undefined) {
+    sort = parseFieldList("sort", query.sort, spec.sort, errors, { allowDescending: true }).join(" ")
+  }
+
+  let select
+  if (query.select !== undefined) {
+    select = parseFieldList("select", query.select, spec.select, errors).join(" ")
+  }
+
+  const { page, limit } = readPage(query, spec, errors)
+
+  // Present (even empty) to page with cursors instead of page numbers
+  const { cursor } = query
+  if (cursor !== undefined && typeof cursor !== "string") {
+    errors.push({ param: "cursor", message: "cursor must be a single value" })
+  }
+  if (cursor !== undefined && query.page !== undefined) {
+    errors.push({ param: "page", message: "page cannot be combined with cursor" })
+  }
+
+  if (errors.length > 0) {
+    throw new ErrorResponse("Invalid query parameters", 400, errors)
+  }
+
+  return { filter, sort, select, page, limit, cursor }
+}
+
+// Parse just the page number and size, for listings that build their own filter (e.g. search)
+export const parsePageQuery = (query, { defaultLimit = 10, maxLimit = 100 } = {}) => {
+  const errors = []
+  const page = readPage(query, { defaultLimit, maxLimit }, errors)
+
+  if (errors.length > 0) {
+    throw new ErrorResponse("Invalid query parameters", 400, errors)
+  }
+
+  return page
+}
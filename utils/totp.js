@@ -0,0 +1,77 @@
+import crypto from "crypto"
+
+// Time-based one-time passwords (RFC 6238) with the defaults authenticator apps expect:
+// HMAC-SHA1, 6 digits, 30 second steps
+const STEP_SECONDS = 30
+const DIGITS = 6
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+
+const base32Encode = (buffer) => {
+  let bits = ""
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0")
+
+  let output = ""
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[Number.parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)]
+  }
+  return output
+}
+
+const base32Decode = (input) => {
+  let bits = ""
+  for (const char of input.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) throw new Error("Invalid base32 character")
+    bits += index.toString(2).padStart(5, "0")
+  }
+
+  const bytes = []
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(Number.parseInt(bits.slice(i, i + 8), 2))
+  }
+  return Buffer.from(bytes)
+}
+
+// Generate a random base32 secret
+export const generateSecret = () => base32Encode(crypto.randomBytes(20))
+
+// Compute the code for a time step counter
+const codeForCounter = (secret, counter) => {
+  const message = Buffer.alloc(8)
+  message.writeBigUInt64BE(BigInt(counter))
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(message).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, "0")
+}
+
+export const currentCounter = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS)
+
+export const generateToken = (secret, time = Date.now()) => codeForCounter(secret, currentCounter(time))
+
+// Check a code, allowing `window` steps of clock drift either way.
+// Returns the matching counter so callers can refuse a code that was already used, or null.
+export const verifyToken = (secret, token, { window = 1, time = Date.now() } = {}) => {
+  const code = String(token ?? "").replace(/\s/g, "")
+  if (!/^\d+$/.test(code) || code.length !== DIGITS) {
+    return null
+  }
+
+  const counter = currentCounter(time)
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = codeForCounter(secret, counter + drift)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return counter + drift
+    }
+  }
+  return null
+}
+
+// Build the otpauth:// URI authenticator apps scan as a QR code
+export const buildOtpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`)
+  const params = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: DIGITS, period: STEP_SECONDS })
+  return `otpauth://totp/${label}?${params}`
+}
@@ -0,0 +1,8 @@
+import mongoose from "mongoose"
+
+// Run `fn` inside a MongoDB transaction. Everything done with the session passed
+// to `fn` is committed together, or rolled back if `fn` throws.
+// Transactions require MongoDB to run as a replica set (or mongos).
+export const withTransaction = async (fn) => {
+  return mongoose.connection.transaction((session) => fn(session))
+}